@@ -0,0 +1,543 @@
+// booking-quote.js
+// Booking quote engine: the room catalog, rate rules, promotions and add-ons, and the maths that turns a stay
+// into nights, totals and a deposit. No DOM, storage or network here, so the same code prices the site's booking
+// forms, runs under Node (e.g. in tests) and can be imported by partner widgets.
+// - An ES module: `import { quote } from './booking-quote.js'`. index.html and frontdesk.html import it before
+//   script.js and hand it over as window.bookingQuote (script.js then uses the exports by name)
+// - Amounts are whole naira; dates are 'YYYY-MM-DD' strings in quote() and local-midnight Date objects elsewhere
+// - Tests: booking-quote.test.mjs, run with `node --test` in this folder
+//
+// API
+// - quote({ roomType, checkin, checkout, rooms, adults, children, extraBeds, lines, promoCode, addOns, inventory })
+//   One room type: `roomType` with optional `rooms` (1), `adults` (the room's included guests × rooms),
+//   `children` (0) and `extraBeds` (0). Several: `lines`, a list of { roomType, rooms, adults, children, extraBeds }.
+//   `addOns`: add-on ids (see `addOns` below). `inventory`: the contents of data/inventory.json; without it
+//   every night counts as available. Throws an Error when the request cannot be priced (invalid or reversed
+//   dates, unknown room type or add-on, counts that are not whole numbers — rooms at least 1, guests and beds
+//   at least 0). `promoCode` and `addOns` may be null. Returns plain data, safe to JSON.stringify:
+//     { checkin, checkout, nights,
+//       lines: [{ roomType, rooms, adults, children, extraBeds, nights: [{ date, rate, label }], roomTotal, extrasTotal }],
+//       subtotal, extrasTotal, addOns: [{ id, name, per, price, guests, nights, quantity, total }], addOnsTotal,
+//       promo: null | { code, discount } | { code, reason }, discount, total, deposit, balance, problems }
+//   A quote with `problems` cannot be booked as it is (its totals are still filled in).
+// - quoteStay({ checkinDate, checkoutDate, lines, promoCode, addOnIds, inventory }): the same quote for Date
+//   objects, as the booking forms use it (see "Stay quote" below for its shape)
+// - Configuration: roomCatalog, extraCharges, addOns, rateRules, promotions, currencies, paymentTerms, hotelTimeZone
+// - Building blocks: hotelNow, isoDate, parseISO, addDays, eachNight, isoInRange, formatMoney, convertFromNaira, getRoom,
+//   getAddOn, priceNight, priceStay, priceExtras, priceAddOns, checkOccupancy, findPromotion, applyPromotion,
+//   getFeaturedPromotion, getUnavailableNights, depositFor, cancellationTerms
+//
+// Problems and promo reasons are data, not sentences, so each page words them in its own language
+// (script.js: describeQuoteProblem / describePromoReason):
+// - { type: 'minNights', nights, label }           `label`: the season's, '' for the minimum on every stay
+// - { type: 'needsAdult', roomType }
+// - { type: 'tooManyBeds', roomType, rooms, beds }  `beds`: the most extra beds that many rooms take
+// - { type: 'tooManyGuests', roomType, rooms, capacity, canAddBed }
+// - { type: 'soldOut', roomType, units, dates }     `dates`: the nights with fewer than `units` rooms free
+// - promo reasons: { type: 'invalid' }, { type: 'dates', from, to }, { type: 'wrongRoom' }, { type: 'minNights', nights }
+
+// ==============================
+// Configuration
+// ==============================
+// Room catalog — the one place room types are defined. The room cards, the room <select>s in both forms,
+// the "Book [Type]" buttons, the calculator and the room slider are all built from it, so adding a room type
+// (e.g. a Presidential Suite) means adding one entry here.
+// - `id` is what forms, bookings, inventory (data/inventory.json) and season `rates` use
+// - `name`/`description`/`amenities` are the English text; i18n.js translates them when it has
+//   'room.<id>' / 'room.<id>.text' / 'label.<amenity>' keys
+// - `rate`: base nightly rate in naira (see rateRules for seasons and weekends)
+// - `occupancy` is per room (NOT per line — a line of 3 rooms has 3x these): `included` guests are covered by
+//   the nightly rate, `max` is how many the room sleeps as-is, `extraBeds` how many extra beds fit
+// - `images`: the first is the card photo; the slider uses rooms.<id> in data/media.json, or these if it has none
+export const roomCatalog = [
+  {
+    id: 'executive',
+    name: 'Executive Suite',
+    description: 'Our most luxurious accommodation featuring panoramic city views, separate living area, and premium amenities.',
+    rate: 180000,
+    amenities: ['King Bed', 'City View', 'Marble Bathroom', 'Butler Service'],
+    occupancy: { included: 2, max: 4, extraBeds: 2 },
+    images: ['https://images.unsplash.com/photo-1618773928121-c32242e63f39?auto=format&fit=crop&w=800&q=80']
+  },
+  {
+    id: 'deluxe',
+    name: 'Deluxe Room',
+    description: 'Elegant and spacious room with premium furnishings, perfect for both business and leisure travelers.',
+    rate: 120000,
+    amenities: ['Queen Bed', 'Premium Amenities', 'Work Desk', '24/7 Room Service'],
+    occupancy: { included: 2, max: 3, extraBeds: 1 },
+    images: ['https://images.unsplash.com/photo-1611892440504-42a792e24d32?auto=format&fit=crop&w=800&q=80']
+  },
+  {
+    id: 'standard',
+    name: 'Standard Room',
+    description: 'Comfortable and stylish room with all essential amenities for a relaxing stay in Owerri.',
+    rate: 85000,
+    amenities: ['Twin Beds', 'Flat-screen TV', 'Mini Fridge', 'Free Wi-Fi'],
+    occupancy: { included: 2, max: 2, extraBeds: 1 },
+    images: ['https://images.unsplash.com/photo-1582719478250-c89cae4dc85b?auto=format&fit=crop&w=800&q=80']
+  }
+];
+
+// Per-night charges on top of the room rate
+export const extraCharges = {
+  adult: 15000,  // each adult beyond the included guests
+  child: 7500,   // each child beyond the included guests
+  bed: 20000     // each extra bed
+};
+
+// Add-ons — optional extras guests tick on both booking forms, priced in naira and added to the total (and so
+// to the deposit). `per`: 'stay' (once per booking), 'night' (each night), 'guest' (each guest, once) or
+// 'guestNight' (each guest, each night); guests are every adult and child on the booking's room lines.
+// `name` is the English text; i18n.js translates it with an 'addOn.<id>' key.
+// Extra beds are not an add-on: they are chosen per room line, count towards occupancy and use extraCharges.bed.
+export const addOns = [
+  { id: 'airportPickup', name: 'Airport pickup from Sam Mbakwe Airport', price: 25000, per: 'stay' },
+  { id: 'breakfast', name: 'Breakfast buffet', price: 7500, per: 'guestNight' },
+  { id: 'welcomeDinner', name: 'Welcome dinner at the restaurant', price: 15000, per: 'guest' },
+  { id: 'parking', name: 'Secure parking (one car)', price: 5000, per: 'night' },
+  { id: 'lateCheckout', name: 'Late checkout (until 16:00)', price: 20000, per: 'stay' }
+];
+
+// Rate rules — each room's catalog `rate` is the base rate; each night is priced on its own:
+//   1. the LAST matching season (from `seasons`) replaces the base, via `rates` per room or a `multiplier`
+//   2. a day-of-week rule (0 = Sunday … 6 = Saturday, the night you sleep there) multiplies the result
+// Season ranges work like a stay: the `from` night is included, the `to` night is not.
+// `from`/`to` as 'MM-DD' repeat every year (and may wrap over New Year); 'YYYY-MM-DD' is a one-off event.
+// `minNights` on a season applies to any stay touching it; the top-level `minNights` applies to every stay.
+export const rateRules = {
+  minNights: 1,
+  weekdays: {
+    5: { label: 'Weekend', multiplier: 1.15 }, // Friday night
+    6: { label: 'Weekend', multiplier: 1.15 }  // Saturday night
+  },
+  seasons: [
+    { label: 'Festive season', from: '12-15', to: '01-03', multiplier: 1.25, minNights: 2 },
+    { label: 'New Year\'s Eve', from: '12-31', to: '01-01', rates: { standard: 130000, deluxe: 185000, executive: 275000 }, minNights: 2 },
+    { label: 'Owerri trade fair', from: '2026-11-12', to: '2026-11-16', multiplier: 1.3 }
+  ]
+};
+
+// Promotions — codes guests can enter in either booking form.
+// `type`: 'percent' (value = % off the room total) or 'fixed' (value = naira off, never below ₦0).
+// `validFrom`/`validTo`: first and last CHECK-IN date the code accepts (inclusive, YYYY-MM-DD).
+// `rooms`: limit to these room types (omit for all rooms). `minNights`: shortest qualifying stay.
+// `featured`: shown on the floating Deals badge (`badge` is its text) while still valid.
+export const promotions = [
+  { code: 'FESTIVE5', label: 'Festive 5% off', type: 'percent', value: 5, validFrom: '2026-12-01', validTo: '2027-01-06', featured: true, badge: '5% Off' },
+  { code: 'SUITE3', label: 'Suite long stay', type: 'fixed', value: 50000, rooms: ['executive'], minNights: 3 },
+  { code: 'OWERRI10', label: 'Owerri local 10%', type: 'percent', value: 10, validFrom: '2026-10-01', validTo: '2027-03-31', rooms: ['standard', 'deluxe'], minNights: 2 }
+];
+
+// Display currencies for the header selector. Prices are calculated, booked and paid in naira;
+// `nairaPerUnit` (₦ per 1 unit of the currency) only converts what the guest sees. Update the rates here.
+export const currencies = {
+  NGN: { label: '₦ NGN', nairaPerUnit: 1 },
+  USD: { label: '$ USD', nairaPerUnit: 1550 },
+  GBP: { label: '£ GBP', nairaPerUnit: 1950 },
+  EUR: { label: '€ EUR', nairaPerUnit: 1700 }
+};
+
+// Payment terms — the deposit the terms text asks for, and where guests transfer it.
+// Bank details are left empty until the hotel's real account is filled in: until then the confirmation shows
+// no transfer instructions (guests are asked to contact the hotel by the booking terms instead).
+export const paymentTerms = {
+  depositRate: 0.5, // share of the total due up front to secure the booking
+  // Cancellations: the deposit paid is refunded in full up to `refundDays` days before check-in; after that it
+  // is non-refundable. The booking terms ('form.terms' in i18n.js) only keep deposits once the stay has passed,
+  // and guests can only cancel before check-in, so that is the cutoff. A longer notice period is a change to
+  // those terms: agree it with the hotel, then change this, the terms text and bookingTerms.version together.
+  cancellation: { refundDays: 0 },
+  bank: {
+    bankName: '',      // e.g. 'Zenith Bank'
+    accountName: '',   // e.g. 'Wizmore Hotel Owerri Ltd'
+    accountNumber: ''  // the 10-digit NUBAN
+  }
+};
+
+// The hotel's time zone: "today" (the first night that can be booked, promotion windows) is Owerri's today,
+// wherever the guest or the code running the quote is
+export const hotelTimeZone = 'Africa/Lagos';
+
+// ==============================
+// Dates and money
+// ==============================
+export function isoDate(date) {
+  // Convert a Date object to YYYY-MM-DD
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Today's date (YYYY-MM-DD) and the time (HH:MM) at the hotel, whatever the local time zone
+export function hotelNow(when = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: hotelTimeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(when);
+  const part = type => parts.find(p => p.type === type).value;
+  return { date: `${part('year')}-${part('month')}-${part('day')}`, time: `${part('hour')}:${part('minute')}` };
+}
+
+export function parseISO(dateString) {
+  if (!dateString) return null;
+  const parts = dateString.split('-');
+  if (parts.length !== 3) return null;
+  return new Date(parts[0], parseInt(parts[1], 10) - 1, parts[2]);
+}
+
+export function addDays(date, days) {
+  const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// Every night of a stay as a Date (checkin night included, checkout morning excluded)
+export function eachNight(checkinDate, checkoutDate) {
+  const nights = [];
+  for (let d = addDays(checkinDate, 0); d < checkoutDate; d = addDays(d, 1)) {
+    nights.push(d);
+  }
+  return nights;
+}
+
+export function isoInRange(iso, from, to) {
+  // 'MM-DD' ranges repeat yearly; compare month-day only and allow wrapping past 31 Dec
+  if (from.length === 5) {
+    const md = iso.slice(5);
+    return from <= to ? (md >= from && md < to) : (md >= from || md < to);
+  }
+  return iso >= from && iso < to;
+}
+
+// e.g. formatMoney(45000, 'NGN', 'en-GB') → "₦45,000"
+export function formatMoney(amount, currencyCode, locale) {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currencyCode,
+    currencyDisplay: 'narrowSymbol',
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+// A naira amount in one of `currencies` (display only: bookings are always in naira)
+export function convertFromNaira(amount, currencyCode) {
+  const currency = currencies[currencyCode];
+  return currency ? amount / currency.nairaPerUnit : amount;
+}
+
+export function getRoom(roomType) {
+  return roomCatalog.find(room => room.id === roomType) || null;
+}
+
+// ==============================
+// Rate rules engine (see `rateRules` in Configuration)
+// ==============================
+export function priceNight(roomType, night) {
+  const iso = isoDate(night);
+  const labels = [];
+  let rate = getRoom(roomType) ? getRoom(roomType).rate : 0;
+
+  const season = rateRules.seasons.filter(s => isoInRange(iso, s.from, s.to)).pop();
+  if (season) {
+    rate = season.rates && season.rates[roomType] ? season.rates[roomType] : Math.round(rate * (season.multiplier || 1));
+    labels.push(season.label);
+  }
+
+  const weekday = rateRules.weekdays[night.getDay()];
+  if (weekday) {
+    rate = Math.round(rate * weekday.multiplier);
+    labels.push(weekday.label);
+  }
+
+  return { date: night, rate, label: labels.join(' · ') };
+}
+
+// Prices a whole stay: one line per night, the total, and the strictest minimum-stay rule it touches
+// (minStay.label is the season's label, '' for the top-level minimum)
+export function priceStay(roomType, checkinDate, checkoutDate) {
+  const nights = eachNight(checkinDate, checkoutDate).map(night => priceNight(roomType, night));
+  const total = nights.reduce((sum, n) => sum + n.rate, 0);
+
+  let minStay = { nights: rateRules.minNights || 1, label: '' };
+  rateRules.seasons.forEach(season => {
+    if (!season.minNights || season.minNights <= minStay.nights) return;
+    if (nights.some(n => isoInRange(isoDate(n.date), season.from, season.to))) {
+      minStay = { nights: season.minNights, label: season.label };
+    }
+  });
+
+  return { nights, total, minStay };
+}
+
+// ==============================
+// Rooms, guests and occupancy (see `occupancy` in roomCatalog and `extraCharges` in Configuration)
+// - A room line is { roomType, rooms, adults, children, extraBeds }; adults/children/extraBeds are for the
+//   whole line, not per room
+// ==============================
+// Returns a problem when the line breaks an occupancy rule, null when it is fine
+export function checkOccupancy(line) {
+  const occ = getRoom(line.roomType) && getRoom(line.roomType).occupancy;
+  if (!occ) return null;
+  const bedsAllowed = occ.extraBeds * line.rooms;
+  const capacity = occ.max * line.rooms + Math.min(line.extraBeds, bedsAllowed);
+
+  if (line.adults < line.rooms) {
+    return { type: 'needsAdult', roomType: line.roomType };
+  }
+  if (line.extraBeds > bedsAllowed) {
+    return { type: 'tooManyBeds', roomType: line.roomType, rooms: line.rooms, beds: bedsAllowed };
+  }
+  if (line.adults + line.children > capacity) {
+    return { type: 'tooManyGuests', roomType: line.roomType, rooms: line.rooms, capacity, canAddBed: line.extraBeds < bedsAllowed };
+  }
+  return null;
+}
+
+// Extra-person and extra-bed charges for the whole stay of one line
+export function priceExtras(line, nightCount) {
+  const occ = getRoom(line.roomType) && getRoom(line.roomType).occupancy;
+  if (!occ) return 0;
+  const included = occ.included * line.rooms;
+  // adults fill the included places first, children take whatever is left
+  const extraAdults = Math.max(0, line.adults - included);
+  const extraChildren = Math.max(0, line.children - Math.max(0, included - line.adults));
+  const perNight = extraAdults * extraCharges.adult + extraChildren * extraCharges.child + line.extraBeds * extraCharges.bed;
+  return perNight * nightCount;
+}
+
+// ==============================
+// Add-ons (see `addOns` in Configuration)
+// - A priced add-on is { id, name, per, price, guests, nights, quantity, total }: quantity is how many times
+//   `price` is charged (1 per stay, nights, guests or guests × nights)
+// ==============================
+export function getAddOn(id) {
+  return addOns.find(addOn => addOn.id === id) || null;
+}
+
+export function priceAddOns(ids, lines, nightCount) {
+  const guests = lines.reduce((sum, line) => sum + line.adults + line.children, 0);
+  return ids.map(getAddOn).filter(Boolean).map(addOn => {
+    const quantity = { stay: 1, night: nightCount, guest: guests, guestNight: guests * nightCount }[addOn.per] || 0;
+    return {
+      id: addOn.id,
+      name: addOn.name,
+      per: addOn.per,
+      price: addOn.price,
+      guests,
+      nights: nightCount,
+      quantity,
+      total: addOn.price * quantity
+    };
+  });
+}
+
+// ==============================
+// Promotions engine (see `promotions` in Configuration)
+// ==============================
+export function findPromotion(code) {
+  const wanted = String(code || '').trim().toUpperCase();
+  if (!wanted) return null;
+  return promotions.find(p => p.code === wanted) || null;
+}
+
+// Returns { promo, discount } when the code applies to this stay, or { promo, reason } when it does not.
+// `lines` are priced room lines ({ roomType, roomTotal }); the discount only touches eligible room totals.
+export function applyPromotion(code, lines, checkinDate, nightCount) {
+  const promo = findPromotion(code);
+  if (!promo) return { promo: null, reason: { type: 'invalid' } };
+
+  const checkinIso = isoDate(checkinDate);
+  if ((promo.validFrom && checkinIso < promo.validFrom) || (promo.validTo && checkinIso > promo.validTo)) {
+    return { promo, reason: { type: 'dates', from: promo.validFrom || '', to: promo.validTo || '' } };
+  }
+  const eligible = lines.filter(line => !promo.rooms || promo.rooms.includes(line.roomType));
+  if (!eligible.length) {
+    return { promo, reason: { type: 'wrongRoom' } };
+  }
+  if (promo.minNights && nightCount < promo.minNights) {
+    return { promo, reason: { type: 'minNights', nights: promo.minNights } };
+  }
+
+  const subtotal = eligible.reduce((sum, line) => sum + line.roomTotal, 0);
+  const discount = promo.type === 'percent'
+    ? Math.round(subtotal * promo.value / 100)
+    : Math.min(promo.value, subtotal);
+  return { promo, discount };
+}
+
+// The featured promotion for the Deals badge, if its window has not closed by `todayIso`
+export function getFeaturedPromotion(todayIso = hotelNow().date) {
+  return promotions.find(p => p.featured && (!p.validTo || todayIso <= p.validTo)) || null;
+}
+
+// ==============================
+// Room availability — `inventory` is data/inventory.json: `units` (rooms per type), `booked` stays and
+// `blocked` ranges. Ranges work like a stay: the `checkin`/`from` night is taken, the `checkout`/`to` morning
+// is free again. Without an inventory (or units for the room type) every night counts as available.
+// ==============================
+function isNightSoldOut(inventory, roomType, iso, unitsNeeded) {
+  const units = inventory.units[roomType];
+  const blocked = (inventory.blocked || []).some(b => b.room === roomType && iso >= b.from && iso < b.to);
+  if (blocked) return true;
+  const taken = (inventory.booked || [])
+    .filter(b => b.room === roomType && iso >= b.checkin && iso < b.checkout)
+    .reduce((sum, b) => sum + (b.units || 1), 0);
+  return taken + unitsNeeded > units;
+}
+
+// Returns the nights (Date objects) of the stay on which fewer than `unitsNeeded` rooms of roomType are free
+export function getUnavailableNights(inventory, roomType, checkinDate, checkoutDate, unitsNeeded = 1) {
+  if (!inventory || !inventory.units || typeof inventory.units[roomType] !== 'number') return [];
+  return eachNight(checkinDate, checkoutDate).filter(night => isNightSoldOut(inventory, roomType, isoDate(night), unitsNeeded));
+}
+
+// ==============================
+// Stay quote: everything a booking summary shows, for one reservation
+// - lines: room lines; promoCode optional; addOnIds: add-on ids; inventory optional (see Room availability)
+// - the promo discount only touches room totals; extras and add-ons are added at full price
+// - returns { nightCount, lines (each line + nights [{ date, rate, label }], roomTotal, extrasTotal), subtotal,
+//   extrasTotal, addOns, addOnsTotal, promoResult (null without a code), discount, total, deposit, balance,
+//   problems } — problems must block the booking (min stay, occupancy, sold out)
+// ==============================
+export function quoteStay({ checkinDate, checkoutDate, lines, promoCode = '', addOnIds = [], inventory = null }) {
+  const problems = [];
+  const nightCount = eachNight(checkinDate, checkoutDate).length;
+  let minStay = { nights: 0 };
+
+  const priced = lines.map(line => {
+    const stay = priceStay(line.roomType, checkinDate, checkoutDate);
+    if (stay.minStay.nights > minStay.nights) minStay = stay.minStay;
+    const occupancyProblem = checkOccupancy(line);
+    if (occupancyProblem) problems.push(occupancyProblem);
+    return Object.assign({}, line, {
+      nights: stay.nights,
+      roomTotal: stay.total * line.rooms,
+      extrasTotal: priceExtras(line, nightCount)
+    });
+  });
+
+  if (nightCount < minStay.nights) {
+    problems.push({ type: 'minNights', nights: minStay.nights, label: minStay.label });
+  }
+
+  // Lines of the same room type draw on the same inventory
+  const unitsByRoom = {};
+  priced.forEach(line => { unitsByRoom[line.roomType] = (unitsByRoom[line.roomType] || 0) + line.rooms; });
+  Object.keys(unitsByRoom).forEach(roomType => {
+    const units = unitsByRoom[roomType];
+    const soldOut = getUnavailableNights(inventory, roomType, checkinDate, checkoutDate, units);
+    if (soldOut.length) problems.push({ type: 'soldOut', roomType, units, dates: soldOut.map(isoDate) });
+  });
+
+  const subtotal = priced.reduce((sum, line) => sum + line.roomTotal, 0);
+  const extrasTotal = priced.reduce((sum, line) => sum + line.extrasTotal, 0);
+  const promoResult = String(promoCode || '').trim() ? applyPromotion(promoCode, priced, checkinDate, nightCount) : null;
+  const discount = promoResult && promoResult.discount ? promoResult.discount : 0;
+  const addOnItems = priceAddOns(addOnIds, priced, nightCount);
+  const addOnsTotal = addOnItems.reduce((sum, item) => sum + item.total, 0);
+  const total = subtotal + extrasTotal + addOnsTotal - discount;
+  const deposit = depositFor(total);
+
+  return {
+    nightCount,
+    lines: priced,
+    subtotal,
+    extrasTotal,
+    addOns: addOnItems,
+    addOnsTotal,
+    promoResult,
+    discount,
+    total,
+    deposit,
+    balance: total - deposit,
+    problems
+  };
+}
+
+// Deposit due up front (rounded up to the naira); the rest is paid on arrival
+export function depositFor(total) {
+  return Math.ceil(total * paymentTerms.depositRate);
+}
+
+// What cancelling a booking now means for the deposit: { cutoff, refundable, refund, kept }.
+// `checkin` is 'YYYY-MM-DD', `depositPaid` what the hotel has received (0 while the deposit is pending);
+// `cutoff` is the last day ('YYYY-MM-DD', hotel time) on which cancelling still refunds the deposit; pass the
+// booking's `refundCutoff` when it has one, so moving the stay later never moves the cutoff later with it.
+export function cancellationTerms({ checkin, depositPaid = 0, refundCutoff = '' }, todayIso = hotelNow().date) {
+  const fromCheckin = isoDate(addDays(parseISO(checkin), -paymentTerms.cancellation.refundDays));
+  const cutoff = refundCutoff && refundCutoff < fromCheckin ? refundCutoff : fromCheckin;
+  const refundable = todayIso <= cutoff;
+  const refund = refundable ? depositPaid : 0;
+  return { cutoff, refundable, refund, kept: depositPaid - refund };
+}
+
+// ==============================
+// quote(): the public entry point (see API at the top) — checks the request, then prices it with quoteStay()
+// ==============================
+function parseRequestDate(value, name) {
+  const date = parseISO(value);
+  if (!date || isoDate(date) !== value) throw new Error(`${name} must be a YYYY-MM-DD date, got "${value}".`);
+  return date;
+}
+
+// A count left out takes `fallback`; one given must be a whole number of at least `min`
+function requestCount(value, name, min, fallback) {
+  if (value == null) return fallback;
+  if (!Number.isInteger(value) || value < min) throw new Error(`${name} must be a whole number of at least ${min}, got ${JSON.stringify(value)}.`);
+  return value;
+}
+
+function requestLine(line) {
+  if (!line || typeof line !== 'object') throw new Error('Each room line must be an object.');
+  const room = getRoom(line.roomType);
+  if (!room) throw new Error(`Unknown room type "${line.roomType}".`);
+  const rooms = requestCount(line.rooms, 'rooms', 1, 1);
+  return {
+    roomType: room.id,
+    rooms,
+    adults: requestCount(line.adults, 'adults', 0, room.occupancy.included * rooms),
+    children: requestCount(line.children, 'children', 0, 0),
+    extraBeds: requestCount(line.extraBeds, 'extraBeds', 0, 0)
+  };
+}
+
+export function quote({ roomType, checkin, checkout, rooms, adults, children, extraBeds, lines, promoCode, addOns: addOnList, inventory = null } = {}) {
+  const checkinDate = parseRequestDate(checkin, 'checkin');
+  const checkoutDate = parseRequestDate(checkout, 'checkout');
+  if (checkoutDate <= checkinDate) throw new Error('checkout must be after checkin.');
+  if (lines != null && (!Array.isArray(lines) || !lines.length)) throw new Error('lines must be a non-empty list of room lines.');
+  const roomLines = (lines || [{ roomType, rooms, adults, children, extraBeds }]).map(requestLine);
+  if (promoCode != null && typeof promoCode !== 'string') throw new Error('promoCode must be a string.');
+  const code = promoCode || '';
+  if (addOnList != null && !Array.isArray(addOnList)) throw new Error('addOns must be a list of add-on ids.');
+  const addOnIds = addOnList || [];
+  addOnIds.forEach(id => {
+    if (!getAddOn(id)) throw new Error(`Unknown add-on "${id}".`);
+  });
+
+  const result = quoteStay({ checkinDate, checkoutDate, lines: roomLines, promoCode: code, addOnIds, inventory });
+  const promo = result.promoResult;
+  return {
+    checkin,
+    checkout,
+    nights: result.nightCount,
+    lines: result.lines.map(line => Object.assign({}, line, {
+      nights: line.nights.map(n => ({ date: isoDate(n.date), rate: n.rate, label: n.label }))
+    })),
+    subtotal: result.subtotal,
+    extrasTotal: result.extrasTotal,
+    addOns: result.addOns,
+    addOnsTotal: result.addOnsTotal,
+    promo: promo
+      ? Object.assign({ code: promo.promo ? promo.promo.code : code.trim().toUpperCase() },
+        promo.reason ? { reason: promo.reason } : { discount: promo.discount })
+      : null,
+    discount: result.discount,
+    total: result.total,
+    deposit: result.deposit,
+    balance: result.balance,
+    problems: result.problems
+  };
+}
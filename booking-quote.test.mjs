@@ -0,0 +1,110 @@
+// booking-quote.test.mjs
+// Unit tests for quote() in booking-quote.js. Run from this folder with `node --test` (Node 20.19+ / 22;
+// booking-quote.js is an ES module without a package.json, which those versions load as such).
+// The expected amounts follow the configuration in booking-quote.js (base rates, rateRules, promotions, addOns):
+// change them together.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quote } from './booking-quote.js';
+
+const nightRates = q => q.lines[0].nights.map(n => [n.date, n.rate, n.label]);
+
+test('prices weekday nights at the base rate, with the deposit and balance', () => {
+  const q = quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-05' });
+  assert.equal(q.nights, 3);
+  assert.deepEqual(nightRates(q), [
+    ['2026-11-02', 120000, ''], ['2026-11-03', 120000, ''], ['2026-11-04', 120000, '']
+  ]);
+  assert.equal(q.total, 360000);
+  assert.equal(q.deposit, 180000);
+  assert.equal(q.balance, 180000);
+  assert.deepEqual(q.problems, []);
+  assert.equal(q.promo, null);
+});
+
+test('adds the weekend uplift to Friday and Saturday nights', () => {
+  const q = quote({ roomType: 'deluxe', checkin: '2026-11-06', checkout: '2026-11-09' });
+  assert.deepEqual(nightRates(q), [
+    ['2026-11-06', 138000, 'Weekend'], ['2026-11-07', 138000, 'Weekend'], ['2026-11-08', 120000, '']
+  ]);
+  assert.equal(q.total, 396000);
+});
+
+test('applies seasons and one-off events, and their minimum stays', () => {
+  const fair = quote({ roomType: 'standard', checkin: '2026-11-15', checkout: '2026-11-17' });
+  assert.deepEqual(nightRates(fair), [['2026-11-15', 110500, 'Owerri trade fair'], ['2026-11-16', 85000, '']]);
+
+  const festive = quote({ roomType: 'deluxe', checkin: '2026-12-20', checkout: '2026-12-22' });
+  assert.equal(festive.total, 300000);
+  assert.deepEqual(festive.problems, []);
+
+  const tooShort = quote({ roomType: 'deluxe', checkin: '2026-12-20', checkout: '2026-12-21' });
+  assert.deepEqual(tooShort.problems, [{ type: 'minNights', nights: 2, label: 'Festive season' }]);
+});
+
+test('applies promo codes, and says why one does not apply', () => {
+  const percent = quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-05', promoCode: ' owerri10 ' });
+  assert.deepEqual(percent.promo, { code: 'OWERRI10', discount: 36000 });
+  assert.equal(percent.total, 324000);
+  assert.equal(percent.deposit, 162000);
+
+  const fixed = quote({ roomType: 'executive', checkin: '2026-11-02', checkout: '2026-11-05', promoCode: 'SUITE3' });
+  assert.deepEqual(fixed.promo, { code: 'SUITE3', discount: 50000 });
+  assert.equal(fixed.total, 490000);
+
+  const tooShort = quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-03', promoCode: 'OWERRI10' });
+  assert.deepEqual(tooShort.promo, { code: 'OWERRI10', reason: { type: 'minNights', nights: 2 } });
+  assert.equal(tooShort.discount, 0);
+
+  const wrongRoom = quote({ roomType: 'executive', checkin: '2026-11-02', checkout: '2026-11-05', promoCode: 'OWERRI10' });
+  assert.deepEqual(wrongRoom.promo, { code: 'OWERRI10', reason: { type: 'wrongRoom' } });
+
+  const unknown = quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-05', promoCode: 'NOPE' });
+  assert.deepEqual(unknown.promo, { code: 'NOPE', reason: { type: 'invalid' } });
+  assert.equal(unknown.total, 360000);
+
+  for (const promoCode of [null, undefined, '']) {
+    assert.equal(quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-05', promoCode }).promo, null);
+  }
+});
+
+test('prices add-ons per stay, night, guest and guest-night', () => {
+  const q = quote({
+    roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-04', adults: 2, children: 1,
+    addOns: ['airportPickup', 'parking', 'welcomeDinner', 'breakfast']
+  });
+  assert.deepEqual(q.addOns.map(item => [item.id, item.quantity, item.total]), [
+    ['airportPickup', 1, 25000], ['parking', 2, 10000], ['welcomeDinner', 3, 45000], ['breakfast', 6, 45000]
+  ]);
+  assert.equal(q.addOnsTotal, 125000);
+  assert.equal(q.total, q.subtotal + q.extrasTotal + q.addOnsTotal);
+  assert.deepEqual(quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-04', addOns: null }).addOns, []);
+});
+
+test('reports sold-out nights from the inventory', () => {
+  const inventory = { units: { deluxe: 1 }, booked: [{ room: 'deluxe', checkin: '2026-11-03', checkout: '2026-11-04', units: 1 }] };
+  const q = quote({ roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-05', inventory });
+  assert.deepEqual(q.problems, [{ type: 'soldOut', roomType: 'deluxe', units: 1, dates: ['2026-11-03'] }]);
+});
+
+test('throws on requests that cannot be priced', () => {
+  const stay = { roomType: 'deluxe', checkin: '2026-11-02', checkout: '2026-11-05' };
+  const invalid = [
+    [{ checkin: '2026-02-30' }, /checkin must be a YYYY-MM-DD date/],
+    [{ checkout: '2026-11-02' }, /checkout must be after checkin/],
+    [{ roomType: 'penthouse' }, /Unknown room type "penthouse"/],
+    [{ addOns: ['spa'] }, /Unknown add-on "spa"/],
+    [{ addOns: 'breakfast' }, /addOns must be a list/],
+    [{ promoCode: 10 }, /promoCode must be a string/],
+    [{ rooms: -1 }, /rooms must be a whole number of at least 1/],
+    [{ rooms: 0 }, /rooms must be a whole number of at least 1/],
+    [{ rooms: 1.5 }, /rooms must be a whole number of at least 1/],
+    [{ adults: 'x' }, /adults must be a whole number of at least 0/],
+    [{ children: -1 }, /children must be a whole number of at least 0/],
+    [{ extraBeds: NaN }, /extraBeds must be a whole number of at least 0/],
+    [{ lines: [] }, /lines must be a non-empty list/]
+  ];
+  for (const [change, message] of invalid) {
+    assert.throws(() => quote(Object.assign({}, stay, change)), message, JSON.stringify(change));
+  }
+});
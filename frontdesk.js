@@ -0,0 +1,307 @@
+// frontdesk.js
+// Front-desk dashboard (frontdesk.html). Loaded after i18n.js, booking-quote.js and script.js and built on the
+// same data: roomCatalog, bookingStatuses, the booking objects from buildBooking(), inventory and the money/date
+// helpers.
+// Features:
+// - Passcode gate (a SHA-256 hash is compared in the browser; unlocking lasts for the browser session); it stays
+//   shut while the passcode is still the shipped placeholder
+// - Bookings from this device's store (wizmore.bookings) or the mock backend's store, newest stay first, with
+//   guests' changes and cancellations (amendments, see manage.js) applied
+// - Filters: stay dates (any overlap with the range), room type, deposit pending/received
+// - Occupancy calendar per room type for the filtered date range (rooms taken / rooms in the hotel)
+// - CSV export of the filtered bookings
+// - Bookings on this device link to the site's confirmation view with the status controls, which only show while
+//   this gate is unlocked (FRONTDESK_SESSION_KEY in script.js)
+// NOTE: the gate only keeps casual visitors out of a static page. The bookings themselves never leave the
+// browser they were made in (or the mock store), so nothing sensitive is served from the site.
+
+// ==============================
+// Configuration
+// ==============================
+// SHA-256 of the staff passcode, e.g. the output of `printf '%s' 'new passcode' | sha256sum`. It ships as the
+// hash of the documented placeholder "change-me", and the gate refuses to open until it has been replaced.
+const FRONTDESK_PASSCODE_SHA256 = 'e2186dbdb1bb4193608605e84f33208765b5693b55edd4f730a719a100eeea6f';
+const PLACEHOLDER_PASSCODE_SHA256 = 'e2186dbdb1bb4193608605e84f33208765b5693b55edd4f730a719a100eeea6f';
+const OCCUPANCY_DEFAULT_DAYS = 14; // calendar length when no end date is chosen
+const OCCUPANCY_MAX_DAYS = 62;     // longest range the calendar draws
+
+// ==============================
+// Passcode gate
+// ==============================
+const frontdeskGate = document.getElementById('frontdeskGate');
+const frontdeskDashboard = document.getElementById('frontdeskDashboard');
+const frontdeskLock = document.getElementById('frontdeskLock');
+
+function sha256Hex(text) {
+  if (!window.crypto || !window.crypto.subtle) {
+    return Promise.reject(new Error('This browser cannot check the passcode here (the page must be served over HTTPS).'));
+  }
+  return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(buffer =>
+    Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('')
+  );
+}
+
+function isPasscodeConfigured() {
+  return FRONTDESK_PASSCODE_SHA256 !== PLACEHOLDER_PASSCODE_SHA256;
+}
+
+// Placeholder passcode: the gate stays shut and tells staff what to set instead of accepting "change-me"
+const PASSCODE_SETUP_MESSAGE = 'Set a staff passcode first: put the SHA-256 of a new passcode in FRONTDESK_PASSCODE_SHA256 (frontdesk.js). The dashboard stays locked until then.';
+
+// keeps the gate shut with a message for whoever set the site up
+function showGateProblem(message) {
+  const errorEl = document.getElementById('frontdeskGateError');
+  errorEl.textContent = message;
+  errorEl.hidden = false;
+  document.querySelectorAll('#frontdeskGateForm input, #frontdeskGateForm button').forEach(el => { el.disabled = true; });
+}
+
+function showDashboard(unlocked) {
+  frontdeskGate.hidden = unlocked;
+  frontdeskDashboard.hidden = !unlocked;
+  frontdeskLock.hidden = !unlocked;
+  if (unlocked) {
+    loadInventory().then(renderDashboard);
+  } else {
+    document.getElementById('frontdeskPasscode').focus();
+  }
+}
+
+document.getElementById('frontdeskGateForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const input = document.getElementById('frontdeskPasscode');
+  const errorEl = document.getElementById('frontdeskGateError');
+  if (!isPasscodeConfigured()) {
+    showGateProblem(PASSCODE_SETUP_MESSAGE);
+    return;
+  }
+  sha256Hex(input.value)
+    .then(hash => {
+      if (hash !== FRONTDESK_PASSCODE_SHA256) throw new Error('Wrong passcode.');
+      sessionStorage.setItem(FRONTDESK_SESSION_KEY, '1');
+      input.value = '';
+      errorEl.hidden = true;
+      showDashboard(true);
+    })
+    .catch(err => {
+      errorEl.textContent = err.message;
+      errorEl.hidden = false;
+      input.setAttribute('aria-invalid', 'true');
+      input.select();
+    });
+});
+
+frontdeskLock.addEventListener('click', () => {
+  sessionStorage.removeItem(FRONTDESK_SESSION_KEY);
+  showDashboard(false);
+});
+
+// ==============================
+// Booking data
+// - 'local': bookings made in this browser (see "Bookings kept on this device" in script.js)
+// - 'mock': what the mock transport has received (bookingBackend.mock.storageKey)
+// ==============================
+function readBookings(source) {
+  if (source === 'mock') {
+    try {
+      // room bookings only: slot reservations (kind: 'slot') and amendments go through the same backend;
+      // amendments are applied to the bookings they belong to
+      const records = JSON.parse(localStorage.getItem(bookingBackend.mock.storageKey) || '[]');
+      return records.filter(b => !b.kind).map(b => applyAmendments(b, records));
+    } catch (err) {
+      return [];
+    }
+  }
+  return readStoredBookings();
+}
+
+// Status column text: cancelled bookings keep their last status underneath
+function statusText(booking, label) {
+  return label(isBookingCancelled(booking) ? { id: 'cancelled', label: 'Cancelled' } : getBookingStatus(booking.status));
+}
+
+// Deposit pending = still in the first status; any later status means the deposit came in
+function depositState(booking) {
+  return getBookingStatus(booking.status).id === bookingStatuses[0].id ? 'pending' : 'received';
+}
+
+function readFilters() {
+  return {
+    source: document.getElementById('filterSource').value,
+    from: document.getElementById('filterFrom').value,
+    to: document.getElementById('filterTo').value,
+    room: document.getElementById('filterRoom').value,
+    deposit: document.getElementById('filterDeposit').value
+  };
+}
+
+// A stay overlaps the range when it starts before the range ends and ends after it starts
+function filterBookings(bookings, filters) {
+  return bookings
+    .filter(b => !filters.from || b.checkout > filters.from)
+    .filter(b => !filters.to || b.checkin <= filters.to)
+    .filter(b => !filters.room || (b.rooms || []).some(line => line.roomType === filters.room))
+    .filter(b => !filters.deposit || (!isBookingCancelled(b) && depositState(b) === filters.deposit))
+    .sort((a, b) => (a.checkin < b.checkin ? 1 : a.checkin > b.checkin ? -1 : 0));
+}
+
+// ==============================
+// Bookings table
+// ==============================
+function renderBookingRows(bookings, source) {
+  const rowsEl = document.getElementById('bookingRows');
+  document.getElementById('bookingCount').textContent = `(${bookings.length})`;
+  document.getElementById('bookingEmpty').hidden = bookings.length > 0;
+
+  rowsEl.innerHTML = bookings.map(b => {
+    // bookings stored on this device open in the site's confirmation view with the status controls
+    const reference = source === 'local'
+      ? `<a href="index.html?booking=${encodeURIComponent(b.reference)}&frontdesk=1">${escapeHtml(b.reference)}</a>`
+      : escapeHtml(b.reference);
+    return `
+      <tr>
+        <td>${reference}</td>
+        <td>${escapeHtml(b.guest.name)}<br><small>${escapeHtml(b.guest.phone)} · ${escapeHtml(b.guest.email)}</small></td>
+        <td>${escapeHtml(b.checkin)}</td>
+        <td>${escapeHtml(b.checkout)}</td>
+        <td>${b.nights}</td>
+        <td>${escapeHtml(describeRoomLines(b.rooms || []))}</td>
+        <td>${formatNaira(b.total)}</td>
+        <td class="deposit-${depositState(b)}">${formatNaira(b.deposit || 0)}</td>
+        <td>${escapeHtml(statusText(b, statusLabel))}</td>
+      </tr>`;
+  }).join('');
+}
+
+// ==============================
+// Occupancy calendar
+// - One row per room type, one column per night; each cell is "rooms taken / rooms in the hotel"
+// - Taken = the listed bookings (all statuses, cancelled ones left out) + inventory `booked` ranges; `blocked`
+//   nights count as full
+// ==============================
+function occupancyNights(filters) {
+  const start = parseISO(filters.from) || parseISO(hotelNow().date);
+  let end = parseISO(filters.to) ? addDays(parseISO(filters.to), 1) : addDays(start, OCCUPANCY_DEFAULT_DAYS);
+  if (end <= start) end = addDays(start, 1);
+  return eachNight(start, end).slice(0, OCCUPANCY_MAX_DAYS).map(isoDate);
+}
+
+function roomsTaken(roomType, iso, bookings) {
+  const fromBookings = bookings.reduce((sum, b) => {
+    if (isBookingCancelled(b) || !(iso >= b.checkin && iso < b.checkout)) return sum;
+    return sum + (b.rooms || []).filter(line => line.roomType === roomType).reduce((n, line) => n + line.rooms, 0);
+  }, 0);
+  if (!inventory) return { taken: fromBookings, blocked: false };
+  const blocked = (inventory.blocked || []).some(r => r.room === roomType && iso >= r.from && iso < r.to);
+  const fromInventory = (inventory.booked || [])
+    .filter(r => r.room === roomType && iso >= r.checkin && iso < r.checkout)
+    .reduce((sum, r) => sum + (r.units || 1), 0);
+  return { taken: fromBookings + fromInventory, blocked };
+}
+
+function renderOccupancy(bookings, filters) {
+  const nights = occupancyNights(filters);
+  const rooms = filters.room ? roomCatalog.filter(room => room.id === filters.room) : roomCatalog;
+  const head = nights.map(iso => `<th scope="col">${escapeHtml(formatShortDate(parseISO(iso)))}</th>`).join('');
+
+  const rows = rooms.map(room => {
+    const units = inventory && inventory.units ? inventory.units[room.id] : undefined;
+    const cells = nights.map(iso => {
+      const { taken, blocked } = roomsTaken(room.id, iso, bookings);
+      if (blocked) return '<td class="occupancy-blocked" title="Blocked">—</td>';
+      if (typeof units !== 'number') return `<td>${taken}</td>`;
+      const share = taken / units;
+      const level = share >= 1 ? 'full' : share >= 0.75 ? 'high' : share > 0 ? 'some' : 'free';
+      return `<td class="occupancy-${level}">${taken}/${units}</td>`;
+    }).join('');
+    return `<tr><th scope="row">${escapeHtml(roomName(room.id))}</th>${cells}</tr>`;
+  }).join('');
+
+  document.getElementById('occupancyCalendar').innerHTML = `
+    <table class="occupancy-table">
+      <thead><tr><th scope="col">Room type</th>${head}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// ==============================
+// CSV export (the filtered bookings, one row per booking; amounts in naira)
+// ==============================
+// Text that a spreadsheet would read as a formula (=, +, -, @, tab, CR first: guest names and messages come from
+// the public form) is prefixed with ' so it opens as plain text; amounts stay numbers
+function csvCell(value) {
+  const text = String(value == null ? '' : value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildBookingsCsv(bookings) {
+  const header = ['Reference', 'Created', 'Guest', 'Email', 'Phone', 'Check-in', 'Check-out', 'Nights', 'Rooms',
+    'Add-ons', 'Promo code', 'Total (NGN)', 'Deposit (NGN)', 'Balance (NGN)', 'Deposit', 'Status', 'Delivery', 'Language', 'Source', 'Terms version'];
+  const rows = bookings.map(b => [
+    b.reference, b.createdAt, b.guest.name, b.guest.email, b.guest.phone, b.checkin, b.checkout, b.nights,
+    describeRoomLines(b.rooms || []), describeAddOns(b.addOns || []), b.promoCode, b.total, b.deposit, b.balance, depositState(b),
+    statusText(b, status => status.label), b.delivery || '', b.language || '', b.source, b.termsVersion || ''
+  ]);
+  // BOM first so spreadsheet apps read the naira sign and names with accents as UTF-8
+  return '﻿' + [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadCsv(bookings) {
+  const blob = new Blob([buildBookingsCsv(bookings)], { type: 'text/csv;charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `wizmore-bookings-${hotelNow().date}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ==============================
+// Dashboard wiring
+// ==============================
+let visibleBookings = [];
+
+function renderDashboard() {
+  const filters = readFilters();
+  const bookings = readBookings(filters.source);
+  visibleBookings = filterBookings(bookings, filters);
+  renderBookingRows(visibleBookings, filters.source);
+  // the calendar counts every booking of the source (room filter aside), not only the listed page of them
+  renderOccupancy(filterBookings(bookings, Object.assign({}, filters, { deposit: '' })), filters);
+}
+
+(function setupFrontdesk() {
+  const roomFilter = document.getElementById('filterRoom');
+  roomCatalog.forEach(room => {
+    const option = document.createElement('option');
+    option.value = room.id;
+    option.textContent = roomName(room.id);
+    roomFilter.appendChild(option);
+  });
+  document.getElementById('filterSource').value = getBookingTransportName() === 'mock' ? 'mock' : 'local';
+  document.getElementById('filterFrom').value = hotelNow().date;
+
+  document.getElementById('frontdeskFilters').addEventListener('change', renderDashboard);
+  document.getElementById('frontdeskFilters').addEventListener('submit', (e) => e.preventDefault());
+  document.getElementById('exportCsv').addEventListener('click', () => downloadCsv(visibleBookings));
+  // bookings made in another tab of this browser show up without a reload
+  window.addEventListener('storage', () => {
+    if (!frontdeskDashboard.hidden) renderDashboard();
+  });
+
+  if (!isPasscodeConfigured()) {
+    sessionStorage.removeItem(FRONTDESK_SESSION_KEY);
+    showDashboard(false);
+    showGateProblem(PASSCODE_SETUP_MESSAGE);
+    return;
+  }
+  // the occupancy and nightly figures all come from booking-quote.js
+  if (!bookingQuoteLoaded) {
+    showDashboard(false);
+    showGateProblem('booking-quote.js did not load, so the dashboard cannot work out stays or occupancy. Check that the file is deployed next to frontdesk.html.');
+    return;
+  }
+  showDashboard(isFrontdeskUnlocked());
+})();
@@ -0,0 +1,2033 @@
+// i18n.js
+// String catalog for the site, one block per language (see `languages` in script.js).
+// - Keys are flat ('section.name'); `{name}` placeholders are filled in by t() in script.js
+// - A value can be { one, other } (or any Intl.PluralRules category) for counts passed as `n`
+// - 'label.*' keys translate labels that come from the configuration in booking-quote.js (rate rules,
+//   promotions, room amenities); add one per language when you add a season, promotion or amenity there
+// - 'room.<id>', 'room.<id>.text' and 'room.<id>.book' translate a roomCatalog entry; without them the
+//   catalog's English text is shown (and 'rooms.book' builds the button label)
+// - 'addOn.<id>' translates an `addOns` entry's name; 'addOn.per.<per>' is its price line ("{price} per night")
+// - 'menu.section.<id>', 'menu.tag.<tag>' and 'menu.meal.<id>' translate data/menu.json sections, dietary tags
+//   and meal times (dish names and descriptions live in the data file)
+// - A key missing from a language falls back to English, so a new string only has to be added to `en` first
+// - Load this file before script.js
+
+const translations = {
+  en: {
+    'meta.title': 'Wizmore Hotel Owerri | Luxury Redefined',
+
+    'nav.home': 'Home',
+    'nav.about': 'About',
+    'nav.rooms': 'Rooms',
+    'nav.dining': 'Dining',
+    'nav.amenities': 'Amenities',
+    'nav.gallery': 'Gallery',
+    'nav.contact': 'Contact',
+    'nav.book': 'Book Now',
+    'nav.currency': 'Display prices in',
+    'nav.language': 'Language',
+
+    'hero.title': 'Welcome to Wizmore Hotel Owerri',
+    'hero.text': 'Experience unparalleled luxury in the heart of Imo State, Nigeria. Where elegance meets exceptional hospitality.',
+    'hero.explore': 'Explore Rooms',
+    'hero.contact': 'Contact Us',
+
+    'about.title': 'Our Story',
+    'about.heading': 'Refined Luxury in the Heart of Owerri',
+    'about.p1': 'Wizmore Hotel Owerri stands as a beacon of sophistication and comfort in Imo State. Since our inception, we have redefined luxury hospitality in Nigeria with our unwavering commitment to excellence, personalized service, and world-class amenities.',
+    'about.p2': 'Our hotel seamlessly blends contemporary design with Nigerian cultural elegance, creating an atmosphere where every guest feels like royalty. From our meticulously appointed rooms to our award-winning culinary experiences, every detail is crafted to provide an unforgettable stay.',
+    'about.p3': 'Located in the vibrant city of Owerri, we offer the perfect sanctuary for both business and leisure travelers seeking an exceptional experience in the heart of southeastern Nigeria.',
+    'about.more': 'Discover More',
+    'about.imageAlt': 'Wizmore Hotel Lobby',
+
+    'rooms.title': 'Exquisite Accommodations',
+    'rooms.perNight': '{price} / night',
+    'rooms.book': 'Book {name}',
+    'room.executive': 'Executive Suite',
+    'room.deluxe': 'Deluxe Room',
+    'room.standard': 'Standard Room',
+    'room.executive.text': 'Our most luxurious accommodation featuring panoramic city views, separate living area, and premium amenities.',
+    'room.deluxe.text': 'Elegant and spacious room with premium furnishings, perfect for both business and leisure travelers.',
+    'room.standard.text': 'Comfortable and stylish room with all essential amenities for a relaxing stay in Owerri.',
+    'room.executive.book': 'Book Executive',
+    'room.deluxe.book': 'Book Deluxe',
+    'room.standard.book': 'Book Standard',
+    'label.King Bed': 'King Bed',
+    'label.City View': 'City View',
+    'label.Marble Bathroom': 'Marble Bathroom',
+    'label.Butler Service': 'Butler Service',
+    'label.Queen Bed': 'Queen Bed',
+    'label.Premium Amenities': 'Premium Amenities',
+    'label.Work Desk': 'Work Desk',
+    'label.24/7 Room Service': '24/7 Room Service',
+    'label.Twin Beds': 'Twin Beds',
+    'label.Flat-screen TV': 'Flat-screen TV',
+    'label.Mini Fridge': 'Mini Fridge',
+    'label.Free Wi-Fi': 'Free Wi-Fi',
+
+    'dining.title': 'Culinary Excellence',
+    'dining.heading': 'Gourmet Dining Experiences',
+    'dining.p1': 'At Wizmore Hotel Owerri, we celebrate the rich culinary heritage of Nigeria while embracing international flavors. Our award-winning chefs craft exquisite dishes using the freshest local ingredients and innovative techniques.',
+    'dining.p2': 'From our elegant fine-dining restaurant to our sophisticated rooftop bar, every venue offers a unique ambiance and exceptional service. Enjoy authentic Nigerian specialties, international cuisine, or handcrafted cocktails as you take in the vibrant atmosphere of Owerri.',
+    'dining.p3': 'Our private dining rooms are perfect for intimate gatherings or business meetings, while our grand ballroom hosts unforgettable events with customized menus.',
+    'dining.menu': 'View Menu',
+    'dining.menuTitle': 'Our Menu',
+    'dining.imageAlt': 'Wizmore Restaurant',
+
+    'menu.search': 'Search the menu',
+    'menu.searchPlaceholder': 'Dish, drink or ingredient',
+    'menu.section': 'Section',
+    'menu.allSections': 'All sections',
+    'menu.mealTime': 'Served',
+    'menu.anyTime': 'Any time',
+    'menu.now': 'Available now',
+    'menu.meal.breakfast': 'Breakfast',
+    'menu.meal.lunch': 'Lunch',
+    'menu.meal.dinner': 'Dinner',
+    'menu.meal.bar': 'Bar',
+    'menu.mealHours': '{meal} ({from}–{to})',
+    'menu.spice': 'Spice',
+    'menu.anySpice': 'Any',
+    'menu.spiceMax.0': 'Not spicy',
+    'menu.spiceMax.1': 'Mild at most',
+    'menu.spiceMax.2': 'Medium at most',
+    'menu.spice.1': 'Mild',
+    'menu.spice.2': 'Medium',
+    'menu.spice.3': 'Hot',
+    'menu.dietary': 'Dietary',
+    'menu.tag.vegetarian': 'Vegetarian',
+    'menu.tag.vegan': 'Vegan',
+    'menu.tag.gluten-free': 'Gluten-free',
+    'menu.tag.dairy-free': 'Dairy-free',
+    'menu.tag.halal': 'Halal',
+    'menu.section.nigerian': 'Nigerian Specialties',
+    'menu.section.continental': 'Continental',
+    'menu.section.bar': 'Bar',
+    'menu.served': 'Served: {times}',
+    'menu.count': { one: '{n} item', other: '{n} items' },
+    'menu.empty': 'Nothing on the menu matches these filters.',
+    'menu.loading': 'Loading the menu…',
+    'menu.unavailable': 'The menu could not be loaded right now. Here are photos of the printed menu instead.',
+    'menu.photos': 'Menu photos',
+    'menu.photoAlt': 'Page of the printed menu',
+
+    'amenities.title': 'Premium Amenities',
+    'amenity.pool': 'Infinity Pool',
+    'amenity.pool.text': 'Luxurious outdoor pool with stunning city views',
+    'amenity.spa': 'Spa & Wellness',
+    'amenity.spa.text': 'Rejuvenating treatments and relaxation therapies',
+    'amenity.fitness': 'Fitness Center',
+    'amenity.fitness.text': 'State-of-the-art equipment and personal training',
+    'amenity.dining': 'Fine Dining',
+    'amenity.dining.text': 'Multiple restaurants and bars with diverse cuisines',
+    'amenity.events': 'Event Spaces',
+    'amenity.events.text': 'Versatile venues for conferences and celebrations',
+    'amenity.concierge': 'Concierge',
+    'amenity.concierge.text': '24/7 personalized assistance for all your needs',
+    'amenity.hours': 'Opening hours',
+    'amenity.prices': 'Prices',
+    'amenity.rules': 'Good to know',
+    'amenity.free': 'Free',
+    'amenity.allDay': 'Open 24 hours',
+    'amenity.showPhoto': 'Show photo {n}',
+    'slot.title': 'Reserve a time slot',
+    'slot.service': 'Treatment or session',
+    'slot.date': 'Date',
+    'slot.guests': 'Guests',
+    'slot.time': 'Time',
+    'slot.submit': 'Reserve Slot',
+    'slot.left': { one: '{n} place left', other: '{n} places left' },
+    'slot.full': 'Full',
+    'slot.none': 'No times left on this day. Please choose another date.',
+    'slot.pickDate': 'Choose a date to see the times.',
+    'slot.total': 'Total: {total}.',
+    'slot.payAtDesk': 'Payment is taken at the desk on the day.',
+    'slot.noCharge': 'No charge for hotel guests.',
+    'slot.chooseTime': 'Please choose a time.',
+    'slot.taken': 'That time no longer has enough places. Please choose another.',
+    'slot.dateRange': 'Please choose a date between {from} and {to}.',
+    'slot.guestCount': { one: '{n} guest', other: '{n} guests' },
+    'slot.done': 'Reserved: {details}. Your reference is {reference}.',
+    'slot.donePending': 'Saved on this device: {details} (reference {reference}). It will be sent as soon as you are back online.',
+
+    'gallery.title': 'Hotel Gallery',
+    'gallery.more': 'View More',
+    'gallery.lobby': 'Lobby',
+    'gallery.suite': 'Suite',
+    'gallery.restaurant': 'Restaurant',
+    'gallery.pool': 'Pool',
+    'gallery.spa': 'Spa',
+    'gallery.prev': 'Previous image',
+    'gallery.next': 'Next image',
+    'gallery.close': 'Close gallery',
+    'gallery.fullscreen': 'Full screen',
+    'gallery.exitFullscreen': 'Exit full screen',
+    'dialog.close': 'Close',
+    'gallery.roomImage': 'Room image {n}',
+
+    'contact.title': 'Contact Us',
+    'contact.heading': 'Get In Touch',
+    'contact.location': 'Location',
+    'contact.phone': 'Phone',
+    'contact.email': 'Email',
+    'contact.hours': 'Opening Hours',
+    'contact.frontDesk': '24/7 Front Desk Service',
+    'contact.whatsapp': 'Chat with Wizmore Hotel on WhatsApp',
+
+    'form.name': 'Full Name',
+    'form.email': 'Email Address',
+    'form.phone': 'Phone Number',
+    'form.checkin': 'Check-in Date',
+    'form.checkout': 'Check-out Date',
+    'form.roomsAndGuests': 'Rooms & Guests',
+    'form.roomType': 'Room Type',
+    'form.selectRoom': 'Select Room Type',
+    'form.rooms': 'Rooms',
+    'form.adults': 'Adults',
+    'form.children': 'Children',
+    'form.extraBeds': 'Extra Beds',
+    'form.addRoom': '+ Add another room type',
+    'form.addOns': 'Add-ons',
+    'form.removeRoom': 'Remove this room',
+    'form.promo': 'Promo Code',
+    'form.optional': 'Optional',
+    'form.message': 'Special Requests',
+    'form.messagePlaceholder': 'Any special requests or notes?',
+    'form.submit': 'Book Your Stay',
+    'form.modalTitle': 'Book Your Stay at Wizmore Hotel',
+    'form.modalSubmit': 'Confirm Reservation',
+    'form.sending': 'Sending…',
+    'form.incomplete': 'Please complete check-in, check-out and room type before booking.',
+    'form.invalidDates': 'Please choose valid check-in and check-out dates.',
+    'form.terms': 'I agree that my booking is not fully secured until a 50% down payment is made. Bookings are first-come, first-serve, and deposits are non-refundable after the stay expires. Please contact Wizmore Hotel via WhatsApp, phone, or email to confirm your down payment.',
+
+    'validation.name': 'Please enter your full name.',
+    'validation.emailRequired': 'Please enter your email address.',
+    'validation.email': 'Please enter a valid email address, e.g. name@example.com.',
+    'validation.phoneRequired': 'Please enter your phone number.',
+    'validation.phone': 'Please enter a valid phone number, e.g. 0803 123 4567 or +234 803 123 4567.',
+    'validation.checkinRequired': 'Please choose a check-in date.',
+    'validation.checkinPast': 'Check-in cannot be in the past.',
+    'validation.sameDayCutoff': 'Same-day bookings close at {time} (Owerri time). Please choose a later date or call us on {phone}.',
+    'validation.checkoutRequired': 'Please choose a check-out date.',
+    'validation.checkoutOrder': 'Check-out must be after check-in.',
+    'validation.maxStay': 'Online bookings are limited to {n} nights. For a longer stay please contact us.',
+    'validation.room': 'Please choose a room type.',
+    'validation.count': 'Please enter a whole number from {min} to {max}.',
+    'validation.terms': 'Please accept the booking terms to continue.',
+    'validation.challengeRequired': 'Please answer the quick sum.',
+    'validation.challenge': 'That is not the answer to the sum. Please try again.',
+
+    'summary.nights': 'Nights:',
+    'summary.rates': 'Nightly rates:',
+    'summary.extras': 'Extra guests & beds:',
+    'summary.addOns': 'Add-ons:',
+    'summary.discount': 'Discount:',
+    'summary.total': 'Total:',
+    'summary.deposit': 'Deposit to secure booking:',
+    'summary.balance': 'Balance on arrival:',
+    'summary.chooseDates': 'Please choose valid dates and a room type.',
+    'summary.nairaNote': 'Charged in naira: {total} (deposit {deposit}). Other currencies are approximate.',
+
+    'count.adult': { one: '{n} adult', other: '{n} adults' },
+    'count.child': { one: '{n} child', other: '{n} children' },
+    'count.extraBed': { one: '{n} extra bed', other: '{n} extra beds' },
+    'count.room': { one: '{n} room', other: '{n} rooms' },
+    'count.guest': { one: '{n} guest', other: '{n} guests' },
+    'count.night': { one: '{n} night', other: '{n} nights' },
+
+    'addOn.airportPickup': 'Airport pickup from Sam Mbakwe Airport',
+    'addOn.breakfast': 'Breakfast buffet',
+    'addOn.welcomeDinner': 'Welcome dinner at the restaurant',
+    'addOn.parking': 'Secure parking (one car)',
+    'addOn.lateCheckout': 'Late checkout (until 16:00)',
+    'addOn.per.stay': '{price} per stay',
+    'addOn.per.night': '{price} per night',
+    'addOn.per.guest': '{price} per guest',
+    'addOn.per.guestNight': '{price} per guest per night',
+
+    'occupancy.needsAdult': '{room}: each room needs at least one adult.',
+    'occupancy.tooManyBeds': '{room}: at most {beds} for {rooms}.',
+    'occupancy.tooManyGuests': '{room} × {rooms}: sleeps at most {capacity} guests — {hint}.',
+    'occupancy.addBedOrRoom': 'add an extra bed or another room',
+    'occupancy.addRoom': 'add another room',
+
+    'stay.anyBooking': 'A booking',
+    'stay.minNights': '{label} requires a minimum stay of {n} nights.',
+    'stay.soldOut': '{room} is sold out on: {dates}. Please choose other dates or another room.',
+    'stay.notEnoughRooms': '{room} does not have {units} rooms free on: {dates}. Please choose other dates or another room.',
+
+    'promo.invalid': '"{code}" is not a valid promo code.',
+    'promo.validBetween': '{code} is only valid for check-ins from {from} until {to}.',
+    'promo.validFrom': '{code} is only valid for check-ins from {from}.',
+    'promo.validUntil': '{code} is only valid for check-ins until {to}.',
+    'promo.wrongRoom': '{code} does not apply to this room type.',
+    'promo.minNights': '{code} needs a stay of at least {n} nights.',
+    'promo.applied': '{code} applied.',
+    'deals.badge': 'Deals',
+    'deals.title': '{label} — code {code}',
+
+    'toast.dismiss': 'Dismiss',
+    'toast.sending': 'Sending your booking…',
+    'toast.failed': 'Something went wrong while sending your booking. Please try again, or contact us on WhatsApp or by phone.',
+    'booking.unavailable': 'Online booking is not available right now. Please call or WhatsApp us and we will book your stay.',
+    'toast.pending': '⏳ Pending — your booking is saved on this device and will send automatically when you\'re back online.',
+    'toast.queuedRejected': 'A saved booking could not be accepted. Please book again or contact us on WhatsApp or by phone.',
+    'toast.queuedSent': {
+      one: '✅ Your saved booking has now been sent. A confirmation is on its way to your email.',
+      other: '✅ Your saved bookings have now been sent. A confirmation is on its way to your email.'
+    },
+
+    'status.label': 'Booking status',
+    'status.pending-deposit': 'Pending deposit',
+    'status.deposit-received': 'Deposit received',
+    'status.confirmed': 'Confirmed',
+    'status.checked-in': 'Checked in',
+
+    'confirm.title': 'Your Booking at Wizmore Hotel',
+    'confirm.pending': '⏳ Pending — this booking is saved on this device and will be sent to the hotel automatically when you\'re back online.',
+    'confirm.reference': 'Booking reference:',
+    'confirm.guest': 'Guest',
+    'confirm.email': 'Email',
+    'confirm.phone': 'Phone',
+    'confirm.rooms': 'Rooms',
+    'confirm.checkin': 'Check-in',
+    'confirm.checkout': 'Check-out',
+    'confirm.checkinFrom': '{date}, from {time}',
+    'confirm.checkoutBy': '{date}, by {time}',
+    'confirm.nights': 'Nights',
+    'confirm.requests': 'Special requests',
+    'confirm.discountCode': 'Discount ({code}):',
+    'confirm.notFound': 'We couldn\'t find booking {reference} on this device. Please check the reference in your confirmation email, or contact us on {phone}.',
+    'confirm.print': 'Print',
+    'confirm.ics': 'Add to Calendar (.ics)',
+    'confirm.close': 'Back to Site',
+    'confirm.noRequests': 'No special requests.',
+    'confirm.noAddOns': 'No add-ons.',
+
+    'payment.title': 'Secure your booking',
+    'payment.intro': 'Your booking is held but not secured until the deposit of {amount} is paid. Please transfer it to:',
+    'payment.bank': 'Bank',
+    'payment.accountName': 'Account name',
+    'payment.accountNumber': 'Account number',
+    'payment.narration': 'Narration',
+    'payment.proof': 'Use your booking reference as the transfer narration so we can match your payment, then send the proof of payment via WhatsApp, phone or email.',
+
+    'frontdesk.status': 'Front desk — booking status',
+    'frontdesk.update': 'Update Status',
+
+    'ics.summary': 'Stay at {hotel} ({reference})',
+    'ics.reference': 'Booking reference: {reference}',
+    'ics.rooms': 'Rooms: {rooms}',
+    'ics.nights': 'Nights: {n}',
+    'ics.total': 'Total: {total}',
+    'ics.times': 'Check-in from {checkin}, check-out by {checkout}',
+
+    'whatsapp.send': 'Send via WhatsApp',
+    'whatsapp.greeting': 'Hello {hotel}, I would like to confirm this reservation:',
+    'whatsapp.reference': 'Booking reference: {reference}',
+    'whatsapp.name': 'Name: {name}',
+    'whatsapp.rooms': 'Room: {rooms}',
+    'whatsapp.dates': 'Dates: {checkin} → {checkout}',
+    'whatsapp.nights': 'Nights: {n}',
+    'whatsapp.addOns': 'Add-ons: {addOns}',
+    'whatsapp.total': 'Total: {total}',
+    'whatsapp.deposit': 'Deposit due: {deposit}',
+
+    'picker.open': 'Choose dates on a calendar',
+    'picker.prev': 'Previous month',
+    'picker.next': 'Next month',
+    'picker.chooseCheckin': 'Pick your check-in date',
+    'picker.chooseCheckout': 'Check-in {checkin} — now pick your check-out date',
+    'picker.checkinOnly': 'Check-in {checkin}, check-out not chosen yet',
+    'picker.selected': '{checkin} → {checkout} ({nights})',
+    'picker.pricesFor': 'Nightly prices for the {room}',
+    'picker.pricesFrom': 'Lowest nightly price of any room',
+    'picker.perNight': '{price} a night',
+    'picker.unavailable': 'unavailable',
+    'picker.checkinDay': 'check-in',
+    'picker.checkoutDay': 'check-out',
+    'picker.clear': 'Clear dates',
+
+    'spam.trap': 'Leave this field empty',
+    'spam.challenge': 'Quick check against spam:',
+    'spam.tooFast': 'That was very quick. Please check your details, wait {n} seconds and send again.',
+    'spam.rejected': 'This request could not be sent. Please call us on {phone} to book.',
+    'spam.rateLimited': 'Several requests have been sent from this browser in a short time. Please try again in {minutes} min, or call us on {phone}.',
+
+    'manage.pageTitle': 'Manage My Booking | Wizmore Hotel Owerri',
+    'manage.title': 'Manage My Booking',
+    'manage.find': 'Find your booking',
+    'manage.intro': 'Enter your booking reference and the email address you booked with.',
+    'manage.reference': 'Booking reference',
+    'manage.findButton': 'Find My Booking',
+    'manage.yourBooking': 'Your booking',
+    'manage.change': 'Change Dates or Room',
+    'manage.cancel': 'Cancel Booking',
+    'manage.changeTitle': 'Change your stay',
+    'manage.sendChange': 'Send Change Request',
+    'manage.back': 'Back',
+    'manage.cancelTitle': 'Cancel your booking',
+    'manage.cancelConfirm': 'Cancel This Booking',
+    'manage.keep': 'Keep My Booking',
+    'manage.link': 'Change or Cancel',
+    'manage.lookupIncomplete': 'Please enter your booking reference and a valid email address.',
+    'manage.notFound': 'We could not find booking {reference} with that email address. Please check both against your confirmation email, or call us on {phone}.',
+    'manage.lookupFailed': 'Your booking could not be looked up right now. Please try again in a moment, or call us on {phone}.',
+    'manage.started': 'This stay has already started, so it can no longer be changed or cancelled online. Please call the front desk on {phone}.',
+    'manage.noChange': 'These are the dates, rooms and add-ons you already have.',
+    'manage.was': 'Your booking now:',
+    'manage.difference': 'Price difference:',
+    'manage.depositTopUp': 'Deposit paid: {paid}. Still to pay to secure the new booking: {amount}.',
+    'manage.depositCovered': 'Deposit paid: {paid}, which still secures the new booking.',
+    'manage.changeSent': 'Your change to booking {reference} has been sent. The front desk will confirm it, and any payment difference, by email.',
+    'manage.cancelSent': 'Booking {reference} is cancelled. Refund due: {refund}. The front desk will confirm the refund by email.',
+    'manage.cancelPolicy': 'Our booking terms: deposits are non-refundable after the stay expires, so a booking cancelled before check-in has its deposit refunded in full.',
+    'manage.cancelNoDeposit': 'No deposit has been received for this booking, so there is nothing to refund and nothing to pay.',
+    'manage.cancelRefund': 'You are cancelling on or before {date}, so the deposit you paid, {amount}, will be refunded in full.',
+    'manage.cancelLate': 'The last day for a refund was {date}, so the deposit you paid, {amount}, is non-refundable.',
+    'manage.cancelUnverified': 'Payments are recorded by the front desk, so they will confirm your refund by email: a deposit you have paid is refunded in full for cancellations on or before {date}, and is non-refundable after that.',
+    'manage.refundToConfirm': 'to be confirmed by the front desk',
+    'manage.refundDue': 'Refund due:',
+    'manage.cancelledOn': 'This booking was cancelled on {date}. Refund due: {refund}.',
+    'manage.emailChange': 'Change request for booking {reference}: the new dates and rooms are above. Price difference: {difference}.',
+    'manage.emailCancel': 'Cancellation of booking {reference}. Refund due: {refund}.',
+    'status.cancelled': 'Cancelled',
+
+    'footer.text': 'Experience unparalleled luxury in the heart of Owerri, Imo State. Where Nigerian hospitality meets world-class elegance.',
+    'footer.quickLinks': 'Quick Links',
+    'footer.aboutUs': 'About Us',
+    'footer.roomsSuites': 'Rooms & Suites',
+    'footer.services': 'Services',
+    'footer.contactInfo': 'Contact Info',
+    'footer.rights': '© 2025 Wizmore Hotel Owerri. All rights reserved. | Luxury Redefined in Imo State, Nigeria',
+    'service.events': 'Event Planning',
+    'service.business': 'Business Center',
+    'service.airport': 'Airport Transfer',
+    'service.concierge': 'Concierge Services',
+    'service.spa': 'Spa Treatments',
+
+    'label.Weekend': 'Weekend',
+    'label.Festive season': 'Festive season',
+    'label.New Year\'s Eve': 'New Year\'s Eve',
+    'label.Owerri trade fair': 'Owerri trade fair',
+    'label.Festive 5% off': 'Festive 5% off',
+    'label.Suite long stay': 'Suite long stay',
+    'label.Owerri local 10%': 'Owerri local 10%',
+    'label.5% Off': '5% Off'
+  },
+
+  fr: {
+    'meta.title': 'Wizmore Hotel Owerri | Le luxe réinventé',
+
+    'nav.home': 'Accueil',
+    'nav.about': 'À propos',
+    'nav.rooms': 'Chambres',
+    'nav.dining': 'Restauration',
+    'nav.amenities': 'Services',
+    'nav.gallery': 'Galerie',
+    'nav.contact': 'Contact',
+    'nav.book': 'Réserver',
+    'nav.currency': 'Afficher les prix en',
+    'nav.language': 'Langue',
+
+    'hero.title': 'Bienvenue au Wizmore Hotel Owerri',
+    'hero.text': 'Vivez un luxe sans égal au cœur de l\'État d\'Imo, au Nigeria. Là où l\'élégance rencontre une hospitalité d\'exception.',
+    'hero.explore': 'Découvrir les chambres',
+    'hero.contact': 'Nous contacter',
+
+    'about.title': 'Notre histoire',
+    'about.heading': 'Un luxe raffiné au cœur d\'Owerri',
+    'about.p1': 'Le Wizmore Hotel Owerri est une référence d\'élégance et de confort dans l\'État d\'Imo. Depuis nos débuts, nous redéfinissons l\'hôtellerie de luxe au Nigeria grâce à notre engagement constant pour l\'excellence, un service personnalisé et des équipements de classe mondiale.',
+    'about.p2': 'Notre hôtel allie avec harmonie design contemporain et élégance culturelle nigériane, pour que chaque client se sente comme un roi. De nos chambres soigneusement aménagées à nos expériences culinaires primées, chaque détail est pensé pour un séjour inoubliable.',
+    'about.p3': 'Situé dans la ville animée d\'Owerri, nous offrons un refuge idéal aux voyageurs d\'affaires comme de loisirs en quête d\'une expérience exceptionnelle au cœur du sud-est du Nigeria.',
+    'about.more': 'En savoir plus',
+    'about.imageAlt': 'Hall du Wizmore Hotel',
+
+    'rooms.title': 'Des hébergements d\'exception',
+    'rooms.perNight': '{price} / nuit',
+    'rooms.book': 'Réserver : {name}',
+    'room.executive': 'Suite Exécutive',
+    'room.deluxe': 'Chambre Deluxe',
+    'room.standard': 'Chambre Standard',
+    'room.executive.text': 'Notre hébergement le plus luxueux, avec vue panoramique sur la ville, salon séparé et équipements haut de gamme.',
+    'room.deluxe.text': 'Chambre élégante et spacieuse au mobilier haut de gamme, idéale pour les voyages d\'affaires comme de loisirs.',
+    'room.standard.text': 'Chambre confortable et soignée, dotée de tout le nécessaire pour un séjour reposant à Owerri.',
+    'room.executive.book': 'Réserver l\'Exécutive',
+    'room.deluxe.book': 'Réserver la Deluxe',
+    'room.standard.book': 'Réserver la Standard',
+    'label.King Bed': 'Lit king size',
+    'label.City View': 'Vue sur la ville',
+    'label.Marble Bathroom': 'Salle de bain en marbre',
+    'label.Butler Service': 'Service de majordome',
+    'label.Queen Bed': 'Lit queen size',
+    'label.Premium Amenities': 'Équipements haut de gamme',
+    'label.Work Desk': 'Bureau',
+    'label.24/7 Room Service': 'Service en chambre 24h/24',
+    'label.Twin Beds': 'Lits jumeaux',
+    'label.Flat-screen TV': 'Télévision à écran plat',
+    'label.Mini Fridge': 'Minibar',
+    'label.Free Wi-Fi': 'Wi-Fi gratuit',
+
+    'dining.title': 'L\'excellence culinaire',
+    'dining.heading': 'Des expériences gastronomiques',
+    'dining.p1': 'Au Wizmore Hotel Owerri, nous célébrons le riche patrimoine culinaire du Nigeria tout en accueillant les saveurs du monde. Nos chefs primés préparent des plats raffinés à partir des meilleurs produits locaux et de techniques innovantes.',
+    'dining.p2': 'De notre élégant restaurant gastronomique à notre bar raffiné sur le toit, chaque lieu offre une ambiance unique et un service exceptionnel. Savourez des spécialités nigérianes authentiques, une cuisine internationale ou des cocktails maison dans l\'atmosphère vibrante d\'Owerri.',
+    'dining.p3': 'Nos salons privés sont parfaits pour les réunions intimes ou professionnelles, tandis que notre grande salle de bal accueille des événements inoubliables avec des menus sur mesure.',
+    'dining.menu': 'Voir le menu',
+    'dining.menuTitle': 'Notre menu',
+    'dining.imageAlt': 'Restaurant du Wizmore',
+
+    'menu.search': 'Rechercher dans le menu',
+    'menu.searchPlaceholder': 'Plat, boisson ou ingrédient',
+    'menu.section': 'Rubrique',
+    'menu.allSections': 'Toutes les rubriques',
+    'menu.mealTime': 'Servi',
+    'menu.anyTime': 'À toute heure',
+    'menu.now': 'Disponible maintenant',
+    'menu.meal.breakfast': 'Petit-déjeuner',
+    'menu.meal.lunch': 'Déjeuner',
+    'menu.meal.dinner': 'Dîner',
+    'menu.meal.bar': 'Bar',
+    'menu.mealHours': '{meal} ({from}–{to})',
+    'menu.spice': 'Épices',
+    'menu.anySpice': 'Tous',
+    'menu.spiceMax.0': 'Non épicé',
+    'menu.spiceMax.1': 'Doux au plus',
+    'menu.spiceMax.2': 'Moyen au plus',
+    'menu.spice.1': 'Doux',
+    'menu.spice.2': 'Moyen',
+    'menu.spice.3': 'Fort',
+    'menu.dietary': 'Régime',
+    'menu.tag.vegetarian': 'Végétarien',
+    'menu.tag.vegan': 'Végétalien',
+    'menu.tag.gluten-free': 'Sans gluten',
+    'menu.tag.dairy-free': 'Sans lactose',
+    'menu.tag.halal': 'Halal',
+    'menu.section.nigerian': 'Spécialités nigérianes',
+    'menu.section.continental': 'Cuisine continentale',
+    'menu.section.bar': 'Bar',
+    'menu.served': 'Servi : {times}',
+    'menu.count': { one: '{n} plat', other: '{n} plats' },
+    'menu.empty': 'Aucun élément du menu ne correspond à ces filtres.',
+    'menu.loading': 'Chargement du menu…',
+    'menu.unavailable': 'Le menu n\'a pas pu être chargé pour le moment. Voici des photos du menu imprimé.',
+    'menu.photos': 'Photos du menu',
+    'menu.photoAlt': 'Page du menu imprimé',
+
+    'amenities.title': 'Des services haut de gamme',
+    'amenity.pool': 'Piscine à débordement',
+    'amenity.pool.text': 'Une piscine extérieure luxueuse avec une vue imprenable sur la ville',
+    'amenity.spa': 'Spa & bien-être',
+    'amenity.spa.text': 'Soins revitalisants et thérapies de relaxation',
+    'amenity.fitness': 'Salle de sport',
+    'amenity.fitness.text': 'Équipements dernier cri et coaching personnalisé',
+    'amenity.dining': 'Gastronomie',
+    'amenity.dining.text': 'Plusieurs restaurants et bars aux cuisines variées',
+    'amenity.events': 'Espaces événementiels',
+    'amenity.events.text': 'Des salles modulables pour conférences et célébrations',
+    'amenity.concierge': 'Conciergerie',
+    'amenity.concierge.text': 'Une assistance personnalisée 24h/24 pour tous vos besoins',
+    'amenity.hours': 'Horaires d\'ouverture',
+    'amenity.prices': 'Tarifs',
+    'amenity.rules': 'Bon à savoir',
+    'amenity.free': 'Gratuit',
+    'amenity.allDay': 'Ouvert 24 h/24',
+    'amenity.showPhoto': 'Afficher la photo {n}',
+    'slot.title': 'Réserver un créneau',
+    'slot.service': 'Soin ou séance',
+    'slot.date': 'Date',
+    'slot.guests': 'Personnes',
+    'slot.time': 'Heure',
+    'slot.submit': 'Réserver le créneau',
+    'slot.left': { one: '{n} place restante', other: '{n} places restantes' },
+    'slot.full': 'Complet',
+    'slot.none': 'Plus aucun créneau ce jour-là. Veuillez choisir une autre date.',
+    'slot.pickDate': 'Choisissez une date pour voir les horaires.',
+    'slot.total': 'Total : {total}.',
+    'slot.payAtDesk': 'Le paiement se fait à l\'accueil le jour même.',
+    'slot.noCharge': 'Gratuit pour les clients de l\'hôtel.',
+    'slot.chooseTime': 'Veuillez choisir un horaire.',
+    'slot.taken': 'Ce créneau n\'a plus assez de places. Veuillez en choisir un autre.',
+    'slot.dateRange': 'Veuillez choisir une date entre le {from} et le {to}.',
+    'slot.guestCount': { one: '{n} personne', other: '{n} personnes' },
+    'slot.done': 'Réservé : {details}. Votre référence est {reference}.',
+    'slot.donePending': 'Enregistré sur cet appareil : {details} (référence {reference}). La réservation sera envoyée dès votre retour en ligne.',
+
+    'gallery.title': 'Galerie de l\'hôtel',
+    'gallery.more': 'Voir plus',
+    'gallery.lobby': 'Hall',
+    'gallery.suite': 'Suite',
+    'gallery.restaurant': 'Restaurant',
+    'gallery.pool': 'Piscine',
+    'gallery.spa': 'Spa',
+    'gallery.prev': 'Image précédente',
+    'gallery.next': 'Image suivante',
+    'gallery.close': 'Fermer la galerie',
+    'gallery.fullscreen': 'Plein écran',
+    'gallery.exitFullscreen': 'Quitter le plein écran',
+    'dialog.close': 'Fermer',
+    'gallery.roomImage': 'Photo de la chambre {n}',
+
+    'contact.title': 'Nous contacter',
+    'contact.heading': 'Restons en contact',
+    'contact.location': 'Adresse',
+    'contact.phone': 'Téléphone',
+    'contact.email': 'E-mail',
+    'contact.hours': 'Horaires',
+    'contact.frontDesk': 'Réception ouverte 24h/24, 7j/7',
+    'contact.whatsapp': 'Discuter avec le Wizmore Hotel sur WhatsApp',
+
+    'form.name': 'Nom complet',
+    'form.email': 'Adresse e-mail',
+    'form.phone': 'Numéro de téléphone',
+    'form.checkin': 'Date d\'arrivée',
+    'form.checkout': 'Date de départ',
+    'form.roomsAndGuests': 'Chambres et voyageurs',
+    'form.roomType': 'Type de chambre',
+    'form.selectRoom': 'Choisir un type de chambre',
+    'form.rooms': 'Chambres',
+    'form.adults': 'Adultes',
+    'form.children': 'Enfants',
+    'form.extraBeds': 'Lits d\'appoint',
+    'form.addRoom': '+ Ajouter un autre type de chambre',
+    'form.addOns': 'Options',
+    'form.removeRoom': 'Retirer cette chambre',
+    'form.promo': 'Code promo',
+    'form.optional': 'Facultatif',
+    'form.message': 'Demandes particulières',
+    'form.messagePlaceholder': 'Des demandes ou remarques particulières ?',
+    'form.submit': 'Réserver votre séjour',
+    'form.modalTitle': 'Réservez votre séjour au Wizmore Hotel',
+    'form.modalSubmit': 'Confirmer la réservation',
+    'form.sending': 'Envoi…',
+    'form.incomplete': 'Veuillez indiquer l\'arrivée, le départ et le type de chambre avant de réserver.',
+    'form.invalidDates': 'Veuillez choisir des dates d\'arrivée et de départ valides.',
+    'form.terms': 'J\'accepte que ma réservation ne soit garantie qu\'après le versement d\'un acompte de 50 %. Les réservations sont traitées par ordre d\'arrivée et les acomptes ne sont pas remboursables une fois le séjour passé. Veuillez contacter le Wizmore Hotel par WhatsApp, téléphone ou e-mail pour confirmer votre acompte.',
+
+    'validation.name': 'Veuillez saisir votre nom complet.',
+    'validation.emailRequired': 'Veuillez saisir votre adresse e-mail.',
+    'validation.email': 'Veuillez saisir une adresse e-mail valide, par ex. nom@exemple.com.',
+    'validation.phoneRequired': 'Veuillez saisir votre numéro de téléphone.',
+    'validation.phone': 'Veuillez saisir un numéro de téléphone valide, par ex. 0803 123 4567 ou +234 803 123 4567.',
+    'validation.checkinRequired': 'Veuillez choisir une date d\'arrivée.',
+    'validation.checkinPast': 'La date d\'arrivée ne peut pas être passée.',
+    'validation.sameDayCutoff': 'Les réservations pour le jour même ferment à {time} (heure d\'Owerri). Choisissez une date ultérieure ou appelez-nous au {phone}.',
+    'validation.checkoutRequired': 'Veuillez choisir une date de départ.',
+    'validation.checkoutOrder': 'Le départ doit être après l\'arrivée.',
+    'validation.maxStay': 'Les réservations en ligne sont limitées à {n} nuits. Pour un séjour plus long, contactez-nous.',
+    'validation.room': 'Veuillez choisir un type de chambre.',
+    'validation.count': 'Veuillez saisir un nombre entier entre {min} et {max}.',
+    'validation.terms': 'Veuillez accepter les conditions de réservation pour continuer.',
+    'validation.challengeRequired': 'Veuillez répondre au petit calcul.',
+    'validation.challenge': 'Ce n\'est pas le bon résultat. Veuillez réessayer.',
+
+    'summary.nights': 'Nuits :',
+    'summary.rates': 'Tarifs par nuit :',
+    'summary.extras': 'Personnes et lits supplémentaires :',
+    'summary.addOns': 'Options :',
+    'summary.discount': 'Remise :',
+    'summary.total': 'Total :',
+    'summary.deposit': 'Acompte pour garantir la réservation :',
+    'summary.balance': 'Solde à l\'arrivée :',
+    'summary.chooseDates': 'Veuillez choisir des dates valides et un type de chambre.',
+    'summary.nairaNote': 'Facturé en nairas : {total} (acompte {deposit}). Les autres devises sont indicatives.',
+
+    'count.adult': { one: '{n} adulte', other: '{n} adultes' },
+    'count.child': { one: '{n} enfant', other: '{n} enfants' },
+    'count.extraBed': { one: '{n} lit d\'appoint', other: '{n} lits d\'appoint' },
+    'count.room': { one: '{n} chambre', other: '{n} chambres' },
+    'count.guest': { one: '{n} personne', other: '{n} personnes' },
+    'count.night': { one: '{n} nuit', other: '{n} nuits' },
+
+    'addOn.airportPickup': 'Transfert depuis l\'aéroport Sam Mbakwe',
+    'addOn.breakfast': 'Petit-déjeuner buffet',
+    'addOn.welcomeDinner': 'Dîner de bienvenue au restaurant',
+    'addOn.parking': 'Parking sécurisé (une voiture)',
+    'addOn.lateCheckout': 'Départ tardif (jusqu\'à 16 h)',
+    'addOn.per.stay': '{price} par séjour',
+    'addOn.per.night': '{price} par nuit',
+    'addOn.per.guest': '{price} par personne',
+    'addOn.per.guestNight': '{price} par personne et par nuit',
+
+    'occupancy.needsAdult': '{room} : chaque chambre doit accueillir au moins un adulte.',
+    'occupancy.tooManyBeds': '{room} : au maximum {beds} pour {rooms}.',
+    'occupancy.tooManyGuests': '{room} × {rooms} : {capacity} personnes au maximum — {hint}.',
+    'occupancy.addBedOrRoom': 'ajoutez un lit d\'appoint ou une autre chambre',
+    'occupancy.addRoom': 'ajoutez une autre chambre',
+
+    'stay.anyBooking': 'Une réservation',
+    'stay.minNights': '{label} : séjour minimum de {n} nuits.',
+    'stay.soldOut': '{room} est complet le : {dates}. Veuillez choisir d\'autres dates ou une autre chambre.',
+    'stay.notEnoughRooms': '{room} n\'a pas {units} chambres libres le : {dates}. Veuillez choisir d\'autres dates ou une autre chambre.',
+
+    'promo.invalid': '« {code} » n\'est pas un code promo valide.',
+    'promo.validBetween': '{code} n\'est valable que pour les arrivées du {from} au {to}.',
+    'promo.validFrom': '{code} n\'est valable que pour les arrivées à partir du {from}.',
+    'promo.validUntil': '{code} n\'est valable que pour les arrivées jusqu\'au {to}.',
+    'promo.wrongRoom': '{code} ne s\'applique pas à ce type de chambre.',
+    'promo.minNights': '{code} exige un séjour d\'au moins {n} nuits.',
+    'promo.applied': '{code} appliqué.',
+    'deals.badge': 'Offres',
+    'deals.title': '{label} — code {code}',
+
+    'toast.dismiss': 'Fermer',
+    'toast.sending': 'Envoi de votre réservation…',
+    'toast.failed': 'Un problème est survenu lors de l\'envoi de votre réservation. Veuillez réessayer ou nous contacter par WhatsApp ou par téléphone.',
+    'booking.unavailable': 'La réservation en ligne n\'est pas disponible pour le moment. Appelez-nous ou écrivez-nous sur WhatsApp et nous réserverons votre séjour.',
+    'toast.pending': '⏳ En attente — votre réservation est enregistrée sur cet appareil et sera envoyée automatiquement dès votre retour en ligne.',
+    'toast.queuedRejected': 'Une réservation enregistrée n\'a pas pu être acceptée. Veuillez réserver à nouveau ou nous contacter par WhatsApp ou par téléphone.',
+    'toast.queuedSent': {
+      one: '✅ Votre réservation enregistrée a été envoyée. Une confirmation vous parviendra par e-mail.',
+      other: '✅ Vos réservations enregistrées ont été envoyées. Une confirmation vous parviendra par e-mail.'
+    },
+
+    'status.label': 'Statut de la réservation',
+    'status.pending-deposit': 'Acompte en attente',
+    'status.deposit-received': 'Acompte reçu',
+    'status.confirmed': 'Confirmée',
+    'status.checked-in': 'Client arrivé',
+
+    'confirm.title': 'Votre réservation au Wizmore Hotel',
+    'confirm.pending': '⏳ En attente — cette réservation est enregistrée sur cet appareil et sera envoyée automatiquement à l\'hôtel dès votre retour en ligne.',
+    'confirm.reference': 'Référence de réservation :',
+    'confirm.guest': 'Client',
+    'confirm.email': 'E-mail',
+    'confirm.phone': 'Téléphone',
+    'confirm.rooms': 'Chambres',
+    'confirm.checkin': 'Arrivée',
+    'confirm.checkout': 'Départ',
+    'confirm.checkinFrom': '{date}, à partir de {time}',
+    'confirm.checkoutBy': '{date}, avant {time}',
+    'confirm.nights': 'Nuits',
+    'confirm.requests': 'Demandes particulières',
+    'confirm.discountCode': 'Remise ({code}) :',
+    'confirm.notFound': 'Nous n\'avons pas trouvé la réservation {reference} sur cet appareil. Vérifiez la référence dans votre e-mail de confirmation ou appelez-nous au {phone}.',
+    'confirm.print': 'Imprimer',
+    'confirm.ics': 'Ajouter au calendrier (.ics)',
+    'confirm.close': 'Retour au site',
+    'confirm.noRequests': 'Aucune demande particulière.',
+    'confirm.noAddOns': 'Aucune option.',
+
+    'payment.title': 'Garantissez votre réservation',
+    'payment.intro': 'Votre réservation est retenue mais n\'est garantie qu\'après le paiement de l\'acompte de {amount}. Veuillez effectuer un virement vers :',
+    'payment.bank': 'Banque',
+    'payment.accountName': 'Titulaire du compte',
+    'payment.accountNumber': 'Numéro de compte',
+    'payment.narration': 'Libellé',
+    'payment.proof': 'Indiquez votre référence de réservation comme libellé du virement pour que nous puissions l\'identifier, puis envoyez la preuve de paiement par WhatsApp, téléphone ou e-mail.',
+
+    'frontdesk.status': 'Réception — statut de la réservation',
+    'frontdesk.update': 'Mettre à jour',
+
+    'ics.summary': 'Séjour au {hotel} ({reference})',
+    'ics.reference': 'Référence de réservation : {reference}',
+    'ics.rooms': 'Chambres : {rooms}',
+    'ics.nights': 'Nuits : {n}',
+    'ics.total': 'Total : {total}',
+    'ics.times': 'Arrivée à partir de {checkin}, départ avant {checkout}',
+
+    'whatsapp.send': 'Envoyer via WhatsApp',
+    'whatsapp.greeting': 'Bonjour {hotel}, je souhaite confirmer cette réservation :',
+    'whatsapp.reference': 'Référence de réservation : {reference}',
+    'whatsapp.name': 'Nom : {name}',
+    'whatsapp.rooms': 'Chambre : {rooms}',
+    'whatsapp.dates': 'Dates : {checkin} → {checkout}',
+    'whatsapp.nights': 'Nuits : {n}',
+    'whatsapp.addOns': 'Options : {addOns}',
+    'whatsapp.total': 'Total : {total}',
+    'whatsapp.deposit': 'Acompte dû : {deposit}',
+
+    'picker.open': 'Choisir les dates sur un calendrier',
+    'picker.prev': 'Mois précédent',
+    'picker.next': 'Mois suivant',
+    'picker.chooseCheckin': 'Choisissez votre date d\'arrivée',
+    'picker.chooseCheckout': 'Arrivée le {checkin} — choisissez maintenant votre date de départ',
+    'picker.checkinOnly': 'Arrivée le {checkin}, départ pas encore choisi',
+    'picker.selected': '{checkin} → {checkout} ({nights})',
+    'picker.pricesFor': 'Prix par nuit pour la {room}',
+    'picker.pricesFrom': 'Prix par nuit le plus bas, toutes chambres',
+    'picker.perNight': '{price} la nuit',
+    'picker.unavailable': 'indisponible',
+    'picker.checkinDay': 'arrivée',
+    'picker.checkoutDay': 'départ',
+    'picker.clear': 'Effacer les dates',
+
+    'spam.trap': 'Laissez ce champ vide',
+    'spam.challenge': 'Petite vérification anti-spam :',
+    'spam.tooFast': 'C\'était très rapide. Vérifiez vos informations, patientez {n} secondes et envoyez à nouveau.',
+    'spam.rejected': 'Cette demande n\'a pas pu être envoyée. Appelez-nous au {phone} pour réserver.',
+    'spam.rateLimited': 'Plusieurs demandes ont été envoyées depuis ce navigateur en peu de temps. Réessayez dans {minutes} min ou appelez-nous au {phone}.',
+
+    'manage.pageTitle': 'Gérer ma réservation | Wizmore Hotel Owerri',
+    'manage.title': 'Gérer ma réservation',
+    'manage.find': 'Retrouver votre réservation',
+    'manage.intro': 'Saisissez votre référence de réservation et l\'adresse e-mail utilisée pour réserver.',
+    'manage.reference': 'Référence de réservation',
+    'manage.findButton': 'Retrouver ma réservation',
+    'manage.yourBooking': 'Votre réservation',
+    'manage.change': 'Modifier les dates ou la chambre',
+    'manage.cancel': 'Annuler la réservation',
+    'manage.changeTitle': 'Modifier votre séjour',
+    'manage.sendChange': 'Envoyer la demande de modification',
+    'manage.back': 'Retour',
+    'manage.cancelTitle': 'Annuler votre réservation',
+    'manage.cancelConfirm': 'Annuler cette réservation',
+    'manage.keep': 'Garder ma réservation',
+    'manage.link': 'Modifier ou annuler',
+    'manage.lookupIncomplete': 'Veuillez saisir votre référence de réservation et une adresse e-mail valide.',
+    'manage.notFound': 'Nous n\'avons pas trouvé la réservation {reference} avec cette adresse e-mail. Vérifiez les deux dans votre e-mail de confirmation, ou appelez-nous au {phone}.',
+    'manage.lookupFailed': 'Impossible de rechercher votre réservation pour le moment. Réessayez dans un instant ou appelez-nous au {phone}.',
+    'manage.started': 'Ce séjour a déjà commencé : il ne peut plus être modifié ni annulé en ligne. Appelez la réception au {phone}.',
+    'manage.noChange': 'Ce sont déjà les dates, chambres et options de votre réservation.',
+    'manage.was': 'Votre réservation actuelle :',
+    'manage.difference': 'Différence de prix :',
+    'manage.depositTopUp': 'Acompte versé : {paid}. Reste à payer pour garantir la nouvelle réservation : {amount}.',
+    'manage.depositCovered': 'Acompte versé : {paid}, qui garantit toujours la nouvelle réservation.',
+    'manage.changeSent': 'Votre modification de la réservation {reference} a été envoyée. La réception la confirmera par e-mail, ainsi que toute différence de paiement.',
+    'manage.cancelSent': 'La réservation {reference} est annulée. Remboursement dû : {refund}. La réception confirmera le remboursement par e-mail.',
+    'manage.cancelPolicy': 'Nos conditions : les acomptes ne sont pas remboursables une fois le séjour passé ; pour une réservation annulée avant l\'arrivée, l\'acompte est donc remboursé en totalité.',
+    'manage.cancelNoDeposit': 'Aucun acompte n\'a été reçu pour cette réservation : rien à rembourser, rien à payer.',
+    'manage.cancelRefund': 'Vous annulez au plus tard le {date} : l\'acompte versé, {amount}, sera remboursé en totalité.',
+    'manage.cancelLate': 'Le dernier jour pour un remboursement était le {date} : l\'acompte versé, {amount}, n\'est pas remboursable.',
+    'manage.cancelUnverified': 'Les paiements sont enregistrés par la réception, qui vous confirmera votre remboursement par e-mail : un acompte versé est remboursé en totalité pour toute annulation au plus tard le {date}, et n\'est plus remboursable ensuite.',
+    'manage.refundToConfirm': 'à confirmer par la réception',
+    'manage.refundDue': 'Remboursement dû :',
+    'manage.cancelledOn': 'Cette réservation a été annulée le {date}. Remboursement dû : {refund}.',
+    'manage.emailChange': 'Demande de modification de la réservation {reference} : les nouvelles dates et chambres figurent ci-dessus. Différence de prix : {difference}.',
+    'manage.emailCancel': 'Annulation de la réservation {reference}. Remboursement dû : {refund}.',
+    'status.cancelled': 'Annulée',
+
+    'footer.text': 'Vivez un luxe sans égal au cœur d\'Owerri, dans l\'État d\'Imo. Là où l\'hospitalité nigériane rencontre l\'élégance internationale.',
+    'footer.quickLinks': 'Liens rapides',
+    'footer.aboutUs': 'À propos de nous',
+    'footer.roomsSuites': 'Chambres et suites',
+    'footer.services': 'Services',
+    'footer.contactInfo': 'Coordonnées',
+    'footer.rights': '© 2025 Wizmore Hotel Owerri. Tous droits réservés. | Le luxe réinventé dans l\'État d\'Imo, au Nigeria',
+    'service.events': 'Organisation d\'événements',
+    'service.business': 'Centre d\'affaires',
+    'service.airport': 'Transfert aéroport',
+    'service.concierge': 'Conciergerie',
+    'service.spa': 'Soins au spa',
+
+    'label.Weekend': 'Week-end',
+    'label.Festive season': 'Période des fêtes',
+    'label.New Year\'s Eve': 'Réveillon du Nouvel An',
+    'label.Owerri trade fair': 'Foire commerciale d\'Owerri',
+    'label.Festive 5% off': '5 % de remise pour les fêtes',
+    'label.Suite long stay': 'Long séjour en suite',
+    'label.Owerri local 10%': '10 % résidents d\'Owerri',
+    'label.5% Off': '-5 %'
+  },
+
+  ha: {
+    'meta.title': 'Wizmore Hotel Owerri | Jin Daɗi na Musamman',
+
+    'nav.home': 'Gida',
+    'nav.about': 'Game da mu',
+    'nav.rooms': 'Ɗakuna',
+    'nav.dining': 'Abinci',
+    'nav.amenities': 'Kayan more rayuwa',
+    'nav.gallery': 'Hotuna',
+    'nav.contact': 'Tuntuɓe mu',
+    'nav.book': 'Yi ajiya yanzu',
+    'nav.currency': 'Nuna farashi da',
+    'nav.language': 'Harshe',
+
+    'hero.title': 'Barka da zuwa Wizmore Hotel Owerri',
+    'hero.text': 'Ku more jin daɗin da ba a taɓa gani ba a tsakiyar Jihar Imo, Najeriya. Inda kyau ya haɗu da karɓar baƙi na musamman.',
+    'hero.explore': 'Duba ɗakuna',
+    'hero.contact': 'Tuntuɓe mu',
+
+    'about.title': 'Labarinmu',
+    'about.heading': 'Jin daɗi mai kyau a tsakiyar Owerri',
+    'about.p1': 'Wizmore Hotel Owerri alama ce ta kyau da jin daɗi a Jihar Imo. Tun farkonmu, muke sake fasalta karɓar baƙi na alfarma a Najeriya ta hanyar jajircewa kan nagarta, hidima ta musamman da kayan more rayuwa na duniya.',
+    'about.p2': 'Otal ɗinmu ya haɗa zane na zamani da kyawun al\'adun Najeriya, inda kowane baƙo yake jin kamar sarki. Daga ɗakunanmu da aka tsara da kyau zuwa abincinmu da ya ci lambobin yabo, an shirya kowane abu don zama wanda ba za a manta da shi ba.',
+    'about.p3': 'Muna cikin birnin Owerri mai armashi, muna ba da mafaka mafi dacewa ga matafiya na kasuwanci da na hutu da ke neman abin mamaki a tsakiyar kudu maso gabashin Najeriya.',
+    'about.more': 'Ƙara sani',
+    'about.imageAlt': 'Harabar Wizmore Hotel',
+
+    'rooms.title': 'Ɗakuna masu kyau',
+    'rooms.perNight': '{price} / dare',
+    'rooms.book': 'Yi ajiyar {name}',
+    'room.executive': 'Ɗakin Executive',
+    'room.deluxe': 'Ɗakin Deluxe',
+    'room.standard': 'Ɗakin Standard',
+    'room.executive.text': 'Ɗakinmu mafi alfarma, da kallon birni baki ɗaya, falo na daban da kayan more rayuwa na musamman.',
+    'room.deluxe.text': 'Ɗaki mai kyau da faɗi tare da kayan ɗaki na musamman, ya dace da matafiya na kasuwanci da na hutu.',
+    'room.standard.text': 'Ɗaki mai daɗi da kyau da duk abubuwan da ake buƙata don hutu mai daɗi a Owerri.',
+    'room.executive.book': 'Yi ajiyar Executive',
+    'room.deluxe.book': 'Yi ajiyar Deluxe',
+    'room.standard.book': 'Yi ajiyar Standard',
+    'label.King Bed': 'Babban gado',
+    'label.City View': 'Kallon birni',
+    'label.Marble Bathroom': 'Banɗaki na marmara',
+    'label.Butler Service': 'Hidimar mai hidima',
+    'label.Queen Bed': 'Gado mai faɗi',
+    'label.Premium Amenities': 'Kayan more rayuwa na musamman',
+    'label.Work Desk': 'Teburin aiki',
+    'label.24/7 Room Service': 'Hidimar ɗaki awa 24',
+    'label.Twin Beds': 'Gadaje biyu',
+    'label.Flat-screen TV': 'Talabijin mai faɗi',
+    'label.Mini Fridge': 'Ƙaramin firiji',
+    'label.Free Wi-Fi': 'Wi-Fi kyauta',
+
+    'dining.title': 'Abinci mafi kyau',
+    'dining.heading': 'Abinci na alfarma',
+    'dining.p1': 'A Wizmore Hotel Owerri, muna murnar al\'adun abinci na Najeriya tare da ɗanɗanon ƙasashen duniya. Masu dafa abincinmu da suka ci lambobin yabo suna shirya abinci mai daɗi da sabbin kayan gida.',
+    'dining.p2': 'Daga gidan abincinmu na alfarma zuwa mashayarmu ta saman bene, kowane wuri yana da yanayi na musamman da hidima mai kyau. Ku more abincin Najeriya na asali, abincin ƙasashen waje ko abubuwan sha da aka haɗa da hannu a cikin yanayin Owerri.',
+    'dining.p3': 'Ɗakunan cin abincinmu na sirri sun dace da ƙananan taruka ko tarukan kasuwanci, yayin da babban zauren bukukuwanmu ke karɓar taruka da ba za a manta da su ba da abinci na musamman.',
+    'dining.menu': 'Duba jerin abinci',
+    'dining.menuTitle': 'Jerin abincinmu',
+    'dining.imageAlt': 'Gidan abinci na Wizmore',
+
+    'menu.search': 'Bincika menu',
+    'menu.searchPlaceholder': 'Abinci, abin sha ko sinadari',
+    'menu.section': 'Sashe',
+    'menu.allSections': 'Dukkan sassa',
+    'menu.mealTime': 'Ana bayarwa',
+    'menu.anyTime': 'Kowane lokaci',
+    'menu.now': 'Akwai yanzu',
+    'menu.meal.breakfast': 'Karin kumallo',
+    'menu.meal.lunch': 'Abincin rana',
+    'menu.meal.dinner': 'Abincin dare',
+    'menu.meal.bar': 'Mashaya',
+    'menu.mealHours': '{meal} ({from}–{to})',
+    'menu.spice': 'Yaji',
+    'menu.anySpice': 'Kowane',
+    'menu.spiceMax.0': 'Babu yaji',
+    'menu.spiceMax.1': 'Yaji kaɗan a mafi yawa',
+    'menu.spiceMax.2': 'Matsakaicin yaji a mafi yawa',
+    'menu.spice.1': 'Yaji kaɗan',
+    'menu.spice.2': 'Matsakaicin yaji',
+    'menu.spice.3': 'Yaji sosai',
+    'menu.dietary': 'Abinci na musamman',
+    'menu.tag.vegetarian': 'Ba nama',
+    'menu.tag.vegan': 'Ba kayan dabba',
+    'menu.tag.gluten-free': 'Ba alkama',
+    'menu.tag.dairy-free': 'Ba madara',
+    'menu.tag.halal': 'Halal',
+    'menu.section.nigerian': 'Abincin Najeriya na musamman',
+    'menu.section.continental': 'Abincin Turai',
+    'menu.section.bar': 'Mashaya',
+    'menu.served': 'Ana bayarwa: {times}',
+    'menu.count': { one: 'abu {n}', other: 'abubuwa {n}' },
+    'menu.empty': 'Babu abin da ya dace da waɗannan zaɓuɓɓuka a menu.',
+    'menu.loading': 'Ana loda menu…',
+    'menu.unavailable': 'Ba a iya loda menu yanzu ba. Ga hotunan menu da aka buga maimakon haka.',
+    'menu.photos': 'Hotunan menu',
+    'menu.photoAlt': 'Shafin menu da aka buga',
+
+    'amenities.title': 'Kayan more rayuwa na musamman',
+    'amenity.pool': 'Wurin ninkaya',
+    'amenity.pool.text': 'Wurin ninkaya na waje mai kallon birni',
+    'amenity.spa': 'Spa da lafiya',
+    'amenity.spa.text': 'Kulawa mai sabunta jiki da hutawa',
+    'amenity.fitness': 'Wurin motsa jiki',
+    'amenity.fitness.text': 'Kayan aiki na zamani da mai horarwa na musamman',
+    'amenity.dining': 'Abinci na alfarma',
+    'amenity.dining.text': 'Gidajen abinci da mashaya da dama masu abinci iri-iri',
+    'amenity.events': 'Wuraren taruka',
+    'amenity.events.text': 'Wurare don taruka da bukukuwa',
+    'amenity.concierge': 'Mai taimaka wa baƙi',
+    'amenity.concierge.text': 'Taimako na musamman awa 24 don duk bukatunku',
+    'amenity.hours': 'Lokutan buɗewa',
+    'amenity.prices': 'Farashi',
+    'amenity.rules': 'Abin da ya kamata a sani',
+    'amenity.free': 'Kyauta',
+    'amenity.allDay': 'Buɗe awa 24',
+    'amenity.showPhoto': 'Nuna hoto na {n}',
+    'slot.title': 'Ajiye lokaci',
+    'slot.service': 'Magani ko zama',
+    'slot.date': 'Kwanan wata',
+    'slot.guests': 'Baƙi',
+    'slot.time': 'Lokaci',
+    'slot.submit': 'Ajiye Lokaci',
+    'slot.left': { one: 'saura wuri {n}', other: 'saura wurare {n}' },
+    'slot.full': 'Ya cika',
+    'slot.none': 'Babu sauran lokaci a wannan rana. Da fatan a zaɓi wata rana.',
+    'slot.pickDate': 'Zaɓi rana don ganin lokuta.',
+    'slot.total': 'Jimilla: {total}.',
+    'slot.payAtDesk': 'Ana biya a teburin karɓar baƙi a ranar.',
+    'slot.noCharge': 'Kyauta ga baƙin otal.',
+    'slot.chooseTime': 'Da fatan a zaɓi lokaci.',
+    'slot.taken': 'Wannan lokaci ba shi da isasshen wuri yanzu. Da fatan a zaɓi wani.',
+    'slot.dateRange': 'Da fatan a zaɓi rana tsakanin {from} da {to}.',
+    'slot.guestCount': { one: 'baƙo {n}', other: 'baƙi {n}' },
+    'slot.done': 'An ajiye: {details}. Lambar ajiyarku ita ce {reference}.',
+    'slot.donePending': 'An adana a wannan na\'ura: {details} (lamba {reference}). Za a aika da zarar kun dawo kan intanet.',
+
+    'gallery.title': 'Hotunan otal',
+    'gallery.more': 'Ƙarin hotuna',
+    'gallery.lobby': 'Harabar shiga',
+    'gallery.suite': 'Babban ɗaki',
+    'gallery.restaurant': 'Gidan abinci',
+    'gallery.pool': 'Wurin ninkaya',
+    'gallery.spa': 'Spa',
+    'gallery.prev': 'Hoton baya',
+    'gallery.next': 'Hoto na gaba',
+    'gallery.close': 'Rufe hotuna',
+    'gallery.fullscreen': 'Cikakken allo',
+    'gallery.exitFullscreen': 'Fita daga cikakken allo',
+    'dialog.close': 'Rufe',
+    'gallery.roomImage': 'Hoton ɗaki {n}',
+
+    'contact.title': 'Tuntuɓe mu',
+    'contact.heading': 'Mu yi magana',
+    'contact.location': 'Wuri',
+    'contact.phone': 'Waya',
+    'contact.email': 'Imel',
+    'contact.hours': 'Lokutan aiki',
+    'contact.frontDesk': 'Teburin karɓar baƙi awa 24, kowace rana',
+    'contact.whatsapp': 'Yi hira da Wizmore Hotel ta WhatsApp',
+
+    'form.name': 'Cikakken suna',
+    'form.email': 'Adireshin imel',
+    'form.phone': 'Lambar waya',
+    'form.checkin': 'Ranar shiga',
+    'form.checkout': 'Ranar fita',
+    'form.roomsAndGuests': 'Ɗakuna da baƙi',
+    'form.roomType': 'Irin ɗaki',
+    'form.selectRoom': 'Zaɓi irin ɗaki',
+    'form.rooms': 'Ɗakuna',
+    'form.adults': 'Manya',
+    'form.children': 'Yara',
+    'form.extraBeds': 'Ƙarin gadaje',
+    'form.addRoom': '+ Ƙara wani irin ɗaki',
+    'form.addOns': 'Ƙarin ayyuka',
+    'form.removeRoom': 'Cire wannan ɗakin',
+    'form.promo': 'Lambar rangwame',
+    'form.optional': 'Ba dole ba',
+    'form.message': 'Buƙatu na musamman',
+    'form.messagePlaceholder': 'Akwai wata buƙata ta musamman?',
+    'form.submit': 'Yi ajiyar masauki',
+    'form.modalTitle': 'Yi ajiyar masauki a Wizmore Hotel',
+    'form.modalSubmit': 'Tabbatar da ajiya',
+    'form.sending': 'Ana aikawa…',
+    'form.incomplete': 'Da fatan za a cika ranar shiga, ranar fita da irin ɗaki kafin ajiya.',
+    'form.invalidDates': 'Da fatan za a zaɓi ingantattun ranakun shiga da fita.',
+    'form.terms': 'Na yarda cewa ajiyata ba ta tabbata ba sai an biya kashi 50% na kuɗi a gaba. Wanda ya fara zuwa shi ake fara ba, kuma ba a mayar da kuɗin gaba bayan lokacin masauki ya wuce. Da fatan za a tuntuɓi Wizmore Hotel ta WhatsApp, waya ko imel don tabbatar da biyan kuɗin gaba.',
+
+    'validation.name': 'Da fatan a shigar da cikakken sunanka.',
+    'validation.emailRequired': 'Da fatan a shigar da adireshin imel ɗinka.',
+    'validation.email': 'Da fatan a shigar da ingantaccen adireshin imel, misali suna@example.com.',
+    'validation.phoneRequired': 'Da fatan a shigar da lambar wayarka.',
+    'validation.phone': 'Da fatan a shigar da ingantacciyar lambar waya, misali 0803 123 4567 ko +234 803 123 4567.',
+    'validation.checkinRequired': 'Da fatan a zaɓi ranar shiga.',
+    'validation.checkinPast': 'Ranar shiga ba za ta kasance a baya ba.',
+    'validation.sameDayCutoff': 'Ajiyar rana ɗaya tana rufewa da {time} (lokacin Owerri). Zaɓi wata rana ko ku kira mu a {phone}.',
+    'validation.checkoutRequired': 'Da fatan a zaɓi ranar fita.',
+    'validation.checkoutOrder': 'Ranar fita dole ta kasance bayan ranar shiga.',
+    'validation.maxStay': 'Ajiyar kan layi ba ta wuce dare {n} ba. Don dogon zama ku tuntuɓe mu.',
+    'validation.room': 'Da fatan a zaɓi irin ɗaki.',
+    'validation.count': 'Da fatan a shigar da lamba daga {min} zuwa {max}.',
+    'validation.terms': 'Da fatan a amince da sharuɗɗan ajiya don ci gaba.',
+    'validation.challengeRequired': 'Da fatan a amsa ɗan lissafin.',
+    'validation.challenge': 'Wannan ba amsar lissafin ba ce. Da fatan a sake gwadawa.',
+
+    'summary.nights': 'Dare:',
+    'summary.rates': 'Farashin kowane dare:',
+    'summary.extras': 'Ƙarin baƙi da gadaje:',
+    'summary.addOns': 'Ƙarin ayyuka:',
+    'summary.discount': 'Rangwame:',
+    'summary.total': 'Jimla:',
+    'summary.deposit': 'Kuɗin gaba don tabbatar da ajiya:',
+    'summary.balance': 'Sauran kuɗi idan an iso:',
+    'summary.chooseDates': 'Da fatan za a zaɓi ingantattun ranaku da irin ɗaki.',
+    'summary.nairaNote': 'Za a caje ku da naira: {total} (kuɗin gaba {deposit}). Sauran kuɗaɗe ƙiyasi ne kawai.',
+
+    'count.adult': { one: 'babba {n}', other: 'manya {n}' },
+    'count.child': { one: 'yaro {n}', other: 'yara {n}' },
+    'count.extraBed': { one: 'ƙarin gado {n}', other: 'ƙarin gadaje {n}' },
+    'count.room': { one: 'ɗaki {n}', other: 'ɗakuna {n}' },
+    'count.guest': { one: 'baƙo {n}', other: 'baƙi {n}' },
+    'count.night': { one: 'dare {n}', other: 'dare {n}' },
+
+    'addOn.airportPickup': 'Ɗauka daga Filin Jirgin Sama na Sam Mbakwe',
+    'addOn.breakfast': 'Karin kumallo',
+    'addOn.welcomeDinner': 'Abincin dare na maraba a gidan abinci',
+    'addOn.parking': 'Wurin ajiye mota mai tsaro (mota ɗaya)',
+    'addOn.lateCheckout': 'Fita a makare (har zuwa 16:00)',
+    'addOn.per.stay': '{price} kowane zama',
+    'addOn.per.night': '{price} kowane dare',
+    'addOn.per.guest': '{price} kowane baƙo',
+    'addOn.per.guestNight': '{price} kowane baƙo a kowane dare',
+
+    'occupancy.needsAdult': '{room}: kowane ɗaki yana buƙatar babba aƙalla ɗaya.',
+    'occupancy.tooManyBeds': '{room}: ba fiye da {beds} ba don {rooms}.',
+    'occupancy.tooManyGuests': '{room} × {rooms}: baƙi {capacity} ne kawai za su iya kwana — {hint}.',
+    'occupancy.addBedOrRoom': 'ƙara gado ko wani ɗaki',
+    'occupancy.addRoom': 'ƙara wani ɗaki',
+
+    'stay.anyBooking': 'Kowace ajiya',
+    'stay.minNights': '{label}: dole ne a kwana aƙalla dare {n}.',
+    'stay.soldOut': 'Babu {room} a ranar: {dates}. Da fatan za a zaɓi wasu ranaku ko wani ɗaki.',
+    'stay.notEnoughRooms': 'Babu {room} guda {units} a buɗe a ranar: {dates}. Da fatan za a zaɓi wasu ranaku ko wani ɗaki.',
+
+    'promo.invalid': '"{code}" ba ingantacciyar lambar rangwame ba ce.',
+    'promo.validBetween': '{code} yana aiki ne kawai don shiga daga {from} zuwa {to}.',
+    'promo.validFrom': '{code} yana aiki ne kawai don shiga daga {from}.',
+    'promo.validUntil': '{code} yana aiki ne kawai don shiga har zuwa {to}.',
+    'promo.wrongRoom': '{code} bai shafi wannan irin ɗakin ba.',
+    'promo.minNights': '{code} yana buƙatar kwana aƙalla dare {n}.',
+    'promo.applied': 'An yi amfani da {code}.',
+    'deals.badge': 'Rangwame',
+    'deals.title': '{label} — lamba {code}',
+
+    'toast.dismiss': 'Rufe',
+    'toast.sending': 'Ana aika ajiyarku…',
+    'toast.failed': 'An sami matsala wajen aika ajiyarku. Da fatan za a sake gwadawa, ko ku tuntuɓe mu ta WhatsApp ko waya.',
+    'booking.unavailable': 'Ba a iya yin ajiya ta yanar gizo a yanzu. Da fatan a kira mu ko a tura mana saƙo ta WhatsApp, za mu yi muku ajiyar zamanku.',
+    'toast.pending': '⏳ Ana jira — an adana ajiyarku a wannan na\'ura kuma za a aika da kanta idan kun dawo kan intanet.',
+    'toast.queuedRejected': 'Ba a karɓi wata ajiya da aka adana ba. Da fatan za a sake yin ajiya ko ku tuntuɓe mu ta WhatsApp ko waya.',
+    'toast.queuedSent': {
+      one: '✅ An aika ajiyarku da aka adana. Tabbaci yana zuwa imel ɗinku.',
+      other: '✅ An aika ajiyoyinku da aka adana. Tabbaci yana zuwa imel ɗinku.'
+    },
+
+    'status.label': 'Matsayin ajiya',
+    'status.pending-deposit': 'Ana jiran kuɗin gaba',
+    'status.deposit-received': 'An karɓi kuɗin gaba',
+    'status.confirmed': 'An tabbatar',
+    'status.checked-in': 'Ya shiga',
+
+    'confirm.title': 'Ajiyarku a Wizmore Hotel',
+    'confirm.pending': '⏳ Ana jira — an adana wannan ajiya a wannan na\'ura kuma za a aika wa otal da kanta idan kun dawo kan intanet.',
+    'confirm.reference': 'Lambar ajiya:',
+    'confirm.guest': 'Baƙo',
+    'confirm.email': 'Imel',
+    'confirm.phone': 'Waya',
+    'confirm.rooms': 'Ɗakuna',
+    'confirm.checkin': 'Shiga',
+    'confirm.checkout': 'Fita',
+    'confirm.checkinFrom': '{date}, daga {time}',
+    'confirm.checkoutBy': '{date}, kafin {time}',
+    'confirm.nights': 'Dare',
+    'confirm.requests': 'Buƙatu na musamman',
+    'confirm.discountCode': 'Rangwame ({code}):',
+    'confirm.notFound': 'Ba mu sami ajiya {reference} a wannan na\'ura ba. Da fatan za a duba lambar a imel ɗin tabbaci, ko ku kira mu a {phone}.',
+    'confirm.print': 'Buga',
+    'confirm.ics': 'Saka a kalanda (.ics)',
+    'confirm.close': 'Koma shafin',
+    'confirm.noRequests': 'Babu buƙata ta musamman.',
+    'confirm.noAddOns': 'Babu ƙarin ayyuka.',
+
+    'payment.title': 'Tabbatar da ajiyarku',
+    'payment.intro': 'An riƙe ajiyarku amma ba ta tabbata ba sai an biya kuɗin gaba na {amount}. Da fatan za a tura shi zuwa:',
+    'payment.bank': 'Banki',
+    'payment.accountName': 'Sunan asusu',
+    'payment.accountNumber': 'Lambar asusu',
+    'payment.narration': 'Bayani',
+    'payment.proof': 'Yi amfani da lambar ajiyarku a matsayin bayanin tura kuɗi don mu gane biyanku, sannan ku aiko da shaidar biya ta WhatsApp, waya ko imel.',
+
+    'frontdesk.status': 'Teburin karɓar baƙi — matsayin ajiya',
+    'frontdesk.update': 'Sabunta matsayi',
+
+    'ics.summary': 'Masauki a {hotel} ({reference})',
+    'ics.reference': 'Lambar ajiya: {reference}',
+    'ics.rooms': 'Ɗakuna: {rooms}',
+    'ics.nights': 'Dare: {n}',
+    'ics.total': 'Jimla: {total}',
+    'ics.times': 'Shiga daga {checkin}, fita kafin {checkout}',
+
+    'whatsapp.send': 'Aika ta WhatsApp',
+    'whatsapp.greeting': 'Sannu {hotel}, ina so in tabbatar da wannan ajiya:',
+    'whatsapp.reference': 'Lambar ajiya: {reference}',
+    'whatsapp.name': 'Suna: {name}',
+    'whatsapp.rooms': 'Ɗaki: {rooms}',
+    'whatsapp.dates': 'Kwanaki: {checkin} → {checkout}',
+    'whatsapp.nights': 'Dare: {n}',
+    'whatsapp.addOns': 'Ƙarin ayyuka: {addOns}',
+    'whatsapp.total': 'Jimilla: {total}',
+    'whatsapp.deposit': 'Kuɗin gaba da ake bi: {deposit}',
+
+    'picker.open': 'Zaɓi kwanaki a kalanda',
+    'picker.prev': 'Watan da ya gabata',
+    'picker.next': 'Wata mai zuwa',
+    'picker.chooseCheckin': 'Zaɓi ranar shigowa',
+    'picker.chooseCheckout': 'Shigowa {checkin} — yanzu zaɓi ranar fita',
+    'picker.checkinOnly': 'Shigowa {checkin}, ba a zaɓi ranar fita ba tukuna',
+    'picker.selected': '{checkin} → {checkout} ({nights})',
+    'picker.pricesFor': 'Farashin kowane dare na {room}',
+    'picker.pricesFrom': 'Mafi ƙarancin farashin dare na kowane ɗaki',
+    'picker.perNight': '{price} a dare',
+    'picker.unavailable': 'babu shi',
+    'picker.checkinDay': 'shigowa',
+    'picker.checkoutDay': 'fita',
+    'picker.clear': 'Share kwanaki',
+
+    'spam.trap': 'Bar wannan wurin babu komai',
+    'spam.challenge': 'Ɗan gwaji don hana saƙonnin banza:',
+    'spam.tooFast': 'Wannan ya yi sauri sosai. Da fatan a duba bayananku, a jira daƙiƙa {n} sannan a sake aikawa.',
+    'spam.rejected': 'Ba a iya aika wannan buƙata ba. Da fatan a kira mu a {phone} don yin ajiya.',
+    'spam.rateLimited': 'An aika buƙatu da yawa daga wannan burauza cikin ɗan lokaci. Da fatan a sake gwadawa bayan minti {minutes}, ko a kira mu a {phone}.',
+
+    'manage.pageTitle': 'Sarrafa Ajiyata | Wizmore Hotel Owerri',
+    'manage.title': 'Sarrafa Ajiyata',
+    'manage.find': 'Nemo ajiyarku',
+    'manage.intro': 'Shigar da lambar ajiyarku da adireshin imel da kuka yi ajiya da shi.',
+    'manage.reference': 'Lambar ajiya',
+    'manage.findButton': 'Nemo Ajiyata',
+    'manage.yourBooking': 'Ajiyarku',
+    'manage.change': 'Canza Kwanaki ko Ɗaki',
+    'manage.cancel': 'Soke Ajiya',
+    'manage.changeTitle': 'Canza zamanku',
+    'manage.sendChange': 'Aika Buƙatar Canji',
+    'manage.back': 'Koma',
+    'manage.cancelTitle': 'Soke ajiyarku',
+    'manage.cancelConfirm': 'Soke Wannan Ajiya',
+    'manage.keep': 'Ci gaba da Ajiyata',
+    'manage.link': 'Canza ko Soke',
+    'manage.lookupIncomplete': 'Da fatan a shigar da lambar ajiya da ingantaccen adireshin imel.',
+    'manage.notFound': 'Ba mu sami ajiya {reference} da wannan adireshin imel ba. Da fatan a duba duka biyun a imel ɗin tabbatarwa, ko a kira mu a {phone}.',
+    'manage.lookupFailed': 'Ba a iya neman ajiyarku yanzu ba. Da fatan a sake gwadawa nan ba da jimawa ba, ko a kira mu a {phone}.',
+    'manage.started': 'Wannan zaman ya riga ya fara, don haka ba za a iya canza shi ko soke shi ta yanar gizo ba. Da fatan a kira teburin karɓar baƙi a {phone}.',
+    'manage.noChange': 'Waɗannan su ne kwanaki, ɗakuna da ƙarin ayyukan da kuke da su.',
+    'manage.was': 'Ajiyarku yanzu:',
+    'manage.difference': 'Bambancin farashi:',
+    'manage.depositTopUp': 'Kuɗin gaba da aka biya: {paid}. Abin da ya rage don tabbatar da sabon ajiya: {amount}.',
+    'manage.depositCovered': 'Kuɗin gaba da aka biya: {paid}, wanda har yanzu yana tabbatar da sabon ajiya.',
+    'manage.changeSent': 'An aika canjin ajiya {reference}. Teburin karɓar baƙi zai tabbatar da shi, da duk wani bambancin biya, ta imel.',
+    'manage.cancelSent': 'An soke ajiya {reference}. Kuɗin da za a mayar: {refund}. Teburin karɓar baƙi zai tabbatar da mayarwar ta imel.',
+    'manage.cancelPolicy': 'Sharuɗɗan ajiyarmu: ba a mayar da kuɗin gaba bayan lokacin masauki ya wuce, don haka idan an soke ajiya kafin shigowa, ana mayar da kuɗin gaba gaba ɗaya.',
+    'manage.cancelNoDeposit': 'Ba a karɓi kuɗin gaba na wannan ajiya ba, don haka babu abin da za a mayar kuma babu abin da za a biya.',
+    'manage.cancelRefund': 'Kuna soke wa a ranar {date} ko kafin ta, don haka za a mayar da kuɗin gaba da kuka biya, {amount}, gaba ɗaya.',
+    'manage.cancelLate': 'Ranar ƙarshe ta mayar da kuɗi ita ce {date}, don haka ba za a mayar da kuɗin gaba da kuka biya, {amount}, ba.',
+    'manage.cancelUnverified': 'Teburin karɓar baƙi ne ke rubuta biyan kuɗi, don haka zai tabbatar da mayar muku da kuɗi ta imel: ana mayar da kuɗin gaba da kuka biya gaba ɗaya idan kun soke a ranar {date} ko kafin ta, bayan haka ba a mayar da shi.',
+    'manage.refundToConfirm': 'teburin karɓar baƙi zai tabbatar',
+    'manage.refundDue': 'Kuɗin da za a mayar:',
+    'manage.cancelledOn': 'An soke wannan ajiya a ranar {date}. Kuɗin da za a mayar: {refund}.',
+    'manage.emailChange': 'Buƙatar canjin ajiya {reference}: sababbin kwanaki da ɗakuna suna sama. Bambancin farashi: {difference}.',
+    'manage.emailCancel': 'Soke ajiya {reference}. Kuɗin da za a mayar: {refund}.',
+    'status.cancelled': 'An soke',
+
+    'footer.text': 'Ku more jin daɗin da ba a taɓa gani ba a tsakiyar Owerri, Jihar Imo. Inda karɓar baƙi na Najeriya ya haɗu da kyau na duniya.',
+    'footer.quickLinks': 'Hanyoyi masu sauri',
+    'footer.aboutUs': 'Game da mu',
+    'footer.roomsSuites': 'Ɗakuna da manyan ɗakuna',
+    'footer.services': 'Hidimomi',
+    'footer.contactInfo': 'Bayanan tuntuɓa',
+    'footer.rights': '© 2025 Wizmore Hotel Owerri. Duk haƙƙoƙi a kiyaye. | Jin daɗi na musamman a Jihar Imo, Najeriya',
+    'service.events': 'Shirya taruka',
+    'service.business': 'Cibiyar kasuwanci',
+    'service.airport': 'Jigilar filin jirgi',
+    'service.concierge': 'Hidimar taimakon baƙi',
+    'service.spa': 'Kulawar spa',
+
+    'label.Weekend': 'Ƙarshen mako',
+    'label.Festive season': 'Lokacin bukukuwa',
+    'label.New Year\'s Eve': 'Jajibirin Sabuwar Shekara',
+    'label.Owerri trade fair': 'Baje kolin kasuwanci na Owerri',
+    'label.Festive 5% off': 'Rangwamen bukukuwa 5%',
+    'label.Suite long stay': 'Dogon zama a babban ɗaki',
+    'label.Owerri local 10%': 'Mazauna Owerri 10%',
+    'label.5% Off': 'Rangwame 5%'
+  },
+
+  ig: {
+    'meta.title': 'Wizmore Hotel Owerri | Ọmarịcha Ebe Obibi',
+
+    'nav.home': 'Ụlọ',
+    'nav.about': 'Maka anyị',
+    'nav.rooms': 'Ọnụ ụlọ',
+    'nav.dining': 'Nri',
+    'nav.amenities': 'Ihe ndị dị',
+    'nav.gallery': 'Foto',
+    'nav.contact': 'Kpọtụrụ anyị',
+    'nav.book': 'Debe ugbu a',
+    'nav.currency': 'Gosi ọnụ ahịa na',
+    'nav.language': 'Asụsụ',
+
+    'hero.title': 'Nnọọ na Wizmore Hotel Owerri',
+    'hero.text': 'Nweta ọmarịcha obibi n\'etiti Imo Steeti, Naịjirịa. Ebe mma zutere ọbịbịa pụrụ iche.',
+    'hero.explore': 'Lee ọnụ ụlọ',
+    'hero.contact': 'Kpọtụrụ anyị',
+
+    'about.title': 'Akụkọ anyị',
+    'about.heading': 'Ọmarịcha obibi n\'etiti Owerri',
+    'about.p1': 'Wizmore Hotel Owerri bụ ihe nlereanya nke mma na nkasi obi na Imo Steeti. Kemgbe mmalite anyị, anyị na-eweta ọbịbịa dị elu na Naịjirịa site na nraranye anyị nye ịdị mma, ọrụ ahaziri onye ọ bụla na ihe ndị dị n\'ọkwa ụwa.',
+    'about.p2': 'Họtel anyị jikọtara ụdị ewumewu ọgbara ọhụrụ na mma omenala Naịjirịa, ka onye ọbịa ọ bụla nwee mmetụta dị ka eze. Site n\'ọnụ ụlọ anyị a haziri nke ọma ruo nri anyị meriri onyinye, e mere ihe niile ka ọbịbịa gị bụrụ nke ị na-agaghị echefu.',
+    'about.p3': 'Anyị nọ n\'obodo Owerri jupụtara ndụ, na-enye ebe izu ike kacha mma nye ndị njem azụmahịa na ndị njem ezumike na-achọ ahụmịhe pụrụ iche n\'etiti ndịda ọwụwa anyanwụ Naịjirịa.',
+    'about.more': 'Mụtakwuo',
+    'about.imageAlt': 'Ọnụ mbata Wizmore Hotel',
+
+    'rooms.title': 'Ọmarịcha ọnụ ụlọ',
+    'rooms.perNight': '{price} / abalị',
+    'rooms.book': 'Debe {name}',
+    'room.executive': 'Ọnụ ụlọ Executive',
+    'room.deluxe': 'Ọnụ ụlọ Deluxe',
+    'room.standard': 'Ọnụ ụlọ Standard',
+    'room.executive.text': 'Ọnụ ụlọ anyị kacha mma, nwere ọhụụ obodo niile, ebe nnọkọ dị iche na ihe ndị dị elu.',
+    'room.deluxe.text': 'Ọnụ ụlọ mara mma ma sara mbara nwere ngwongwo dị elu, dabara maka ndị njem azụmahịa na ezumike.',
+    'room.standard.text': 'Ọnụ ụlọ dị mma ma kasie obi nwere ihe niile dị mkpa maka izu ike na Owerri.',
+    'room.executive.book': 'Debe Executive',
+    'room.deluxe.book': 'Debe Deluxe',
+    'room.standard.book': 'Debe Standard',
+    'label.King Bed': 'Akwa ukwu',
+    'label.City View': 'Ọhụụ obodo',
+    'label.Marble Bathroom': 'Ụlọ ịsa ahụ marble',
+    'label.Butler Service': 'Onye na-ejere gị ozi',
+    'label.Queen Bed': 'Akwa sara mbara',
+    'label.Premium Amenities': 'Ihe ndị dị elu',
+    'label.Work Desk': 'Tebụl ọrụ',
+    'label.24/7 Room Service': 'Ọrụ ọnụ ụlọ awa 24',
+    'label.Twin Beds': 'Akwa abụọ',
+    'label.Flat-screen TV': 'Telivishọn',
+    'label.Mini Fridge': 'Obere friji',
+    'label.Free Wi-Fi': 'Wi-Fi n\'efu',
+
+    'dining.title': 'Nri kacha mma',
+    'dining.heading': 'Ahụmịhe nri dị elu',
+    'dining.p1': 'Na Wizmore Hotel Owerri, anyị na-eme ememe ihe nketa nri Naịjirịa ma na-anabata ụtọ nri mba ụwa. Ndị isi nri anyị meriri onyinye na-esi nri mara mma site n\'ihe ndị ọhụrụ si n\'obodo.',
+    'dining.p2': 'Site n\'ụlọ nri anyị mara mma ruo ebe ọṅụṅụ anyị dị n\'elu ụlọ, ebe ọ bụla nwere ọnọdụ pụrụ iche na ọrụ dị mma. Rie nri Naịjirịa n\'ezie, nri mba ụwa ma ọ bụ mmanya a gwakọtara n\'aka ka ị na-anụ ụtọ Owerri.',
+    'dining.p3': 'Ọnụ ụlọ nri nzuzo anyị dabara maka nnọkọ ezinụlọ ma ọ bụ nzukọ azụmahịa, ebe nnukwu ụlọ ememe anyị na-anabata ememe a na-agaghị echefu nwere nri ahaziri.',
+    'dining.menu': 'Lee ndepụta nri',
+    'dining.menuTitle': 'Ndepụta nri anyị',
+    'dining.imageAlt': 'Ụlọ nri Wizmore',
+
+    'menu.search': 'Chọọ na menu',
+    'menu.searchPlaceholder': 'Nri, ihe ọṅụṅụ ma ọ bụ ihe e ji sie ya',
+    'menu.section': 'Ngalaba',
+    'menu.allSections': 'Ngalaba niile',
+    'menu.mealTime': 'A na-enye ya',
+    'menu.anyTime': 'Oge ọ bụla',
+    'menu.now': 'Dị ugbu a',
+    'menu.meal.breakfast': 'Nri ụtụtụ',
+    'menu.meal.lunch': 'Nri ehihie',
+    'menu.meal.dinner': 'Nri abalị',
+    'menu.meal.bar': 'Ụlọ mmanya',
+    'menu.mealHours': '{meal} ({from}–{to})',
+    'menu.spice': 'Ose',
+    'menu.anySpice': 'Nke ọ bụla',
+    'menu.spiceMax.0': 'Enweghị ose',
+    'menu.spiceMax.1': 'Ose nta ka ọ kacha',
+    'menu.spiceMax.2': 'Ose etiti ka ọ kacha',
+    'menu.spice.1': 'Ose nta',
+    'menu.spice.2': 'Ose etiti',
+    'menu.spice.3': 'Ose ukwu',
+    'menu.dietary': 'Ụdị nri',
+    'menu.tag.vegetarian': 'Enweghị anụ',
+    'menu.tag.vegan': 'Enweghị ihe sitere n\'anụmanụ',
+    'menu.tag.gluten-free': 'Enweghị gluten',
+    'menu.tag.dairy-free': 'Enweghị mmiri ara ehi',
+    'menu.tag.halal': 'Halal',
+    'menu.section.nigerian': 'Nri pụrụ iche nke Naịjirịa',
+    'menu.section.continental': 'Nri ndị Europe',
+    'menu.section.bar': 'Ụlọ mmanya',
+    'menu.served': 'A na-enye ya: {times}',
+    'menu.count': { other: 'ihe {n}' },
+    'menu.empty': 'Ọ dịghị ihe dị na menu kwekọrọ na nhọrọ ndị a.',
+    'menu.loading': 'A na-ebugo menu…',
+    'menu.unavailable': 'Enweghị ike ibugo menu ugbu a. Lee foto nke menu e biri ebi kama.',
+    'menu.photos': 'Foto menu',
+    'menu.photoAlt': 'Peeji nke menu e biri ebi',
+
+    'amenities.title': 'Ihe ndị dị elu',
+    'amenity.pool': 'Ọdọ mmiri igwu',
+    'amenity.pool.text': 'Ọdọ mmiri mara mma dị n\'èzí nwere ọhụụ obodo',
+    'amenity.spa': 'Spa na ahụike',
+    'amenity.spa.text': 'Ọgwụgwọ na-eme ka ahụ dị ọhụrụ na izu ike',
+    'amenity.fitness': 'Ebe mmega ahụ',
+    'amenity.fitness.text': 'Ngwá ọrụ ọgbara ọhụrụ na onye nkuzi nke gị',
+    'amenity.dining': 'Nri dị elu',
+    'amenity.dining.text': 'Ọtụtụ ụlọ nri na ebe ọṅụṅụ nwere nri dị iche iche',
+    'amenity.events': 'Ebe ememe',
+    'amenity.events.text': 'Ebe maka nzukọ na ememe',
+    'amenity.concierge': 'Onye enyemaka',
+    'amenity.concierge.text': 'Enyemaka awa 24 maka mkpa gị niile',
+    'amenity.hours': 'Oge mmeghe',
+    'amenity.prices': 'Ọnụ ahịa',
+    'amenity.rules': 'Ihe ị kwesịrị ịma',
+    'amenity.free': 'N\'efu',
+    'amenity.allDay': 'Emeghe awa 24',
+    'amenity.showPhoto': 'Gosi foto {n}',
+    'slot.title': 'Debe oge',
+    'slot.service': 'Ọgwụgwọ ma ọ bụ nnọkọ',
+    'slot.date': 'Ụbọchị',
+    'slot.guests': 'Ndị ọbịa',
+    'slot.time': 'Oge',
+    'slot.submit': 'Debe Oge',
+    'slot.left': { other: 'ohere {n} fọdụrụ' },
+    'slot.full': 'Ejupụtala',
+    'slot.none': 'Oge ọ bụla afọdụghị n\'ụbọchị a. Biko họrọ ụbọchị ọzọ.',
+    'slot.pickDate': 'Họrọ ụbọchị ka ị hụ oge ndị dị.',
+    'slot.total': 'Ngụkọta: {total}.',
+    'slot.payAtDesk': 'A na-akwụ ụgwọ na tebụl nnabata n\'ụbọchị ahụ.',
+    'slot.noCharge': 'Ọ bụ n\'efu maka ndị ọbịa ụlọ oriri.',
+    'slot.chooseTime': 'Biko họrọ oge.',
+    'slot.taken': 'Oge ahụ enweghịzi ohere zuru ezu. Biko họrọ nke ọzọ.',
+    'slot.dateRange': 'Biko họrọ ụbọchị n\'etiti {from} na {to}.',
+    'slot.guestCount': { other: 'ndị ọbịa {n}' },
+    'slot.done': 'Edebere: {details}. Nọmba ndebe gị bụ {reference}.',
+    'slot.donePending': 'Echekwara na ngwaọrụ a: {details} (nọmba {reference}). A ga-eziga ya ozugbo ị laghachiri n\'ịntanetị.',
+
+    'gallery.title': 'Foto họtel',
+    'gallery.more': 'Lee ndị ọzọ',
+    'gallery.lobby': 'Ọnụ mbata',
+    'gallery.suite': 'Ọnụ ụlọ ukwu',
+    'gallery.restaurant': 'Ụlọ nri',
+    'gallery.pool': 'Ọdọ mmiri',
+    'gallery.spa': 'Spa',
+    'gallery.prev': 'Foto gara aga',
+    'gallery.next': 'Foto na-esote',
+    'gallery.close': 'Mechie foto',
+    'gallery.fullscreen': 'Ihuenyo zuru oke',
+    'gallery.exitFullscreen': 'Pụọ na ihuenyo zuru oke',
+    'dialog.close': 'Mechie',
+    'gallery.roomImage': 'Foto ọnụ ụlọ {n}',
+
+    'contact.title': 'Kpọtụrụ anyị',
+    'contact.heading': 'Kpọtụrụ anyị',
+    'contact.location': 'Ebe anyị nọ',
+    'contact.phone': 'Ekwentị',
+    'contact.email': 'Email',
+    'contact.hours': 'Oge ọrụ',
+    'contact.frontDesk': 'Ebe nnabata na-arụ ọrụ awa 24 kwa ụbọchị',
+    'contact.whatsapp': 'Kparịta ụka na Wizmore Hotel na WhatsApp',
+
+    'form.name': 'Aha zuru ezu',
+    'form.email': 'Adreesị email',
+    'form.phone': 'Nọmba ekwentị',
+    'form.checkin': 'Ụbọchị mbata',
+    'form.checkout': 'Ụbọchị ọpụpụ',
+    'form.roomsAndGuests': 'Ọnụ ụlọ na ndị ọbịa',
+    'form.roomType': 'Ụdị ọnụ ụlọ',
+    'form.selectRoom': 'Họrọ ụdị ọnụ ụlọ',
+    'form.rooms': 'Ọnụ ụlọ',
+    'form.adults': 'Ndị okenye',
+    'form.children': 'Ụmụaka',
+    'form.extraBeds': 'Akwa ndị ọzọ',
+    'form.addRoom': '+ Tinye ụdị ọnụ ụlọ ọzọ',
+    'form.addOns': 'Ihe mgbakwunye',
+    'form.removeRoom': 'Wepụ ọnụ ụlọ a',
+    'form.promo': 'Koodu mbelata',
+    'form.optional': 'Ọ bụghị iwu',
+    'form.message': 'Arịrịọ pụrụ iche',
+    'form.messagePlaceholder': 'Ọ nwere arịrịọ pụrụ iche ị nwere?',
+    'form.submit': 'Debe ọbịbịa gị',
+    'form.modalTitle': 'Debe ọbịbịa gị na Wizmore Hotel',
+    'form.modalSubmit': 'Kwado ndebe',
+    'form.sending': 'Na-eziga…',
+    'form.incomplete': 'Biko dejupụta ụbọchị mbata, ụbọchị ọpụpụ na ụdị ọnụ ụlọ tupu ị debe.',
+    'form.invalidDates': 'Biko họrọ ụbọchị mbata na ọpụpụ ziri ezi.',
+    'form.terms': 'Ekwenyere m na ndebe m agaghị edozi kpamkpam ruo mgbe a kwụrụ ụgwọ mbụ nke pasent 50. Onye bịara mbụ ka a na-ebu ụzọ nye, a naghịkwa eweghachi ụgwọ mbụ mgbe oge ọbịbịa gafere. Biko kpọtụrụ Wizmore Hotel site na WhatsApp, ekwentị ma ọ bụ email iji kwado ụgwọ mbụ gị.',
+
+    'validation.name': 'Biko tinye aha gị zuru ezu.',
+    'validation.emailRequired': 'Biko tinye adreesị email gị.',
+    'validation.email': 'Biko tinye adreesị email ziri ezi, dịka aha@example.com.',
+    'validation.phoneRequired': 'Biko tinye nọmba ekwentị gị.',
+    'validation.phone': 'Biko tinye nọmba ekwentị ziri ezi, dịka 0803 123 4567 ma ọ bụ +234 803 123 4567.',
+    'validation.checkinRequired': 'Biko họrọ ụbọchị mbata.',
+    'validation.checkinPast': 'Ụbọchị mbata enweghị ike ịbụ nke gafere.',
+    'validation.sameDayCutoff': 'Ndebe nke otu ụbọchị na-emechi na {time} (oge Owerri). Họrọ ụbọchị ọzọ ma ọ bụ kpọọ anyị na {phone}.',
+    'validation.checkoutRequired': 'Biko họrọ ụbọchị ọpụpụ.',
+    'validation.checkoutOrder': 'Ụbọchị ọpụpụ ga-abịa mgbe ụbọchị mbata gachara.',
+    'validation.maxStay': 'Ndebe n\'ịntanetị enweghị ike karịa abalị {n}. Maka ọnọdụ ogologo, kpọtụrụ anyị.',
+    'validation.room': 'Biko họrọ ụdị ọnụ ụlọ.',
+    'validation.count': 'Biko tinye nọmba site na {min} ruo {max}.',
+    'validation.terms': 'Biko nabata usoro ndebe iji gaa n\'ihu.',
+    'validation.challengeRequired': 'Biko zaa ajụjụ ngụkọ ahụ.',
+    'validation.challenge': 'Nke ahụ abụghị azịza ngụkọ ahụ. Biko nwaa ọzọ.',
+
+    'summary.nights': 'Abalị:',
+    'summary.rates': 'Ọnụ ahịa kwa abalị:',
+    'summary.extras': 'Ndị ọbịa na akwa ndị ọzọ:',
+    'summary.addOns': 'Ihe mgbakwunye:',
+    'summary.discount': 'Mbelata:',
+    'summary.total': 'Mkpokọta:',
+    'summary.deposit': 'Ụgwọ mbụ iji kwado ndebe:',
+    'summary.balance': 'Ego fọdụrụ mgbe ị bịarutere:',
+    'summary.chooseDates': 'Biko họrọ ụbọchị ziri ezi na ụdị ọnụ ụlọ.',
+    'summary.nairaNote': 'A ga-ana gị ego na naira: {total} (ụgwọ mbụ {deposit}). Ego ndị ọzọ bụ atụmatụ.',
+
+    'count.adult': { other: 'okenye {n}' },
+    'count.child': { other: 'nwatakịrị {n}' },
+    'count.extraBed': { other: 'akwa ọzọ {n}' },
+    'count.room': { other: 'ọnụ ụlọ {n}' },
+    'count.guest': { other: 'ọbịa {n}' },
+    'count.night': { other: 'abalị {n}' },
+
+    'addOn.airportPickup': 'Ịkpọta gị site n\'ọdụ ụgbọelu Sam Mbakwe',
+    'addOn.breakfast': 'Nri ụtụtụ',
+    'addOn.welcomeDinner': 'Nri abalị nnabata n\'ụlọ nri',
+    'addOn.parking': 'Ebe nchekwa ụgbọala (otu ụgbọala)',
+    'addOn.lateCheckout': 'Ịpụ n\'oge (ruo 16:00)',
+    'addOn.per.stay': '{price} kwa nnọkọ',
+    'addOn.per.night': '{price} kwa abalị',
+    'addOn.per.guest': '{price} kwa ọbịa',
+    'addOn.per.guestNight': '{price} kwa ọbịa kwa abalị',
+
+    'occupancy.needsAdult': '{room}: ọnụ ụlọ ọ bụla chọrọ opekata mpe otu okenye.',
+    'occupancy.tooManyBeds': '{room}: karịa {beds} maka {rooms} anaghị ekwe omume.',
+    'occupancy.tooManyGuests': '{room} × {rooms}: naanị ndị ọbịa {capacity} nwere ike ihi ụra — {hint}.',
+    'occupancy.addBedOrRoom': 'tinye akwa ọzọ ma ọ bụ ọnụ ụlọ ọzọ',
+    'occupancy.addRoom': 'tinye ọnụ ụlọ ọzọ',
+
+    'stay.anyBooking': 'Ndebe ọ bụla',
+    'stay.minNights': '{label}: a ga-anọrịrị opekata mpe abalị {n}.',
+    'stay.soldOut': '{room} adịghị na: {dates}. Biko họrọ ụbọchị ndị ọzọ ma ọ bụ ọnụ ụlọ ọzọ.',
+    'stay.notEnoughRooms': '{room} enweghị ọnụ ụlọ {units} tọgbọrọ chakoo na: {dates}. Biko họrọ ụbọchị ndị ọzọ ma ọ bụ ọnụ ụlọ ọzọ.',
+
+    'promo.invalid': '"{code}" abụghị koodu mbelata ziri ezi.',
+    'promo.validBetween': '{code} na-arụ ọrụ naanị maka mbata site na {from} ruo {to}.',
+    'promo.validFrom': '{code} na-arụ ọrụ naanị maka mbata site na {from}.',
+    'promo.validUntil': '{code} na-arụ ọrụ naanị maka mbata ruo {to}.',
+    'promo.wrongRoom': '{code} anaghị arụ ọrụ maka ụdị ọnụ ụlọ a.',
+    'promo.minNights': '{code} chọrọ ọbịbịa opekata mpe abalị {n}.',
+    'promo.applied': 'E tinyela {code}.',
+    'deals.badge': 'Mbelata',
+    'deals.title': '{label} — koodu {code}',
+
+    'toast.dismiss': 'Mechie',
+    'toast.sending': 'Na-eziga ndebe gị…',
+    'toast.failed': 'Nsogbu mere mgbe a na-eziga ndebe gị. Biko nwaa ọzọ, ma ọ bụ kpọtụrụ anyị na WhatsApp ma ọ bụ ekwentị.',
+    'booking.unavailable': 'Ndebe n\'ịntanetị adịghị ugbu a. Biko kpọọ anyị ma ọ bụ zitere anyị ozi na WhatsApp, anyị ga-edebere gị ọbịbịa gị.',
+    'toast.pending': '⏳ Na-echere — e chekwara ndebe gị na ngwaọrụ a, a ga-ezigakwa ya onwe ya mgbe ịntanetị lọghachiri.',
+    'toast.queuedRejected': 'A nabataghị otu ndebe e chekwara. Biko debe ọzọ ma ọ bụ kpọtụrụ anyị na WhatsApp ma ọ bụ ekwentị.',
+    'toast.queuedSent': {
+      other: '✅ E zigala ndebe gị e chekwara. Nkwenye na-abịa n\'email gị.'
+    },
+
+    'status.label': 'Ọnọdụ ndebe',
+    'status.pending-deposit': 'Na-eche ụgwọ mbụ',
+    'status.deposit-received': 'Anatala ụgwọ mbụ',
+    'status.confirmed': 'Ekwadoro',
+    'status.checked-in': 'Abatala',
+
+    'confirm.title': 'Ndebe gị na Wizmore Hotel',
+    'confirm.pending': '⏳ Na-echere — e chekwara ndebe a na ngwaọrụ a, a ga-ezigara họtel ya onwe ya mgbe ịntanetị lọghachiri.',
+    'confirm.reference': 'Nọmba ndebe:',
+    'confirm.guest': 'Onye ọbịa',
+    'confirm.email': 'Email',
+    'confirm.phone': 'Ekwentị',
+    'confirm.rooms': 'Ọnụ ụlọ',
+    'confirm.checkin': 'Mbata',
+    'confirm.checkout': 'Ọpụpụ',
+    'confirm.checkinFrom': '{date}, site na {time}',
+    'confirm.checkoutBy': '{date}, tupu {time}',
+    'confirm.nights': 'Abalị',
+    'confirm.requests': 'Arịrịọ pụrụ iche',
+    'confirm.discountCode': 'Mbelata ({code}):',
+    'confirm.notFound': 'Anyị ahụghị ndebe {reference} na ngwaọrụ a. Biko lelee nọmba ahụ n\'email nkwenye gị, ma ọ bụ kpọọ anyị na {phone}.',
+    'confirm.print': 'Bipụta',
+    'confirm.ics': 'Tinye na kalenda (.ics)',
+    'confirm.close': 'Laghachi na saịtị',
+    'confirm.noRequests': 'Enweghị arịrịọ pụrụ iche.',
+    'confirm.noAddOns': 'Enweghị ihe mgbakwunye.',
+
+    'payment.title': 'Kwado ndebe gị',
+    'payment.intro': 'E jidere ndebe gị mana ọ gaghị edozi ruo mgbe a kwụrụ ụgwọ mbụ nke {amount}. Biko zigara ya na:',
+    'payment.bank': 'Ụlọ akụ',
+    'payment.accountName': 'Aha akaụntụ',
+    'payment.accountNumber': 'Nọmba akaụntụ',
+    'payment.narration': 'Nkọwa',
+    'payment.proof': 'Jiri nọmba ndebe gị dị ka nkọwa nnyefe ka anyị mata ụgwọ gị, wee zite akaebe ịkwụ ụgwọ site na WhatsApp, ekwentị ma ọ bụ email.',
+
+    'frontdesk.status': 'Ebe nnabata — ọnọdụ ndebe',
+    'frontdesk.update': 'Melite ọnọdụ',
+
+    'ics.summary': 'Ọbịbịa na {hotel} ({reference})',
+    'ics.reference': 'Nọmba ndebe: {reference}',
+    'ics.rooms': 'Ọnụ ụlọ: {rooms}',
+    'ics.nights': 'Abalị: {n}',
+    'ics.total': 'Mkpokọta: {total}',
+    'ics.times': 'Mbata site na {checkin}, ọpụpụ tupu {checkout}',
+
+    'whatsapp.send': 'Ziga site na WhatsApp',
+    'whatsapp.greeting': 'Ndewo {hotel}, achọrọ m ịkwado ndebe a:',
+    'whatsapp.reference': 'Nọmba ndebe: {reference}',
+    'whatsapp.name': 'Aha: {name}',
+    'whatsapp.rooms': 'Ọnụ ụlọ: {rooms}',
+    'whatsapp.dates': 'Ụbọchị: {checkin} → {checkout}',
+    'whatsapp.nights': 'Abalị: {n}',
+    'whatsapp.addOns': 'Ihe mgbakwunye: {addOns}',
+    'whatsapp.total': 'Ngụkọta: {total}',
+    'whatsapp.deposit': 'Ụgwọ mbụ a ga-akwụ: {deposit}',
+
+    'picker.open': 'Họrọ ụbọchị na kalenda',
+    'picker.prev': 'Ọnwa gara aga',
+    'picker.next': 'Ọnwa na-abịa',
+    'picker.chooseCheckin': 'Họrọ ụbọchị ị ga-abata',
+    'picker.chooseCheckout': 'Ịbata {checkin} — ugbu a họrọ ụbọchị ị ga-apụ',
+    'picker.checkinOnly': 'Ịbata {checkin}, a họrọbeghị ụbọchị ịpụ',
+    'picker.selected': '{checkin} → {checkout} ({nights})',
+    'picker.pricesFor': 'Ọnụahịa kwa abalị maka {room}',
+    'picker.pricesFrom': 'Ọnụahịa kacha ala kwa abalị n\'ime ụlọ ọ bụla',
+    'picker.perNight': '{price} kwa abalị',
+    'picker.unavailable': 'adịghị',
+    'picker.checkinDay': 'ịbata',
+    'picker.checkoutDay': 'ịpụ',
+    'picker.clear': 'Hichapụ ụbọchị',
+
+    'spam.trap': 'Hapụ ebe a n\'efu',
+    'spam.challenge': 'Nlele ngwa ngwa megide spam:',
+    'spam.tooFast': 'Nke ahụ dị ngwa nke ukwuu. Biko lelee nkọwa gị, chere sekọnd {n} ma zigakwa ọzọ.',
+    'spam.rejected': 'Enweghị ike iziga arịrịọ a. Biko kpọọ anyị na {phone} iji debe.',
+    'spam.rateLimited': 'E zigala ọtụtụ arịrịọ site na ihe nchọgharị a n\'obere oge. Biko nwaa ọzọ n\'ime nkeji {minutes}, ma ọ bụ kpọọ anyị na {phone}.',
+
+    'manage.pageTitle': 'Jikwaa Ndebe M | Wizmore Hotel Owerri',
+    'manage.title': 'Jikwaa Ndebe M',
+    'manage.find': 'Chọta ndebe gị',
+    'manage.intro': 'Tinye nọmba ndebe gị na adreesị email i ji debe ya.',
+    'manage.reference': 'Nọmba ndebe',
+    'manage.findButton': 'Chọta Ndebe M',
+    'manage.yourBooking': 'Ndebe gị',
+    'manage.change': 'Gbanwee Ụbọchị ma ọ bụ Ụlọ',
+    'manage.cancel': 'Kagbuo Ndebe',
+    'manage.changeTitle': 'Gbanwee ọbịbịa gị',
+    'manage.sendChange': 'Ziga Arịrịọ Mgbanwe',
+    'manage.back': 'Laghachi',
+    'manage.cancelTitle': 'Kagbuo ndebe gị',
+    'manage.cancelConfirm': 'Kagbuo Ndebe a',
+    'manage.keep': 'Debe Ndebe M',
+    'manage.link': 'Gbanwee ma ọ bụ Kagbuo',
+    'manage.lookupIncomplete': 'Biko tinye nọmba ndebe gị na adreesị email ziri ezi.',
+    'manage.notFound': 'Anyị ahụghị ndebe {reference} nwere adreesị email ahụ. Biko lelee ha abụọ n\'email nkwenye gị, ma ọ bụ kpọọ anyị na {phone}.',
+    'manage.lookupFailed': 'Enweghị ike ịchọta ndebe gị ugbu a. Biko nwaa ọzọ n\'oge na-adịghị anya, ma ọ bụ kpọọ anyị na {phone}.',
+    'manage.started': 'Ọbịbịa a amalitela, ya mere a gaghị agbanwe ma ọ bụ kagbuo ya n\'ịntanetị. Biko kpọọ ndị nnabata na {phone}.',
+    'manage.noChange': 'Ndị a bụ ụbọchị, ụlọ na ihe mgbakwunye ị nweburu.',
+    'manage.was': 'Ndebe gị ugbu a:',
+    'manage.difference': 'Ọdịiche ọnụahịa:',
+    'manage.depositTopUp': 'Ụgwọ mbụ a kwụrụ: {paid}. Ihe fọdụrụ ịkwụ iji kwado ndebe ọhụrụ: {amount}.',
+    'manage.depositCovered': 'Ụgwọ mbụ a kwụrụ: {paid}, nke ka na-akwado ndebe ọhụrụ.',
+    'manage.changeSent': 'E zigala mgbanwe gị maka ndebe {reference}. Ndị nnabata ga-akwado ya, na ọdịiche ịkwụ ụgwọ ọ bụla, site na email.',
+    'manage.cancelSent': 'A kagbuola ndebe {reference}. Ego a ga-eweghachi: {refund}. Ndị nnabata ga-akwado nweghachi ahụ site na email.',
+    'manage.cancelPolicy': 'Usoro ndebe anyị: a naghị eweghachi ụgwọ mbụ mgbe oge ọbịbịa gafere, ya mere ọ bụrụ na a kagbuo ndebe tupu ịbata, a na-eweghachi ụgwọ mbụ niile.',
+    'manage.cancelNoDeposit': 'A nataghị ụgwọ mbụ maka ndebe a, ya mere ọ nweghị ihe a ga-eweghachi ma ọ bụ ihe a ga-akwụ.',
+    'manage.cancelRefund': 'Ị na-akagbu ya na {date} ma ọ bụ tupu mgbe ahụ, ya mere a ga-eweghachi ụgwọ mbụ ị kwụrụ, {amount}, niile.',
+    'manage.cancelLate': 'Ụbọchị ikpeazụ maka nweghachi bụ {date}, ya mere a gaghị eweghachi ụgwọ mbụ ị kwụrụ, {amount}.',
+    'manage.cancelUnverified': 'Ndị nnabata na-edekọ ụgwọ a kwụrụ, ya mere ha ga-akwado nweghachi gị site na email: a ga-eweghachi ụgwọ mbụ ị kwụrụ niile ma ọ bụrụ na ị kagbuo ya na {date} ma ọ bụ tupu mgbe ahụ; mgbe nke ahụ gachara, a naghị eweghachi ya.',
+    'manage.refundToConfirm': 'ndị nnabata ga-akwado ya',
+    'manage.refundDue': 'Ego a ga-eweghachi:',
+    'manage.cancelledOn': 'A kagburu ndebe a na {date}. Ego a ga-eweghachi: {refund}.',
+    'manage.emailChange': 'Arịrịọ mgbanwe maka ndebe {reference}: ụbọchị na ụlọ ọhụrụ dị n\'elu. Ọdịiche ọnụahịa: {difference}.',
+    'manage.emailCancel': 'Nkagbu ndebe {reference}. Ego a ga-eweghachi: {refund}.',
+    'status.cancelled': 'Akagbuola',
+
+    'footer.text': 'Nweta ọmarịcha obibi n\'etiti Owerri, Imo Steeti. Ebe ọbịbịa Naịjirịa zutere mma ọkwa ụwa.',
+    'footer.quickLinks': 'Njikọ ngwa ngwa',
+    'footer.aboutUs': 'Maka anyị',
+    'footer.roomsSuites': 'Ọnụ ụlọ na suite',
+    'footer.services': 'Ọrụ anyị',
+    'footer.contactInfo': 'Ozi ịkpọtụrụ',
+    'footer.rights': '© 2025 Wizmore Hotel Owerri. Ikike niile echekwara. | Ọmarịcha obibi na Imo Steeti, Naịjirịa',
+    'service.events': 'Nhazi ememe',
+    'service.business': 'Ebe azụmahịa',
+    'service.airport': 'Njem ọdụ ụgbọ elu',
+    'service.concierge': 'Ọrụ enyemaka ndị ọbịa',
+    'service.spa': 'Ọgwụgwọ spa',
+
+    'label.Weekend': 'Ngwụsị izu',
+    'label.Festive season': 'Oge ememe',
+    'label.New Year\'s Eve': 'Abalị Afọ Ọhụrụ',
+    'label.Owerri trade fair': 'Ngosi ahịa Owerri',
+    'label.Festive 5% off': 'Mbelata ememe 5%',
+    'label.Suite long stay': 'Ogologo ọbịbịa na suite',
+    'label.Owerri local 10%': 'Ndị bi n\'Owerri 10%',
+    'label.5% Off': 'Mbelata 5%'
+  },
+
+  yo: {
+    'meta.title': 'Wizmore Hotel Owerri | Ìgbádùn Tí A Tún Ṣe',
+
+    'nav.home': 'Ilé',
+    'nav.about': 'Nípa wa',
+    'nav.rooms': 'Yàrá',
+    'nav.dining': 'Oúnjẹ',
+    'nav.amenities': 'Àwọn ohun èlò',
+    'nav.gallery': 'Àwòrán',
+    'nav.contact': 'Kàn sí wa',
+    'nav.book': 'Gba yàrá báyìí',
+    'nav.currency': 'Fi iye owó hàn ní',
+    'nav.language': 'Èdè',
+
+    'hero.title': 'Ẹ kú àbọ̀ sí Wizmore Hotel Owerri',
+    'hero.text': 'Gbádùn ìgbádùn tí kò lẹ́gbẹ́ ní àárín Ìpínlẹ̀ Imo, Nàìjíríà. Níbi tí ẹwà ti pàdé àlejò tó dára jùlọ.',
+    'hero.explore': 'Wo àwọn yàrá',
+    'hero.contact': 'Kàn sí wa',
+
+    'about.title': 'Ìtàn wa',
+    'about.heading': 'Ìgbádùn tó mọ́yán lórí ní àárín Owerri',
+    'about.p1': 'Wizmore Hotel Owerri jẹ́ àmì ẹwà àti ìtura ní Ìpínlẹ̀ Imo. Láti ìbẹ̀rẹ̀ wa, a ti tún àlejò olówó iyebíye ṣe ní Nàìjíríà pẹ̀lú ìfaramọ́ wa sí iṣẹ́ tó dára, iṣẹ́ ìsìn ti ara ẹni àti ohun èlò ti àgbáyé.',
+    'about.p2': 'Hótẹ́ẹ̀lì wa da àwòṣe ìgbàlódé pọ̀ mọ́ ẹwà àṣà Nàìjíríà, kí gbogbo àlejò lè nímọ̀lára bí ọba. Láti àwọn yàrá wa tí a ṣètò dáradára dé oúnjẹ wa tó gba ẹ̀bùn, a ṣe gbogbo nǹkan kí ìdúró yín má ṣe gbàgbé.',
+    'about.p3': 'A wà ní ìlú Owerri tó kún fún ìgbésí ayé, a ń pèsè ibi ìsinmi tó dára jùlọ fún àwọn arìnrìn-àjò oníṣòwò àti ti ìsinmi tí ń wá ìrírí àrà ọ̀tọ̀ ní àárín gúúsù ìlà oòrùn Nàìjíríà.',
+    'about.more': 'Mọ̀ sí i',
+    'about.imageAlt': 'Gbọ̀ngàn ìgbàlejò Wizmore Hotel',
+
+    'rooms.title': 'Àwọn yàrá olówó iyebíye',
+    'rooms.perNight': '{price} / alẹ́',
+    'rooms.book': 'Gba {name}',
+    'room.executive': 'Yàrá Executive',
+    'room.deluxe': 'Yàrá Deluxe',
+    'room.standard': 'Yàrá Standard',
+    'room.executive.text': 'Yàrá wa tó ga jùlọ, pẹ̀lú ìwòye gbogbo ìlú, yàrá ìjókòó lọ́tọ̀ àti ohun èlò olówó iyebíye.',
+    'room.deluxe.text': 'Yàrá ẹlẹ́wà tó fẹ̀ pẹ̀lú àga àti tábìlì tó dára, ó bá àwọn arìnrìn-àjò oníṣòwò àti ti ìsinmi mu.',
+    'room.standard.text': 'Yàrá tó tura tó sì lẹ́wà pẹ̀lú gbogbo ohun tí ẹ nílò fún ìsinmi ní Owerri.',
+    'room.executive.book': 'Gba Executive',
+    'room.deluxe.book': 'Gba Deluxe',
+    'room.standard.book': 'Gba Standard',
+    'label.King Bed': 'Ibùsùn ńlá',
+    'label.City View': 'Ìwòye ìlú',
+    'label.Marble Bathroom': 'Balùwẹ̀ mábìlì',
+    'label.Butler Service': 'Ìránṣẹ́ ti ara ẹni',
+    'label.Queen Bed': 'Ibùsùn gbòòrò',
+    'label.Premium Amenities': 'Ohun èlò olówó iyebíye',
+    'label.Work Desk': 'Tábìlì iṣẹ́',
+    'label.24/7 Room Service': 'Iṣẹ́ yàrá wákàtí 24',
+    'label.Twin Beds': 'Ibùsùn méjì',
+    'label.Flat-screen TV': 'Tẹlifíṣọ̀n',
+    'label.Mini Fridge': 'Fìríìjì kékeré',
+    'label.Free Wi-Fi': 'Wi-Fi ọ̀fẹ́',
+
+    'dining.title': 'Oúnjẹ tó dára jùlọ',
+    'dining.heading': 'Ìrírí oúnjẹ aládùn',
+    'dining.p1': 'Ní Wizmore Hotel Owerri, a ń ṣe àjọyọ̀ ogún oúnjẹ Nàìjíríà, a sì ń gba adùn àgbáyé mọ́ra. Àwọn olóúnjẹ wa tó gba ẹ̀bùn ń se oúnjẹ aládùn pẹ̀lú èròjà tuntun láti ìbílẹ̀.',
+    'dining.p2': 'Láti ilé oúnjẹ wa ẹlẹ́wà dé ilé ọtí wa lórí òrùlé, ibi kọ̀ọ̀kan ní àyíká àrà ọ̀tọ̀ àti iṣẹ́ ìsìn tó dára. Gbádùn oúnjẹ Nàìjíríà gidi, oúnjẹ àgbáyé tàbí ọtí àdàlù tí a fi ọwọ́ ṣe bí ẹ ṣe ń gbádùn Owerri.',
+    'dining.p3': 'Àwọn yàrá oúnjẹ àdáni wa dára fún ìpàdé kékeré tàbí ìpàdé iṣẹ́, nígbà tí gbọ̀ngàn ńlá wa ń gba àwọn ayẹyẹ tí kò ní gbàgbé pẹ̀lú oúnjẹ tí a ṣètò fún yín.',
+    'dining.menu': 'Wo àkójọ oúnjẹ',
+    'dining.menuTitle': 'Àkójọ oúnjẹ wa',
+    'dining.imageAlt': 'Ilé oúnjẹ Wizmore',
+
+    'menu.search': 'Wá nínú àkójọ oúnjẹ',
+    'menu.searchPlaceholder': 'Oúnjẹ, ohun mímu tàbí èròjà',
+    'menu.section': 'Apá',
+    'menu.allSections': 'Gbogbo apá',
+    'menu.mealTime': 'Àkókò tí a ń tà á',
+    'menu.anyTime': 'Àkókò èyíkéyìí',
+    'menu.now': 'Wà báyìí',
+    'menu.meal.breakfast': 'Oúnjẹ àárọ̀',
+    'menu.meal.lunch': 'Oúnjẹ ọ̀sán',
+    'menu.meal.dinner': 'Oúnjẹ alẹ́',
+    'menu.meal.bar': 'Ilé ọtí',
+    'menu.mealHours': '{meal} ({from}–{to})',
+    'menu.spice': 'Ata',
+    'menu.anySpice': 'Èyíkéyìí',
+    'menu.spiceMax.0': 'Kò ní ata',
+    'menu.spiceMax.1': 'Ata díẹ̀ jù lọ',
+    'menu.spiceMax.2': 'Ata àárín jù lọ',
+    'menu.spice.1': 'Ata díẹ̀',
+    'menu.spice.2': 'Ata àárín',
+    'menu.spice.3': 'Ata púpọ̀',
+    'menu.dietary': 'Oúnjẹ àkànṣe',
+    'menu.tag.vegetarian': 'Kò ní ẹran',
+    'menu.tag.vegan': 'Kò ní ohun ẹranko',
+    'menu.tag.gluten-free': 'Kò ní gluten',
+    'menu.tag.dairy-free': 'Kò ní wàrà',
+    'menu.tag.halal': 'Halal',
+    'menu.section.nigerian': 'Oúnjẹ àkànṣe Nàìjíríà',
+    'menu.section.continental': 'Oúnjẹ òkèèrè',
+    'menu.section.bar': 'Ilé ọtí',
+    'menu.served': 'Àkókò tí a ń tà á: {times}',
+    'menu.count': { other: 'nǹkan {n}' },
+    'menu.empty': 'Kò sí nǹkan kan nínú àkójọ oúnjẹ tí ó bá àwọn àṣàyàn wọ̀nyí mu.',
+    'menu.loading': 'À ń gbé àkójọ oúnjẹ wá…',
+    'menu.unavailable': 'A kò lè gbé àkójọ oúnjẹ wá báyìí. Àwọn fọ́tò àkójọ oúnjẹ tí a tẹ̀ jáde nìyí dípò rẹ̀.',
+    'menu.photos': 'Àwọn fọ́tò àkójọ oúnjẹ',
+    'menu.photoAlt': 'Ojú ìwé àkójọ oúnjẹ tí a tẹ̀ jáde',
+
+    'amenities.title': 'Àwọn ohun èlò olówó iyebíye',
+    'amenity.pool': 'Odò ìlúwẹ̀ẹ́',
+    'amenity.pool.text': 'Odò ìlúwẹ̀ẹ́ ìta pẹ̀lú ìwòye ìlú tó lẹ́wà',
+    'amenity.spa': 'Spa àti ìlera',
+    'amenity.spa.text': 'Ìtọ́jú tó ń sọ ara dọ̀tun àti ìsinmi',
+    'amenity.fitness': 'Ibi ìdárayá',
+    'amenity.fitness.text': 'Ohun èlò ìgbàlódé àti olùkọ́ ti ara ẹni',
+    'amenity.dining': 'Oúnjẹ aládùn',
+    'amenity.dining.text': 'Ọ̀pọ̀ ilé oúnjẹ àti ilé ọtí pẹ̀lú oríṣiríṣi oúnjẹ',
+    'amenity.events': 'Ibi ayẹyẹ',
+    'amenity.events.text': 'Gbọ̀ngàn fún ìpàdé àti ayẹyẹ',
+    'amenity.concierge': 'Olùrànlọ́wọ́ àlejò',
+    'amenity.concierge.text': 'Ìrànlọ́wọ́ wákàtí 24 fún gbogbo àìní yín',
+    'amenity.hours': 'Àkókò ìṣísílẹ̀',
+    'amenity.prices': 'Iye owó',
+    'amenity.rules': 'Ohun tí ó yẹ kí o mọ̀',
+    'amenity.free': 'Ọ̀fẹ́',
+    'amenity.allDay': 'Ṣí sílẹ̀ fún wákàtí 24',
+    'amenity.showPhoto': 'Fi fọ́tò {n} hàn',
+    'slot.title': 'Fi àkókò pamọ́',
+    'slot.service': 'Ìtọ́jú tàbí ìgbà ìdánrawò',
+    'slot.date': 'Ọjọ́',
+    'slot.guests': 'Àlejò',
+    'slot.time': 'Àkókò',
+    'slot.submit': 'Fi Àkókò Pamọ́',
+    'slot.left': { other: 'àyè {n} ló kù' },
+    'slot.full': 'Ó ti kún',
+    'slot.none': 'Kò sí àkókò tó kù lọ́jọ́ yìí. Jọ̀wọ́ yan ọjọ́ mìíràn.',
+    'slot.pickDate': 'Yan ọjọ́ kan láti rí àwọn àkókò.',
+    'slot.total': 'Àpapọ̀: {total}.',
+    'slot.payAtDesk': 'A ó gba owó ní tábìlì ìgbàlejò lọ́jọ́ náà.',
+    'slot.noCharge': 'Ọ̀fẹ́ ni fún àwọn àlejò hòtẹ́ẹ̀lì.',
+    'slot.chooseTime': 'Jọ̀wọ́ yan àkókò kan.',
+    'slot.taken': 'Àkókò yẹn kò ní àyè tó pọ̀ tó mọ́. Jọ̀wọ́ yan òmíràn.',
+    'slot.dateRange': 'Jọ̀wọ́ yan ọjọ́ kan láàrin {from} àti {to}.',
+    'slot.guestCount': { other: 'àlejò {n}' },
+    'slot.done': 'A ti fi pamọ́: {details}. Nọ́mbà ìfipamọ́ rẹ ni {reference}.',
+    'slot.donePending': 'A ti tọ́jú rẹ̀ sórí ẹ̀rọ yìí: {details} (nọ́mbà {reference}). A ó fi ránṣẹ́ ní kété tí o bá padà sórí ayélujára.',
+
+    'gallery.title': 'Àwòrán hótẹ́ẹ̀lì',
+    'gallery.more': 'Wo sí i',
+    'gallery.lobby': 'Gbọ̀ngàn ìgbàlejò',
+    'gallery.suite': 'Yàrá ńlá',
+    'gallery.restaurant': 'Ilé oúnjẹ',
+    'gallery.pool': 'Odò ìlúwẹ̀ẹ́',
+    'gallery.spa': 'Spa',
+    'gallery.prev': 'Àwòrán tó ṣáájú',
+    'gallery.next': 'Àwòrán tó kàn',
+    'gallery.close': 'Pa àwòrán dé',
+    'gallery.fullscreen': 'Ojú-ìbòjú kíkún',
+    'gallery.exitFullscreen': 'Jáde kúrò ní ojú-ìbòjú kíkún',
+    'dialog.close': 'Pa á dé',
+    'gallery.roomImage': 'Àwòrán yàrá {n}',
+
+    'contact.title': 'Kàn sí wa',
+    'contact.heading': 'Bá wa sọ̀rọ̀',
+    'contact.location': 'Ibi tí a wà',
+    'contact.phone': 'Fóònù',
+    'contact.email': 'Ímeèlì',
+    'contact.hours': 'Àkókò iṣẹ́',
+    'contact.frontDesk': 'Tábìlì ìgbàlejò wákàtí 24 lójoojúmọ́',
+    'contact.whatsapp': 'Bá Wizmore Hotel sọ̀rọ̀ lórí WhatsApp',
+
+    'form.name': 'Orúkọ kíkún',
+    'form.email': 'Àdírẹ́sì ímeèlì',
+    'form.phone': 'Nọ́mbà fóònù',
+    'form.checkin': 'Ọjọ́ ìwọlé',
+    'form.checkout': 'Ọjọ́ ìjáde',
+    'form.roomsAndGuests': 'Yàrá àti àlejò',
+    'form.roomType': 'Irú yàrá',
+    'form.selectRoom': 'Yan irú yàrá',
+    'form.rooms': 'Yàrá',
+    'form.adults': 'Àgbàlagbà',
+    'form.children': 'Ọmọdé',
+    'form.extraBeds': 'Ibùsùn àfikún',
+    'form.addRoom': '+ Fi irú yàrá mìíràn kún un',
+    'form.addOns': 'Àfikún',
+    'form.removeRoom': 'Yọ yàrá yìí kúrò',
+    'form.promo': 'Kóòdù ẹ̀dínwó',
+    'form.optional': 'Kò pọn dandan',
+    'form.message': 'Ìbéèrè pàtàkì',
+    'form.messagePlaceholder': 'Ṣé ẹ ní ìbéèrè pàtàkì kankan?',
+    'form.submit': 'Gba yàrá yín',
+    'form.modalTitle': 'Gba yàrá yín ní Wizmore Hotel',
+    'form.modalSubmit': 'Jẹ́rìí sí ìfipamọ́',
+    'form.sending': 'Ó ń fi ránṣẹ́…',
+    'form.incomplete': 'Ẹ jọ̀ọ́ ẹ kọ ọjọ́ ìwọlé, ọjọ́ ìjáde àti irú yàrá kí ẹ tó gba yàrá.',
+    'form.invalidDates': 'Ẹ jọ̀ọ́ ẹ yan ọjọ́ ìwọlé àti ìjáde tó tọ́.',
+    'form.terms': 'Mo gbà pé ìfipamọ́ mi kò ní dájú títí a ó fi san ìdá àádọ́ta (50%) owó ìdógò. Ẹni tó bá kọ́kọ́ dé ni a ó kọ́kọ́ fún, a kò sì ní dá owó ìdógò padà lẹ́yìn tí àkókò ìdúró bá kọjá. Ẹ jọ̀ọ́ ẹ kàn sí Wizmore Hotel lórí WhatsApp, fóònù tàbí ímeèlì láti jẹ́rìí sí owó ìdógò yín.',
+
+    'validation.name': 'Jọ̀wọ́ tẹ orúkọ rẹ ní kíkún.',
+    'validation.emailRequired': 'Jọ̀wọ́ tẹ àdírẹ́sì ímeèlì rẹ.',
+    'validation.email': 'Jọ̀wọ́ tẹ àdírẹ́sì ímeèlì tó tọ́, bí àpẹẹrẹ oruko@example.com.',
+    'validation.phoneRequired': 'Jọ̀wọ́ tẹ nọ́mbà fóònù rẹ.',
+    'validation.phone': 'Jọ̀wọ́ tẹ nọ́mbà fóònù tó tọ́, bí àpẹẹrẹ 0803 123 4567 tàbí +234 803 123 4567.',
+    'validation.checkinRequired': 'Jọ̀wọ́ yan ọjọ́ ìwọlé.',
+    'validation.checkinPast': 'Ọjọ́ ìwọlé kò lè jẹ́ ọjọ́ tó ti kọjá.',
+    'validation.sameDayCutoff': 'Ìfiṣura ọjọ́ kan náà ń parí ní {time} (àkókò Owerri). Yan ọjọ́ mìíràn tàbí pè wá ní {phone}.',
+    'validation.checkoutRequired': 'Jọ̀wọ́ yan ọjọ́ ìjáde.',
+    'validation.checkoutOrder': 'Ọjọ́ ìjáde gbọ́dọ̀ wà lẹ́yìn ọjọ́ ìwọlé.',
+    'validation.maxStay': 'Ìfiṣura orí ayélujára kò lè ju alẹ́ {n} lọ. Fún ìdúró tó gùn jù, kàn sí wa.',
+    'validation.room': 'Jọ̀wọ́ yan irú yàrá.',
+    'validation.count': 'Jọ̀wọ́ tẹ nọ́mbà láti {min} dé {max}.',
+    'validation.terms': 'Jọ̀wọ́ gba àwọn òfin ìfiṣura láti tẹ̀síwájú.',
+    'validation.challengeRequired': 'Jọ̀wọ́ dáhùn ìṣirò kékeré náà.',
+    'validation.challenge': 'Ìyẹn kì í ṣe ìdáhùn ìṣirò náà. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i.',
+
+    'summary.nights': 'Alẹ́:',
+    'summary.rates': 'Iye owó alẹ́ kọ̀ọ̀kan:',
+    'summary.extras': 'Àlejò àti ibùsùn àfikún:',
+    'summary.addOns': 'Àfikún:',
+    'summary.discount': 'Ẹ̀dínwó:',
+    'summary.total': 'Àpapọ̀:',
+    'summary.deposit': 'Owó ìdógò láti fi dá ìfipamọ́ lójú:',
+    'summary.balance': 'Owó tó kù nígbà tí ẹ bá dé:',
+    'summary.chooseDates': 'Ẹ jọ̀ọ́ ẹ yan ọjọ́ tó tọ́ àti irú yàrá.',
+    'summary.nairaNote': 'A ó gba owó ní náírà: {total} (ìdógò {deposit}). Owó mìíràn jẹ́ àkàsí lásán.',
+
+    'count.adult': { other: 'àgbàlagbà {n}' },
+    'count.child': { other: 'ọmọdé {n}' },
+    'count.extraBed': { other: 'ibùsùn àfikún {n}' },
+    'count.room': { other: 'yàrá {n}' },
+    'count.guest': { other: 'àlejò {n}' },
+    'count.night': { other: 'alẹ́ {n}' },
+
+    'addOn.airportPickup': 'Ìgbéwá láti Pápákọ̀ Òfurufú Sam Mbakwe',
+    'addOn.breakfast': 'Oúnjẹ àárọ̀',
+    'addOn.welcomeDinner': 'Oúnjẹ alẹ́ ìkíni káàbọ̀ ní ilé oúnjẹ',
+    'addOn.parking': 'Ibi ìgbọ́kọ̀sí tó ní ààbò (ọkọ̀ kan)',
+    'addOn.lateCheckout': 'Ìjáde ní pẹ́ (títí di 16:00)',
+    'addOn.per.stay': '{price} fún ìdúró kọ̀ọ̀kan',
+    'addOn.per.night': '{price} fún alẹ́ kọ̀ọ̀kan',
+    'addOn.per.guest': '{price} fún àlejò kọ̀ọ̀kan',
+    'addOn.per.guestNight': '{price} fún àlejò kọ̀ọ̀kan lálẹ́ kọ̀ọ̀kan',
+
+    'occupancy.needsAdult': '{room}: yàrá kọ̀ọ̀kan nílò àgbàlagbà kan ó kéré tán.',
+    'occupancy.tooManyBeds': '{room}: kò ju {beds} lọ fún {rooms}.',
+    'occupancy.tooManyGuests': '{room} × {rooms}: àlejò {capacity} péré ló lè sùn — {hint}.',
+    'occupancy.addBedOrRoom': 'fi ibùsùn àfikún tàbí yàrá mìíràn kún un',
+    'occupancy.addRoom': 'fi yàrá mìíràn kún un',
+
+    'stay.anyBooking': 'Ìfipamọ́ kọ̀ọ̀kan',
+    'stay.minNights': '{label}: ẹ gbọ́dọ̀ dúró fún alẹ́ {n} ó kéré tán.',
+    'stay.soldOut': '{room} ti tán ní: {dates}. Ẹ jọ̀ọ́ ẹ yan ọjọ́ mìíràn tàbí yàrá mìíràn.',
+    'stay.notEnoughRooms': '{room} kò ní yàrá {units} tó ṣófo ní: {dates}. Ẹ jọ̀ọ́ ẹ yan ọjọ́ mìíràn tàbí yàrá mìíràn.',
+
+    'promo.invalid': '"{code}" kì í ṣe kóòdù ẹ̀dínwó tó tọ́.',
+    'promo.validBetween': '{code} wúlò fún ìwọlé láti {from} sí {to} nìkan.',
+    'promo.validFrom': '{code} wúlò fún ìwọlé láti {from} nìkan.',
+    'promo.validUntil': '{code} wúlò fún ìwọlé títí di {to} nìkan.',
+    'promo.wrongRoom': '{code} kò kan irú yàrá yìí.',
+    'promo.minNights': '{code} nílò ìdúró alẹ́ {n} ó kéré tán.',
+    'promo.applied': 'A ti lo {code}.',
+    'deals.badge': 'Ẹ̀dínwó',
+    'deals.title': '{label} — kóòdù {code}',
+
+    'toast.dismiss': 'Pa á dé',
+    'toast.sending': 'A ń fi ìfipamọ́ yín ránṣẹ́…',
+    'toast.failed': 'Ìṣòro kan ṣẹlẹ̀ nígbà tí a ń fi ìfipamọ́ yín ránṣẹ́. Ẹ jọ̀ọ́ ẹ tún gbìyànjú, tàbí kí ẹ kàn sí wa lórí WhatsApp tàbí fóònù.',
+    'booking.unavailable': 'Ìfiṣura lórí ayélujára kò sí báyìí. Ẹ jọ̀ọ́ ẹ pè wá tàbí kí ẹ fi ọ̀rọ̀ ránṣẹ́ sí wa lórí WhatsApp, a ó sì ṣe ìfiṣura yín.',
+    'toast.pending': '⏳ Ó ń dúró — a ti fi ìfipamọ́ yín pamọ́ sórí ẹ̀rọ yìí, yóò sì lọ fúnra rẹ̀ nígbà tí ẹ bá padà sórí íntánẹ́ẹ̀tì.',
+    'toast.queuedRejected': 'A kò lè gba ìfipamọ́ kan tí a fi pamọ́. Ẹ jọ̀ọ́ ẹ tún gba yàrá tàbí kí ẹ kàn sí wa lórí WhatsApp tàbí fóònù.',
+    'toast.queuedSent': {
+      other: '✅ A ti fi ìfipamọ́ yín tí a fi pamọ́ ránṣẹ́. Ìjẹ́rìí ń bọ̀ sí ímeèlì yín.'
+    },
+
+    'status.label': 'Ipò ìfipamọ́',
+    'status.pending-deposit': 'Ó ń dúró de ìdógò',
+    'status.deposit-received': 'A ti gba ìdógò',
+    'status.confirmed': 'A ti jẹ́rìí sí i',
+    'status.checked-in': 'Ó ti wọlé',
+
+    'confirm.title': 'Ìfipamọ́ yín ní Wizmore Hotel',
+    'confirm.pending': '⏳ Ó ń dúró — a ti fi ìfipamọ́ yìí pamọ́ sórí ẹ̀rọ yìí, a ó sì fi ránṣẹ́ sí hótẹ́ẹ̀lì fúnra rẹ̀ nígbà tí ẹ bá padà sórí íntánẹ́ẹ̀tì.',
+    'confirm.reference': 'Nọ́mbà ìfipamọ́:',
+    'confirm.guest': 'Àlejò',
+    'confirm.email': 'Ímeèlì',
+    'confirm.phone': 'Fóònù',
+    'confirm.rooms': 'Yàrá',
+    'confirm.checkin': 'Ìwọlé',
+    'confirm.checkout': 'Ìjáde',
+    'confirm.checkinFrom': '{date}, láti {time}',
+    'confirm.checkoutBy': '{date}, kí ó tó di {time}',
+    'confirm.nights': 'Alẹ́',
+    'confirm.requests': 'Ìbéèrè pàtàkì',
+    'confirm.discountCode': 'Ẹ̀dínwó ({code}):',
+    'confirm.notFound': 'A kò rí ìfipamọ́ {reference} lórí ẹ̀rọ yìí. Ẹ jọ̀ọ́ ẹ ṣàyẹ̀wò nọ́mbà náà nínú ímeèlì ìjẹ́rìí yín, tàbí kí ẹ pè wá ní {phone}.',
+    'confirm.print': 'Tẹ̀ ẹ́ jáde',
+    'confirm.ics': 'Fi kún kàlẹ́ńdà (.ics)',
+    'confirm.close': 'Padà sí ojú-ìwé',
+    'confirm.noRequests': 'Kò sí ìbéèrè pàtàkì.',
+    'confirm.noAddOns': 'Kò sí àfikún.',
+
+    'payment.title': 'Fi ìfipamọ́ yín lélẹ̀',
+    'payment.intro': 'A ti di ìfipamọ́ yín mú ṣùgbọ́n kò ní dájú títí ẹ ó fi san owó ìdógò {amount}. Ẹ jọ̀ọ́ ẹ fi ránṣẹ́ sí:',
+    'payment.bank': 'Báńkì',
+    'payment.accountName': 'Orúkọ àkáǹtì',
+    'payment.accountNumber': 'Nọ́mbà àkáǹtì',
+    'payment.narration': 'Àlàyé',
+    'payment.proof': 'Ẹ lo nọ́mbà ìfipamọ́ yín gẹ́gẹ́ bí àlàyé ìfiránṣẹ́ owó kí a lè mọ owó yín, lẹ́yìn náà ẹ fi ẹ̀rí ìsanwó ránṣẹ́ lórí WhatsApp, fóònù tàbí ímeèlì.',
+
+    'frontdesk.status': 'Tábìlì ìgbàlejò — ipò ìfipamọ́',
+    'frontdesk.update': 'Ṣe àtúnṣe ipò',
+
+    'ics.summary': 'Ìdúró ní {hotel} ({reference})',
+    'ics.reference': 'Nọ́mbà ìfipamọ́: {reference}',
+    'ics.rooms': 'Yàrá: {rooms}',
+    'ics.nights': 'Alẹ́: {n}',
+    'ics.total': 'Àpapọ̀: {total}',
+    'ics.times': 'Ìwọlé láti {checkin}, ìjáde kí ó tó di {checkout}',
+
+    'whatsapp.send': 'Fi ránṣẹ́ lórí WhatsApp',
+    'whatsapp.greeting': 'Ẹ n lẹ́ o {hotel}, mo fẹ́ fi ìdí ìfipamọ́ yìí múlẹ̀:',
+    'whatsapp.reference': 'Nọ́mbà ìfipamọ́: {reference}',
+    'whatsapp.name': 'Orúkọ: {name}',
+    'whatsapp.rooms': 'Yàrá: {rooms}',
+    'whatsapp.dates': 'Ọjọ́: {checkin} → {checkout}',
+    'whatsapp.nights': 'Alẹ́: {n}',
+    'whatsapp.addOns': 'Àfikún: {addOns}',
+    'whatsapp.total': 'Àpapọ̀: {total}',
+    'whatsapp.deposit': 'Owó ìdógò tí ó yẹ: {deposit}',
+
+    'picker.open': 'Yan ọjọ́ lórí kàlẹ́ńdà',
+    'picker.prev': 'Oṣù tó kọjá',
+    'picker.next': 'Oṣù tó ń bọ̀',
+    'picker.chooseCheckin': 'Yan ọjọ́ tí ẹ ó dé',
+    'picker.chooseCheckout': 'Ìdé {checkin} — ẹ yan ọjọ́ tí ẹ ó kúrò báyìí',
+    'picker.checkinOnly': 'Ìdé {checkin}, ẹ kò tíì yan ọjọ́ ìkúrò',
+    'picker.selected': '{checkin} → {checkout} ({nights})',
+    'picker.pricesFor': 'Iye owó alẹ́ kọ̀ọ̀kan fún {room}',
+    'picker.pricesFrom': 'Iye owó alẹ́ tó kéré jù nínú gbogbo yàrá',
+    'picker.perNight': '{price} fún alẹ́ kan',
+    'picker.unavailable': 'kò sí',
+    'picker.checkinDay': 'ìdé',
+    'picker.checkoutDay': 'ìkúrò',
+    'picker.clear': 'Pa àwọn ọjọ́ rẹ́',
+
+    'spam.trap': 'Ẹ fi àyè yìí sílẹ̀ lófo',
+    'spam.challenge': 'Àyẹ̀wò kékeré láti dènà spam:',
+    'spam.tooFast': 'Ìyẹn yára jù. Ẹ ṣàyẹ̀wò àlàyé yín, ẹ dúró fún ìṣẹ́jú-àáyá {n}, kí ẹ sì tún fi ránṣẹ́.',
+    'spam.rejected': 'A kò lè fi ìbéèrè yìí ránṣẹ́. Ẹ pè wá lórí {phone} láti ṣe ìfiṣura.',
+    'spam.rateLimited': 'Ọ̀pọ̀ ìbéèrè ni a ti fi ránṣẹ́ láti ẹ̀rọ aṣàwákiri yìí láàárín àkókò kúkúrú. Ẹ gbìyànjú lẹ́ẹ̀kan sí i lẹ́yìn ìṣẹ́jú {minutes}, tàbí kí ẹ pè wá lórí {phone}.',
+
+    'manage.pageTitle': 'Ṣàkóso Ìfiṣura Mi | Wizmore Hotel Owerri',
+    'manage.title': 'Ṣàkóso Ìfiṣura Mi',
+    'manage.find': 'Wá ìfiṣura yín',
+    'manage.intro': 'Ẹ tẹ nọ́ńbà ìfiṣura yín àti àdírẹ́sì ímeèlì tí ẹ fi ṣe ìfiṣura.',
+    'manage.reference': 'Nọ́ńbà ìfiṣura',
+    'manage.findButton': 'Wá Ìfiṣura Mi',
+    'manage.yourBooking': 'Ìfiṣura yín',
+    'manage.change': 'Yí Ọjọ́ tàbí Yàrá Padà',
+    'manage.cancel': 'Fagilé Ìfiṣura',
+    'manage.changeTitle': 'Yí ìdúró yín padà',
+    'manage.sendChange': 'Fi Ìbéèrè Àyípadà Ránṣẹ́',
+    'manage.back': 'Padà',
+    'manage.cancelTitle': 'Fagilé ìfiṣura yín',
+    'manage.cancelConfirm': 'Fagilé Ìfiṣura Yìí',
+    'manage.keep': 'Pa Ìfiṣura Mi Mọ́',
+    'manage.link': 'Yí Padà tàbí Fagilé',
+    'manage.lookupIncomplete': 'Ẹ jọ̀ọ́ tẹ nọ́ńbà ìfiṣura yín àti àdírẹ́sì ímeèlì tó tọ́.',
+    'manage.notFound': 'A kò rí ìfiṣura {reference} pẹ̀lú àdírẹ́sì ímeèlì yẹn. Ẹ ṣàyẹ̀wò méjèèjì nínú ímeèlì ìjẹ́rìí yín, tàbí kí ẹ pè wá lórí {phone}.',
+    'manage.lookupFailed': 'A kò lè wá ìfiṣura yín báyìí. Ẹ gbìyànjú lẹ́ẹ̀kan sí i láìpẹ́, tàbí kí ẹ pè wá lórí {phone}.',
+    'manage.started': 'Ìdúró yìí ti bẹ̀rẹ̀, nítorí náà a kò lè yí i padà tàbí fagilé e lórí ayélujára mọ́. Ẹ pe tábìlì ìgbàlejò lórí {phone}.',
+    'manage.noChange': 'Ìwọ̀nyí ni ọjọ́, yàrá àti àfikún tí ẹ ti ní tẹ́lẹ̀.',
+    'manage.was': 'Ìfiṣura yín báyìí:',
+    'manage.difference': 'Ìyàtọ̀ iye owó:',
+    'manage.depositTopUp': 'Owó ìdógò tí ẹ ti san: {paid}. Ohun tó kù láti san láti fi ìdí ìfiṣura tuntun múlẹ̀: {amount}.',
+    'manage.depositCovered': 'Owó ìdógò tí ẹ ti san: {paid}, èyí tó ṣì fi ìdí ìfiṣura tuntun múlẹ̀.',
+    'manage.changeSent': 'A ti fi àyípadà ìfiṣura {reference} ránṣẹ́. Tábìlì ìgbàlejò yóò jẹ́rìí sí i, àti ìyàtọ̀ owó èyíkéyìí, nípasẹ̀ ímeèlì.',
+    'manage.cancelSent': 'A ti fagilé ìfiṣura {reference}. Owó tí a ó dá padà: {refund}. Tábìlì ìgbàlejò yóò jẹ́rìí sí ìdápadà náà nípasẹ̀ ímeèlì.',
+    'manage.cancelPolicy': 'Àwọn òfin ìfiṣura wa: a kò ní dá owó ìdógò padà lẹ́yìn tí àkókò ìdúró bá kọjá, nítorí náà tí a bá fagilé ìfiṣura ṣáájú ìdé, a ó dá gbogbo owó ìdógò padà.',
+    'manage.cancelNoDeposit': 'A kò tíì gba owó ìdógò fún ìfiṣura yìí, nítorí náà kò sí ohun tí a ó dá padà, kò sì sí ohun tí ẹ ó san.',
+    'manage.cancelRefund': 'Ẹ ń fagilé ní {date} tàbí ṣáájú rẹ̀, nítorí náà a ó dá gbogbo owó ìdógò tí ẹ san, {amount}, padà.',
+    'manage.cancelLate': 'Ọjọ́ tó kẹ́yìn fún ìdápadà ni {date}, nítorí náà a kò ní dá owó ìdógò tí ẹ san, {amount}, padà.',
+    'manage.cancelUnverified': 'Tábìlì ìgbàlejò ló ń ṣàkọsílẹ̀ owó tí a san, nítorí náà wọn yóò jẹ́rìí sí ìdápadà yín nípasẹ̀ ímeèlì: a ó dá gbogbo owó ìdógò tí ẹ san padà tí ẹ bá fagilé ní {date} tàbí ṣáájú rẹ̀; lẹ́yìn ìyẹn, a kò ní dá a padà.',
+    'manage.refundToConfirm': 'tábìlì ìgbàlejò yóò jẹ́rìí sí i',
+    'manage.refundDue': 'Owó tí a ó dá padà:',
+    'manage.cancelledOn': 'A fagilé ìfiṣura yìí ní {date}. Owó tí a ó dá padà: {refund}.',
+    'manage.emailChange': 'Ìbéèrè àyípadà fún ìfiṣura {reference}: ọjọ́ àti yàrá tuntun wà lókè. Ìyàtọ̀ iye owó: {difference}.',
+    'manage.emailCancel': 'Ìfagilé ìfiṣura {reference}. Owó tí a ó dá padà: {refund}.',
+    'status.cancelled': 'A ti fagilé',
+
+    'footer.text': 'Gbádùn ìgbádùn tí kò lẹ́gbẹ́ ní àárín Owerri, Ìpínlẹ̀ Imo. Níbi tí àlejò Nàìjíríà ti pàdé ẹwà àgbáyé.',
+    'footer.quickLinks': 'Ìjápọ̀ kíákíá',
+    'footer.aboutUs': 'Nípa wa',
+    'footer.roomsSuites': 'Yàrá àti yàrá ńlá',
+    'footer.services': 'Iṣẹ́ ìsìn',
+    'footer.contactInfo': 'Ìbánisọ̀rọ̀',
+    'footer.rights': '© 2025 Wizmore Hotel Owerri. Gbogbo ẹ̀tọ́ wà ní ìpamọ́. | Ìgbádùn tí a tún ṣe ní Ìpínlẹ̀ Imo, Nàìjíríà',
+    'service.events': 'Ìṣètò ayẹyẹ',
+    'service.business': 'Ibùdó iṣẹ́',
+    'service.airport': 'Ìgbéni láti pápákọ̀ òfurufú',
+    'service.concierge': 'Iṣẹ́ olùrànlọ́wọ́ àlejò',
+    'service.spa': 'Ìtọ́jú spa',
+
+    'label.Weekend': 'Òpin ọ̀sẹ̀',
+    'label.Festive season': 'Àsìkò ọdún',
+    'label.New Year\'s Eve': 'Ọjọ́ àìsùn Ọdún Tuntun',
+    'label.Owerri trade fair': 'Ìpàtẹ ọjà Owerri',
+    'label.Festive 5% off': 'Ẹ̀dínwó ọdún 5%',
+    'label.Suite long stay': 'Ìdúró pípẹ́ ní yàrá ńlá',
+    'label.Owerri local 10%': 'Olùgbé Owerri 10%',
+    'label.5% Off': 'Ẹ̀dínwó 5%'
+  }
+};
@@ -0,0 +1,376 @@
+// manage.js
+// "Manage my booking" (manage.html). Loaded after i18n.js, booking-quote.js and script.js and built on the same
+// pieces: findBookingForGuest() for the lookup, the booking calculator and date-range picker for changes,
+// cancellationTerms() for refunds, and amendment records sent through sendOrQueueBooking() (see "Booking changes
+// and cancellations" in script.js).
+// Features:
+// - Lookup by booking reference + the email it was made with (manage.html?reference=REF fills the reference in)
+// - The booking as the confirmation shows it, with its cancellation or change history applied
+// - Change dates, rooms or add-ons: the calculator prices the new stay and the difference from the booking is
+//   shown as it changes (the booking's promo code is re-applied when it still qualifies)
+// - Cancel: the policy in the booking terms (deposit refunded in full up to the cutoff, paymentTerms.cancellation,
+//   non-refundable after) applied to what has been paid, and the refund due shown before confirming; the cutoff
+//   is the booking's refundCutoff, so a change that moves the stay later does not move it
+// NOTE: without a backend lookup (the EmailJS transport), only bookings made in this browser can be found;
+// the "not found" message sends everyone else to the phone. Their status is only this browser's copy, so no
+// deposit or refund amount is worked out from it: the front desk confirms those.
+
+// ==============================
+// Page state
+// ==============================
+const manageLookupForm = document.getElementById('manageLookupForm');
+const manageBookingEl = document.getElementById('manageBooking');
+const manageChangeForm = document.getElementById('manageChangeForm');
+const manageCancelEl = document.getElementById('manageCancel');
+const manageResult = document.getElementById('manageResult');
+let managedBooking = null; // the booking on screen (amendments applied)
+let paymentsKnown = false;  // it came from the backend, so its status says what has been paid (findBookingForGuest)
+let sendingAmendment = false;
+
+function showManageView(view) {
+  manageChangeForm.hidden = view !== 'change';
+  manageCancelEl.hidden = view !== 'cancel';
+  document.getElementById('manageActions').hidden = view !== 'booking' || !canAmendBooking(managedBooking);
+}
+
+// ==============================
+// Lookup
+// ==============================
+function showLookupError(message) {
+  const errorEl = document.getElementById('manageLookupError');
+  errorEl.textContent = message;
+  errorEl.hidden = !message;
+}
+
+manageLookupForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const reference = document.getElementById('manageReference').value.trim().toUpperCase();
+  const email = document.getElementById('manageEmail').value.trim();
+  if (!reference || bookingFieldRules.email(email)) {
+    showLookupError(t('manage.lookupIncomplete'));
+    return;
+  }
+  showLookupError('');
+  findBookingForGuest(reference, email)
+    .then(found => {
+      if (!found) {
+        showLookupError(t('manage.notFound', { reference, phone: hotelInfo.phone }));
+        return;
+      }
+      manageResult.hidden = true;
+      paymentsKnown = found.paymentsKnown;
+      openManagedBooking(found.booking);
+      document.getElementById('manageBookingTitle').focus();
+    })
+    .catch(err => {
+      console.error('Booking lookup failed:', err);
+      showLookupError(t('manage.lookupFailed', { phone: hotelInfo.phone }));
+    });
+});
+
+// ==============================
+// The booking
+// ==============================
+function lockedReason(booking) {
+  if (isBookingCancelled(booking)) return '';
+  return canAmendBooking(booking) ? '' : t('manage.started', { phone: hotelInfo.phone });
+}
+
+function renderManagedBooking() {
+  document.getElementById('manageSummary').innerHTML = renderConfirmation(managedBooking);
+  const lockedEl = document.getElementById('manageLocked');
+  lockedEl.textContent = lockedReason(managedBooking);
+  lockedEl.hidden = !lockedEl.textContent;
+}
+
+// What the hotel has received, as far as this page can tell (0 when the payments are not known here)
+function knownDepositPaid() {
+  return paymentsKnown ? depositPaid(managedBooking) : 0;
+}
+
+function openManagedBooking(booking) {
+  managedBooking = booking;
+  manageBookingEl.hidden = false;
+  renderManagedBooking();
+  showManageView('booking');
+}
+
+// ==============================
+// Change dates or room
+// ==============================
+const manageIds = { checkin: 'manageCheckin', checkout: 'manageCheckout', lines: 'manageRoomLines' };
+
+const manageCalculator = setupBookingCalculator({
+  checkinId: 'manageCheckin',
+  checkoutId: 'manageCheckout',
+  roomId: 'manageRoom',
+  linesId: 'manageRoomLines',
+  addLineId: 'manageAddRoomLine',
+  promoId: 'managePromoCode',
+  promoStatusId: 'managePromoStatus',
+  addOnsId: 'manageAddOns',
+  nightsId: 'manageNightsCount',
+  rateId: 'manageRatePerNight',
+  extrasId: 'manageExtrasAmount',
+  addOnsListId: 'manageAddOnsBreakdown',
+  discountId: 'manageDiscountAmount',
+  totalId: 'manageTotalPrice',
+  depositId: 'manageDepositDue',
+  balanceId: 'manageBalanceDue',
+  nairaNoteId: 'manageNairaNote',
+  noticeId: 'manageBookingNotice'
+});
+bookingCalculators.push(manageCalculator);
+setupDateRangePicker({ pickerId: 'manageDatePicker', checkinId: 'manageCheckin', checkoutId: 'manageCheckout', linesId: 'manageRoomLines' });
+
+// The form filled in with the booking as it stands
+function fillChangeForm(booking) {
+  manageChangeForm.reset();
+  manageCalculator.reset();
+  document.getElementById('manageCheckin').value = booking.checkin;
+  document.getElementById('manageCheckout').value = booking.checkout;
+  document.getElementById('managePromoCode').value = booking.promoCode || '';
+  const linesEl = document.getElementById('manageRoomLines');
+  booking.rooms.forEach((line, i) => {
+    const lineEl = i === 0 ? linesEl.querySelector('.room-line') : manageCalculator.addRoomLine({ focus: false });
+    ['room', 'rooms', 'adults', 'children', 'extraBeds'].forEach(field => {
+      const el = lineEl.querySelector(`[data-field="${field}"]`);
+      if (el) el.value = field === 'room' ? line.roomType : line[field];
+    });
+  });
+  const bookedAddOns = (booking.addOns || []).map(item => item.id);
+  document.querySelectorAll('#manageAddOns input[data-addon]').forEach(input => {
+    input.checked = bookedAddOns.includes(input.dataset.addon);
+  });
+  manageCalculator.calculate();
+  renderDifference();
+}
+
+// The new stay's quote, or null while the form does not describe one
+function quoteChange() {
+  const checkinDate = parseISO(fieldValue('manageCheckin'));
+  const checkoutDate = parseISO(fieldValue('manageCheckout'));
+  const lines = readRoomLines(document.getElementById('manageRoomLines'));
+  if (!checkinDate || !checkoutDate || checkoutDate <= checkinDate || !lines.length || lines.some(line => !line.roomType)) return null;
+  return {
+    checkin: fieldValue('manageCheckin'),
+    checkout: fieldValue('manageCheckout'),
+    lines,
+    addOnIds: readAddOns(document.getElementById('manageAddOns')),
+    quote: quoteStay({
+      checkinDate,
+      checkoutDate,
+      lines,
+      promoCode: managedBooking.promoCode || '',
+      addOnIds: readAddOns(document.getElementById('manageAddOns')),
+      inventory
+    })
+  };
+}
+
+function isSameStay(change, booking) {
+  const addOnIds = (booking.addOns || []).map(item => item.id);
+  return change.checkin === booking.checkin && change.checkout === booking.checkout &&
+    JSON.stringify(change.lines) === JSON.stringify(booking.rooms) &&
+    JSON.stringify(change.addOnIds) === JSON.stringify(addOnIds);
+}
+
+function signedAmount(amount) {
+  const sign = amount > 0 ? '+' : amount < 0 ? '−' : '';
+  return `${sign}${formatCurrency(Math.abs(amount))}`;
+}
+
+function renderDifference() {
+  const differenceEl = document.getElementById('manageDifference');
+  const change = managedBooking ? quoteChange() : null;
+  if (!change) {
+    differenceEl.innerHTML = '';
+    return;
+  }
+  if (isSameStay(change, managedBooking)) {
+    differenceEl.innerHTML = `<p>${escapeHtml(t('manage.noChange'))}</p>`;
+    return;
+  }
+  const difference = change.quote.total - managedBooking.total;
+  const paid = knownDepositPaid();
+  const rows = [
+    `<p><strong>${escapeHtml(t('manage.was'))}</strong> ${formatCurrency(managedBooking.total)}</p>`,
+    `<p><strong>${escapeHtml(t('manage.difference'))}</strong> ${signedAmount(difference)}</p>`
+  ];
+  if (paid) {
+    const due = change.quote.deposit - paid;
+    rows.push(`<p>${escapeHtml(due > 0
+      ? t('manage.depositTopUp', { paid: formatCurrency(paid), amount: formatCurrency(due) })
+      : t('manage.depositCovered', { paid: formatCurrency(paid) }))}</p>`);
+  }
+  differenceEl.innerHTML = rows.join('');
+}
+
+// runs after the calculator's own listeners (they sit on the fields, this on the form)
+['input', 'change'].forEach(type => manageChangeForm.addEventListener(type, renderDifference));
+
+document.getElementById('manageChangeOpen').addEventListener('click', () => {
+  fillChangeForm(managedBooking);
+  showManageView('change');
+  document.getElementById('manageChangeTitle').focus();
+});
+
+function validateChange() {
+  const checkin = document.getElementById('manageCheckin');
+  const checkout = document.getElementById('manageCheckout');
+  const checks = [
+    [checkin, bookingFieldRules.checkin(checkin.value)],
+    [checkout, bookingFieldRules.checkout(checkout.value, checkin.value)]
+  ];
+  document.querySelectorAll('#manageRoomLines [data-field="room"]').forEach(select => {
+    checks.push([select, bookingFieldRules.room(select.value)]);
+  });
+  document.querySelectorAll('#manageRoomLines input[type="number"][data-field]').forEach(input => {
+    checks.push([input, bookingFieldRules.count(input.value.trim(), input)]);
+  });
+  let firstInvalid = null;
+  checks.forEach(([input, message]) => {
+    showFieldError(input, message);
+    if (message && !firstInvalid) firstInvalid = input;
+  });
+  return firstInvalid;
+}
+
+function showManageResult(message) {
+  manageResult.textContent = message;
+  manageResult.hidden = false;
+  manageResult.focus();
+}
+
+// Sends the amendment, then shows the booking as it now stands
+function submitAmendment(amendment, doneKey) {
+  const blocked = checkSubmissionRate(amendment.idempotencyKey);
+  if (blocked) {
+    showBookingToast('error', blocked);
+    return;
+  }
+  sendingAmendment = true;
+  showBookingToast('progress', t('toast.sending'));
+  sendAmendment(managedBooking, amendment)
+    .then(({ delivery, booking }) => {
+      if (delivery === 'sent') hideBookingToast();
+      else showBookingToast('pending', t('toast.pending'));
+      openManagedBooking(booking);
+      showManageResult(t(doneKey, {
+        reference: booking.reference,
+        difference: formatNaira(Math.abs(amendment.difference || 0)),
+        refund: describeRefund(amendment.cancellation ? amendment.cancellation.refund : 0)
+      }));
+    })
+    .catch(err => {
+      console.error('Amendment failed:', err);
+      showBookingToast('error', t('toast.failed'));
+    })
+    .then(() => {
+      sendingAmendment = false;
+    });
+}
+
+manageChangeForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  if (sendingAmendment || !managedBooking || !canAmendBooking(managedBooking)) return;
+  const firstInvalid = validateChange();
+  if (firstInvalid) {
+    firstInvalid.focus();
+    return;
+  }
+  const problem = checkBookingForm(manageIds);
+  if (problem) {
+    showBookingToast('error', problem);
+    return;
+  }
+  const change = quoteChange();
+  if (isSameStay(change, managedBooking)) {
+    showBookingToast('error', t('manage.noChange'));
+    return;
+  }
+  const quote = change.quote;
+  const paid = knownDepositPaid();
+  const changes = {
+    checkin: change.checkin,
+    checkout: change.checkout,
+    nights: quote.nightCount,
+    rooms: change.lines,
+    breakdown: quoteBreakdown(quote),
+    subtotal: quote.subtotal,
+    extrasTotal: quote.extrasTotal,
+    addOns: quote.addOns,
+    addOnsTotal: quote.addOnsTotal,
+    promoCode: quote.discount ? managedBooking.promoCode : '',
+    discount: quote.discount,
+    total: quote.total,
+    deposit: quote.deposit,
+    balance: quote.balance,
+    refundCutoff: earliestRefundCutoff(managedBooking, change.checkin)
+  };
+  // a deposit already paid stays what was paid, so a later cancellation refunds the right amount
+  if (paid) changes.depositPaid = paid;
+  submitAmendment(buildAmendment(managedBooking, 'change', { changes, difference: quote.total - managedBooking.total }), 'manage.changeSent');
+});
+
+// ==============================
+// Cancellation
+// ==============================
+function renderCancelTerms() {
+  const paid = knownDepositPaid();
+  const terms = cancellationTerms({ checkin: managedBooking.checkin, depositPaid: paid, refundCutoff: managedBooking.refundCutoff });
+  // payments not known here: the policy and cutoff, but the refund is for the front desk to work out
+  const cancellation = paymentsKnown ? terms : Object.assign({}, terms, { refund: null, kept: null });
+  const cutoff = formatLongDate(terms.cutoff);
+  let policy;
+  if (!paymentsKnown) policy = t('manage.cancelUnverified', { date: cutoff });
+  else if (!paid) policy = t('manage.cancelNoDeposit');
+  else if (terms.refundable) policy = t('manage.cancelRefund', { date: cutoff, amount: formatCurrency(terms.refund) });
+  else policy = t('manage.cancelLate', { date: cutoff, amount: formatCurrency(terms.kept) });
+  document.getElementById('manageCancelTerms').innerHTML = `
+    <p>${escapeHtml(t('manage.cancelPolicy'))}</p>
+    <p>${escapeHtml(policy)}</p>
+    <p class="manage-refund"><strong>${escapeHtml(t('manage.refundDue'))}</strong> ${paymentsKnown ? formatCurrency(terms.refund) : escapeHtml(describeRefund(null))}</p>`;
+  return cancellation;
+}
+
+document.getElementById('manageCancelOpen').addEventListener('click', () => {
+  renderCancelTerms();
+  showManageView('cancel');
+  document.getElementById('manageCancelTitle').focus();
+});
+
+document.getElementById('manageCancelConfirm').addEventListener('click', () => {
+  if (sendingAmendment || !managedBooking || !canAmendBooking(managedBooking)) return;
+  // worked out again on the click: the cutoff may have passed while the page was open
+  const cancellation = renderCancelTerms();
+  submitAmendment(buildAmendment(managedBooking, 'cancel', { cancellation, difference: -managedBooking.total }), 'manage.cancelSent');
+});
+
+document.querySelectorAll('[data-manage-back]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    showManageView('booking');
+    document.getElementById('manageBookingTitle').focus();
+  });
+});
+
+// ==============================
+// Wiring
+// ==============================
+(function setupManage() {
+  const reference = new URLSearchParams(window.location.search).get('reference');
+  const referenceEl = document.getElementById('manageReference'); // gone when booking-quote.js is missing
+  if (reference && referenceEl) referenceEl.value = reference.toUpperCase();
+
+  // script.js re-translates the page and the calculator; the booking, the difference and the policy follow
+  ['languageSelect', 'currencySelect'].forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.addEventListener('change', () => {
+      if (!managedBooking) return;
+      renderManagedBooking();
+      renderDifference();
+      if (!manageCancelEl.hidden) renderCancelTerms();
+    });
+  });
+})();
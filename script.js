@@ -6,49 +6,345 @@
 // - Header scroll effect
 // - Smooth anchor scrolling with header offset
 // - Fade-in on scroll (throttled)
-// - Booking modal open/close (focus management, fade-out animation)
+// - One dialog manager for every modal (booking, menu, amenity, room slider, gallery, services, confirmation):
+//   focus trap, focus returned on close, stacking, aria-modal + labelled titles, scroll lock that restores
+// - Room catalog (roomCatalog): room cards, both room <select>s, the Book buttons and the calculator come from one list
+// - Booking modal open/close (fade-out animation)
 // - Independent booking calculators for main booking form and modal form
 //   (main form and modal are completely independent; selecting a room in one DOES NOT affect the other)
 // - Prefill modal room when clicking a room card's Book button (uses data-default-room on the button)
+// - Shareable booking links (?book=deluxe&checkin=…&checkout=…&promo=…) open the modal filled in; what is typed
+//   in each form is kept as a per-form draft in sessionStorage and restored after a reload
 // - Date min enforcement (checkin can't be in the past; checkout must be after checkin)
-// - Client-side validation and friendly alert on successful booking (alert used per request)
+// - Date-range picker on both forms: a two-month calendar (keyboard and screen-reader friendly, stacks on phones)
+//   where check-in and check-out are picked in one go, with the nightly price under each date and unbookable
+//   dates greyed out; "today" is the hotel's date in Africa/Lagos
+// - Inline form validation: name, email, phone (normalised to +234), dates, max stay, same-day cutoff,
+//   room lines, the anti-spam sum and terms, announced through aria-live; the submit is blocked until everything passes
+// - Bot and spam protection on every form that sends: a hidden honeypot field, a minimum time to fill the form,
+//   a small sum to solve and a per-browser rate limit; terms consent is a separate checkbox per form and each
+//   booking records the terms version accepted
+// - Booking quote engine in booking-quote.js: a DOM-free ES module (catalog, rates, promotions, add-ons and the
+//   maths) with a documented quote({ roomType, checkin, checkout, … }) API; the calculators here are views over it
+// - Nightly pricing from rate rules (weekends, dated seasons/events, minimum stays) with a per-night breakdown
+// - Promo codes (percentage or fixed, validity window, room/min-night conditions) applied in the summary;
+//   the floating Deals badge opens the booking modal with the featured code filled in
+// - Guests and rooms: several room types per reservation, adults/children/extra beds per room line,
+//   max occupancy enforced, extra-person and extra-bed charges added to the total
+// - Add-ons from one catalog (`addOns`: airport pickup, breakfast, late checkout, …) priced per stay, night, guest
+//   or guest-night; ticked on either form, itemised in the summary and the confirmation, included in total and deposit
+// - Room availability: units per room type + booked/blocked dates (data/inventory.json); sold-out nights are listed and block submission
+// - Photos from a media manifest (data/media.json): per-room slider with captions, thumbnails and neighbour preloading;
+//   amenity and gallery popups use it too
+// - Dining menu from data/menu.json: Nigerian, continental and bar sections with prices in the display currency,
+//   dietary and spice tags and meal times; search and filters in the menu popup (menu photos as a fallback)
+// - Amenity details from data/amenities.json (hours, prices, rules, photos); Spa & Wellness and the Fitness Center
+//   take time-slot reservations with per-slot capacity, sent through the same pipeline as room bookings
+// - Room slider and gallery popup: swipe, pinch/double-tap zoom with panning, fullscreen (one shared gesture controller)
+// - One booking submission pipeline for both forms: pluggable transports (EmailJS, JSON/REST, local mock),
+//   retries with backoff, an idempotency key per submission and a single status toast for success/failure
+// - Offline queue: bookings that cannot be sent are kept in localStorage and resent on `online` / next visit
+// - Booking reference per booking, printable confirmation view (reopened by ?booking=REF) and .ics download
+// - "Send via WhatsApp" on both forms and the confirmation: books as usual, then opens a chat with the hotel
+//   (wa.me, so phones and WhatsApp Web alike) with the reference, guest, room, dates, total and deposit typed in
+// - Language switcher (English, French, Hausa, Igbo, Yoruba): every string comes from the catalog in i18n.js,
+//   dates/numbers follow the language's locale, the choice is remembered and sent with the booking
+// - Currency selector in the header: card prices and both summaries shown in NGN/USD/GBP/EUR (booked in naira)
+// - Deposit due / balance on arrival in both summaries, bank-transfer instructions on the confirmation (once
+//   paymentTerms.bank is filled in) and a booking status workflow (pending deposit → deposit received →
+//   confirmed → checked in) for the front desk
+// - Front-desk dashboard (frontdesk.html + frontdesk.js, behind a passcode): bookings from this device or the
+//   mock backend filtered by dates/room/deposit, an occupancy calendar per room type and CSV export
+// - Manage My Booking (manage.html + manage.js): guests find a booking by reference + email, change dates, rooms
+//   or add-ons with the price difference shown, or cancel with the refund the cancellation policy allows; each
+//   change goes through the booking pipeline as an amendment record linked to the original reference
 // - Clean, commented, easy-to-follow structure so you can paste without confusion
 
 // ==============================
 // Configuration
 // ==============================
-const roomRates = {
-  'standard': 85000,   // matches text inside card: ₦85,000
-  'deluxe': 120000,    // matches text in card: ₦120,000
-  'executive': 180000  // matches text in card: ₦180,000
+// Prices and booking rules — room catalog, extra charges, add-ons, rate rules, promotions, display currencies
+// and payment terms — live in booking-quote.js with the maths that uses them. That file is a DOM-free ES module
+// loaded before this script (as window.bookingQuote); what this page needs from it is picked out here by name.
+// When it did not load (opened from file://, blocked by a CSP, a 404), the rest of the site still works: the
+// stand-in below has no rooms or rates and only formats naira (menu and amenity prices), the booking forms are
+// replaced by a "call us" notice (see "Booking quote engine missing" below) and spa/fitness slots are not offered.
+const bookingQuoteLoaded = !!window.bookingQuote;
+if (!bookingQuoteLoaded) {
+  console.error('booking-quote.js did not load (window.bookingQuote is missing): prices and online booking are switched off. Serve the site over http(s) and check that booking-quote.js is reachable.');
+}
+const {
+  roomCatalog, addOns, currencies, paymentTerms,
+  hotelNow, isoDate, parseISO, addDays, eachNight, formatMoney, convertFromNaira, getRoom, getAddOn,
+  getFeaturedPromotion, priceNight, getUnavailableNights, quoteStay, cancellationTerms
+} = window.bookingQuote || missingBookingQuote();
+
+function missingBookingQuote() {
+  const unavailable = () => {
+    throw new Error('booking-quote.js is not loaded.');
+  };
+  return {
+    roomCatalog: [],
+    addOns: [],
+    currencies: { NGN: { label: '₦ NGN', nairaPerUnit: 1 } },
+    paymentTerms: { depositRate: 0, cancellation: { refundDays: 0 }, bank: {} },
+    // the guest's clock instead of Owerri's: only the menu's "served now" filter uses it without bookings
+    hotelNow: () => ({ date: new Date().toISOString().slice(0, 10), time: new Date().toTimeString().slice(0, 5) }),
+    isoDate: unavailable,
+    parseISO: unavailable,
+    addDays: unavailable,
+    eachNight: unavailable,
+    formatMoney: (amount, currencyCode, locale) => new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode, currencyDisplay: 'narrowSymbol', maximumFractionDigits: 0 }).format(amount),
+    convertFromNaira: amount => amount,
+    getRoom: () => null,
+    getAddOn: () => null,
+    getFeaturedPromotion: () => null,
+    priceNight: unavailable,
+    getUnavailableNights: unavailable,
+    quoteStay: unavailable,
+    cancellationTerms: unavailable
+  };
+}
+
+// Booking submission — which transport sends bookings and how hard to retry.
+// transport: 'emailjs' (live site), 'rest' (POSTs JSON to rest.endpoint), 'mock' (local development:
+// nothing leaves the browser, bookings land in localStorage). `?backend=mock` in the URL overrides it.
+const bookingBackend = {
+  transport: 'emailjs',
+  retries: 2,          // extra attempts after the first failure
+  retryDelayMs: 1500,  // wait before the first retry, doubled for each one after
+  emailjs: {
+    publicKey: '4jjZ2NEg5rDSAi3i6',
+    serviceId: 'service_gh2g85r',
+    customerTemplateId: 'template_l4hfrae', // confirmation to the guest
+    hotelTemplateId: 'template_dbnijtl'     // alert to reservations@
+  },
+  rest: {
+    endpoint: '/api/bookings'
+  },
+  mock: {
+    delayMs: 700,
+    failRate: 0,     // 0..1 — raise it to exercise the retry path
+    storageKey: 'wizmore.mockBookings'
+  }
+};
+
+// Remembered choices (currency, language): reading or writing them must not stop the page where storage is
+// blocked (Safari with storage off, sandboxed iframes) — the choice is then simply not remembered
+function readSetting(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSetting(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    // storage blocked or full: the choice holds for this page only
+  }
+}
+
+// Display currency for the header selector (one of `currencies`); remembered in this browser
+const CURRENCY_STORAGE_KEY = 'wizmore.currency';
+let displayCurrency = currencies[readSetting(CURRENCY_STORAGE_KEY)] ? readSetting(CURRENCY_STORAGE_KEY) : 'NGN';
+
+// Site languages for the header switcher; strings live in i18n.js (`translations`), `locale` drives
+// date and number formatting. Without a saved choice the browser's language is used when we have it.
+const languages = {
+  en: { name: 'English', locale: 'en-GB' },
+  fr: { name: 'Français', locale: 'fr-FR' },
+  ha: { name: 'Hausa', locale: 'ha-NG' },
+  ig: { name: 'Igbo', locale: 'ig-NG' },
+  yo: { name: 'Yorùbá', locale: 'yo-NG' }
+};
+const LANGUAGE_STORAGE_KEY = 'wizmore.language';
+let currentLanguage = [readSetting(LANGUAGE_STORAGE_KEY), (navigator.language || '').slice(0, 2)]
+  .find(code => languages[code]) || 'en';
+
+// Hotel details used in confirmations, calendar files and messages
+const hotelInfo = {
+  name: 'Wizmore Hotel Owerri',
+  address: 'Plot 123, Wetheral Road, Owerri, Imo State, Nigeria',
+  phone: '+234 803 123 4567',
+  whatsapp: '2348031234567', // international format, digits only (used in wa.me links)
+  email: 'reservations@wizmorehotel.com',
+  checkinTime: '14:00',
+  checkoutTime: '12:00'
 };
 
+// Booking limits — enforced by the form validation and the date picker before a booking can be sent.
+// `sameDayCutoff`: after this hotel-time hour a check-in for today can no longer be booked online
+// (hotel time: see `hotelTimeZone` and hotelNow() in booking-quote.js, so "today" is Owerri's today).
+const bookingLimits = {
+  maxNights: 30,
+  sameDayCutoff: '18:00'
+};
+
+// Booking terms the guest accepts on both forms (the text is 'form.terms' in i18n.js). Change `version` whenever
+// that text changes: every booking records the version the guest agreed to.
+const bookingTerms = {
+  version: '2025-06-01'
+};
+
+// Bot and spam protection for everything sent through the booking pipeline (see "Bot and spam protection").
+// `minFillSeconds`: a form sent sooner than this after the guest started on it is taken for a bot.
+// `maxSubmissions` per `windowMinutes`: how many bookings/reservations one browser may send in that time.
+const spamProtection = {
+  minFillSeconds: 5,
+  maxSubmissions: 5,
+  windowMinutes: 60,
+  storageKey: 'wizmore.submissionLog'
+};
+
+// Booking status workflow, in order. Every booking starts at the first one; the front desk moves it on.
+const bookingStatuses = [
+  { id: 'pending-deposit', label: 'Pending deposit' },
+  { id: 'deposit-received', label: 'Deposit received' },
+  { id: 'confirmed', label: 'Confirmed' },
+  { id: 'checked-in', label: 'Checked in' }
+];
+
 // Minor internal settings
 const HEADER_OFFSET = 80; // pixels to offset scrolling for the fixed header
+const INVENTORY_URL = 'data/inventory.json'; // units per room type + booked/blocked date ranges
+const MEDIA_URL = 'data/media.json'; // photos with captions/alt text for the room slider, amenities and gallery
+const MENU_URL = 'data/menu.json'; // dining menu: sections, dishes and drinks, tags, meal times
+const AMENITIES_URL = 'data/amenities.json'; // amenity hours, prices, rules and spa/fitness time slots
 
 // ==============================
 // Utility helpers
 // ==============================
-function isoDate(date) {
-  // Convert a Date object to YYYY-MM-DD
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+// Naira, always: what bookings are recorded and paid in (emails, confirmations, calendar files)
+function formatNaira(n) {
+  return formatMoney(typeof n === 'number' ? n : 0, 'NGN', currentLocale());
+}
+
+// The guest's chosen display currency (see `currencies`); naira amounts are converted for display only
+function formatCurrency(n) {
+  if (typeof n !== 'number') n = 0;
+  if (!currencies[displayCurrency] || displayCurrency === 'NGN') return formatNaira(n);
+  return formatMoney(convertFromNaira(n, displayCurrency), displayCurrency, currentLocale());
 }
 
-function parseISO(dateString) {
-  if (!dateString) return null;
-  const parts = dateString.split('-');
-  if (parts.length !== 3) return null;
-  return new Date(parts[0], parseInt(parts[1], 10) - 1, parts[2]);
+function formatShortDate(date) {
+  // e.g. "Sat 19 Dec" (in the current language)
+  return date.toLocaleDateString(currentLocale(), { weekday: 'short', day: 'numeric', month: 'short' });
 }
 
-function formatCurrency(n) {
-  if (typeof n !== 'number') return '₦0';
-  return `₦${n.toLocaleString()}`;
+// ==============================
+// Language / string catalog (see `languages` in Configuration and i18n.js)
+// - t('key', { name: value }) returns the current language's string, falling back to English, then to the key
+// - Static HTML carries data-i18n="key" (text) or data-i18n-placeholder / -alt / -title / -aria-label
+// ==============================
+function currentLocale() {
+  return languages[currentLanguage].locale;
+}
+
+function lookupString(key) {
+  const own = (translations[currentLanguage] || {})[key];
+  if (own !== undefined) return { value: own, language: currentLanguage };
+  const fallback = translations.en[key];
+  return fallback !== undefined ? { value: fallback, language: 'en' } : null;
+}
+
+function t(key, params = {}) {
+  const found = lookupString(key);
+  if (!found) return key;
+  let text = found.value;
+  if (typeof text === 'object') {
+    // plural forms, chosen with the rules of the language the string is written in
+    const form = new Intl.PluralRules(languages[found.language].locale).select(params.n);
+    text = text[form] || text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Labels written in the configuration (seasons, promotions) are translated when i18n.js has them
+function translateLabel(label) {
+  return label && lookupString(`label.${label}`) ? t(`label.${label}`) : label;
+}
+
+function roomName(roomType) {
+  if (lookupString(`room.${roomType}`)) return t(`room.${roomType}`);
+  const room = getRoom(roomType);
+  return room ? room.name : roomType;
+}
+
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  ['placeholder', 'alt', 'title', 'aria-label'].forEach(attr => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+// ==============================
+// Room catalog rendering (see `roomCatalog` in booking-quote.js)
+// - One .room-card per room inside #roomCards, and one <option> per room in every room <select>
+// - Runs before anything else looks for .room-card / .room-open / room options (scroll animations, slider, forms)
+// - Text carries data-i18n keys when i18n.js has them, so the language switcher re-translates it;
+//   prices are filled in (and re-rendered on currency change) by renderRoomCardPrices()
+// ==============================
+// data-i18n attribute for a catalog text, when the string catalog has that key
+function i18nAttr(key, attr = 'data-i18n') {
+  return lookupString(key) ? ` ${attr}="${key}"` : '';
+}
+
+function roomBookLabel(roomType) {
+  const key = `room.${roomType}.book`;
+  return lookupString(key) ? t(key) : t('rooms.book', { name: roomName(roomType) });
 }
 
+// "Book [Type]" buttons without their own key are built from 'rooms.book'; rebuild them after a language change
+function renderRoomBookLabels() {
+  document.querySelectorAll('.room-card .room-open:not([data-i18n])').forEach(btn => {
+    btn.textContent = roomBookLabel(btn.dataset.defaultRoom);
+  });
+}
+
+function renderRoomCatalog() {
+  const cardsEl = document.getElementById('roomCards');
+  if (cardsEl) {
+    cardsEl.innerHTML = roomCatalog.map(room => {
+      const nameKey = `room.${room.id}`;
+      const bookKey = `room.${room.id}.book`;
+      return `
+            <div class="room-card fade-in" data-room="${escapeHtml(room.id)}">
+                <div class="room-img">
+                    <img loading="lazy" src="${escapeHtml(room.images[0] || '')}" alt="${escapeHtml(roomName(room.id))}"${i18nAttr(nameKey, 'data-i18n-alt')}>
+                </div>
+                <div class="room-info">
+                    <h3${i18nAttr(nameKey)}>${escapeHtml(roomName(room.id))}</h3>
+                    <p${i18nAttr(`${nameKey}.text`)}>${escapeHtml(lookupString(`${nameKey}.text`) ? t(`${nameKey}.text`) : room.description)}</p>
+                    <div class="room-features">
+                        ${room.amenities.map(label => `<span${i18nAttr(`label.${label}`)}>${escapeHtml(translateLabel(label))}</span>`).join('')}
+                    </div>
+                    <div class="price"></div>
+                    <a href="#" class="btn room-open" data-default-room="${escapeHtml(room.id)}"${i18nAttr(bookKey)}>${escapeHtml(roomBookLabel(room.id))}</a>
+                </div>
+            </div>`;
+    }).join('');
+  }
+
+  // Keep each select's placeholder option (value ""), replace the room options
+  document.querySelectorAll('select[data-field="room"]').forEach(select => {
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    roomCatalog.forEach(room => {
+      const option = document.createElement('option');
+      option.value = room.id;
+      option.textContent = roomName(room.id);
+      if (lookupString(`room.${room.id}`)) option.setAttribute('data-i18n', `room.${room.id}`);
+      select.appendChild(option);
+    });
+  });
+}
+
+renderRoomCatalog();
+
 // ==============================
 // Mobile navigation toggle
 // ==============================
@@ -134,7 +430,173 @@ window.addEventListener('scroll', () => {
 window.addEventListener('load', appearOnScroll);
 
 // ==============================
-// Modal handling (open, close, focus trap basics)
+// Dialogs — one manager for every modal on the page
+// - registerDialog(el, options) once per dialog, then openDialog(el) / closeDialog(el)
+// - Open dialogs form a stack: the newest sits on top (z-index), receives Escape and keeps focus;
+//   closing it hands focus back to the element that opened it
+// - Tab / Shift+Tab wrap around inside the top dialog (focus trap)
+// - Page scroll is locked while any dialog is open; the previous overflow styles come back when the last one closes
+// - options: labelledBy (id of the visible or visually-hidden title), display ('flex'), initialFocus (selector),
+//   closeButtons, closeOnBackdrop (true), fadeOutClass + fadeOutMs (animate closing),
+//   onDismiss (what Escape / backdrop / close buttons do instead of closeDialog), onClose (after closing)
+// ==============================
+const DIALOG_BASE_Z = 10000; // above the header and floating buttons, below the booking toast
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const dialogOptions = new Map();
+const dialogStack = [];
+let savedScrollStyles = null;
+
+function registerDialog(el, options = {}) {
+  if (!el) return;
+  const opts = Object.assign({ display: 'flex', closeOnBackdrop: true, closeButtons: [], fadeOutMs: 0 }, options);
+  dialogOptions.set(el, opts);
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-modal', 'true');
+  el.removeAttribute('aria-hidden');
+  if (opts.labelledBy) el.setAttribute('aria-labelledby', opts.labelledBy);
+  el.hidden = true;
+  el.style.display = 'none';
+
+  el.addEventListener('click', (e) => {
+    if (opts.closeOnBackdrop && e.target === el) dismissDialog(el);
+  });
+  opts.closeButtons.forEach(btn => {
+    if (btn) btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      dismissDialog(el);
+    });
+  });
+}
+
+function isDialogOpen(el) {
+  return dialogStack.includes(el);
+}
+
+function isTopDialog(el) {
+  return dialogStack.length > 0 && dialogStack[dialogStack.length - 1] === el;
+}
+
+function focusableIn(el) {
+  return Array.from(el.querySelectorAll(FOCUSABLE_SELECTOR)).filter(node => !node.closest('[hidden]'));
+}
+
+function openDialog(el) {
+  const opts = dialogOptions.get(el);
+  if (!opts || isDialogOpen(el)) return;
+
+  if (!dialogStack.length) {
+    savedScrollStyles = { html: document.documentElement.style.overflow, body: document.body.style.overflow };
+    document.documentElement.style.overflow = 'hidden';
+    document.body.style.overflow = 'hidden';
+  }
+  clearTimeout(el._dialogHideTimer);
+  if (opts.fadeOutClass) el.classList.remove(opts.fadeOutClass);
+
+  el._returnFocus = document.activeElement;
+  dialogStack.push(el);
+  el.hidden = false;
+  el.style.display = opts.display;
+  el.style.zIndex = String(DIALOG_BASE_Z + dialogStack.length);
+  el.classList.add('dialog-open');
+
+  const preferred = opts.initialFocus && el.querySelector(opts.initialFocus);
+  const target = preferred && !preferred.closest('[hidden]') ? preferred : focusableIn(el)[0];
+  if (target) {
+    target.focus();
+  } else {
+    el.setAttribute('tabindex', '-1');
+    el.focus();
+  }
+}
+
+function closeDialog(el) {
+  const index = dialogStack.indexOf(el);
+  if (index === -1) return;
+  const opts = dialogOptions.get(el);
+  dialogStack.splice(index, 1);
+  el.classList.remove('dialog-open');
+
+  const hide = () => {
+    el.hidden = true;
+    el.style.display = 'none';
+    if (opts.fadeOutClass) el.classList.remove(opts.fadeOutClass);
+  };
+  if (opts.fadeOutClass && opts.fadeOutMs) {
+    el.classList.add(opts.fadeOutClass);
+    el._dialogHideTimer = setTimeout(hide, opts.fadeOutMs);
+  } else {
+    hide();
+  }
+
+  if (!dialogStack.length && savedScrollStyles) {
+    document.documentElement.style.overflow = savedScrollStyles.html;
+    document.body.style.overflow = savedScrollStyles.body;
+    savedScrollStyles = null;
+  }
+
+  const returnTo = el._returnFocus;
+  el._returnFocus = null;
+  if (index < dialogStack.length) {
+    // closed from underneath another dialog: the one above inherits where focus should go back to
+    dialogStack[index]._returnFocus = returnTo;
+  } else if (returnTo && returnTo !== document.body && document.contains(returnTo) && typeof returnTo.focus === 'function') {
+    returnTo.focus();
+  }
+  if (opts.onClose) opts.onClose();
+}
+
+// Escape, backdrop click and close buttons go through here (a dialog may need more than closeDialog, e.g. the URL)
+function dismissDialog(el) {
+  const opts = dialogOptions.get(el);
+  if (opts && opts.onDismiss) opts.onDismiss();
+  else closeDialog(el);
+}
+
+document.addEventListener('keydown', (e) => {
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) return;
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    dismissDialog(top);
+    return;
+  }
+
+  if (e.key === 'Tab') {
+    const items = focusableIn(top);
+    if (!items.length) {
+      e.preventDefault();
+      top.focus();
+      return;
+    }
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || !top.contains(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !top.contains(active))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+});
+
+// Lets a clickable card, image or list item open its dialog from the keyboard too (Enter / Space)
+function makeActivatable(el, handler) {
+  if (!el.hasAttribute('tabindex')) el.tabIndex = 0;
+  if (!el.hasAttribute('role')) el.setAttribute('role', 'button');
+  el.addEventListener('click', handler);
+  el.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handler(e);
+    }
+  });
+}
+
+// ==============================
+// Booking modal
 // ==============================
 const bookingModal = document.getElementById('bookingModal');
 const closeModal = document.getElementById('closeModal');
@@ -157,36 +619,35 @@ const MODAL_FADEOUT_CLASS = 'modal-fadeout';
   document.head.appendChild(style);
 })();
 
-function openBookingModal(preselectedRoom = '') {
+registerDialog(bookingModal, {
+  labelledBy: 'bookingModalTitle',
+  initialFocus: 'input, select, textarea',
+  closeButtons: [closeModal],
+  fadeOutClass: MODAL_FADEOUT_CLASS,
+  fadeOutMs: 220
+});
+
+// Optional `stay` dates (YYYY-MM-DD) come from a shared link (see "Deep links and drafts"); modal only as well
+function openBookingModal(preselectedRoom = '', promoCode = '', stay = {}) {
   if (!bookingModal) return;
-  bookingModal.style.display = 'flex';
-  bookingModal.classList.remove(MODAL_FADEOUT_CLASS);
-  // lock background scroll
-  document.documentElement.style.overflow = 'hidden';
-  document.body.style.overflow = 'hidden';
-  // focus first input after a short delay
-  setTimeout(() => {
-    const first = bookingModal.querySelector('input, select, textarea, button');
-    if (first) first.focus();
-    // preselect room in modal (this only affects the modal, never the main form)
-    if (preselectedRoom) {
-      const modalRoomEl = document.getElementById('modalRoom');
-      if (modalRoomEl) modalRoomEl.value = preselectedRoom;
-      // trigger a change to update modal summary if calculator is set
-      modalRoomEl.dispatchEvent(new Event('change'));
-    }
-  }, 60);
+  openDialog(bookingModal);
+  // the fields fire the same bubbling change events a guest's edits do, so the summary and the draft follow
+  const setModalField = (id, value) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.value = value;
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+  if (stay.checkin) setModalField('modalCheckin', stay.checkin);
+  if (stay.checkout) setModalField('modalCheckout', stay.checkout);
+  // preselect room in modal (this only affects the modal, never the main form)
+  if (preselectedRoom) setModalField('modalRoom', preselectedRoom);
+  // pre-apply a promo code (Deals badge, links); again modal only
+  if (promoCode) setModalField('modalPromoCode', promoCode);
 }
 
 function closeBookingModal() {
-  if (!bookingModal) return;
-  bookingModal.classList.add(MODAL_FADEOUT_CLASS);
-  setTimeout(() => {
-    bookingModal.style.display = 'none';
-    bookingModal.classList.remove(MODAL_FADEOUT_CLASS);
-    document.documentElement.style.overflow = '';
-    document.body.style.overflow = '';
-  }, 220);
+  if (bookingModal) closeDialog(bookingModal);
 }
 
 // Open modal via the top Book Now (optional)
@@ -197,25 +658,6 @@ if (topBookBtn) {
   });
 }
 
-// close button
-if (closeModal) {
-  closeModal.addEventListener('click', closeBookingModal);
-}
-
-// click outside modal-content to close
-window.addEventListener('click', (e) => {
-  if (!bookingModal) return;
-  if (e.target === bookingModal) closeBookingModal();
-});
-
-// esc to close
-document.addEventListener('keydown', (e) => {
-  if (!bookingModal) return;
-  if (e.key === 'Escape' && bookingModal.style.display === 'flex') {
-    closeBookingModal();
-  }
-});
-
 // ==============================
 // Prefill modal: connect each card's "Book [Type]" button to modal
 // Buttons in HTML use: <a class="btn room-open" data-default-room="executive">Book Executive</a>
@@ -231,33 +673,255 @@ document.querySelectorAll('.room-open').forEach(btn => {
   });
 });
 
+// ==============================
+// Nightly rates in the summaries (the rates themselves come from `rateRules`, priced in booking-quote.js)
+// ==============================
+// Night labels combine config labels ("Festive season · Weekend"); translate each part
+function translateNightLabel(label) {
+  return label.split(' · ').map(translateLabel).join(' · ');
+}
+
+// One heading per room line, then that line's nights (rate shown per room, "× n" when several)
+function renderRateBreakdown(listEl, lines) {
+  if (!listEl) return;
+  listEl.innerHTML = '';
+  lines.forEach(line => {
+    const heading = document.createElement('li');
+    heading.className = 'rate-breakdown-room';
+    heading.textContent = describeRoomLine(line);
+    listEl.appendChild(heading);
+    line.nights.forEach(n => {
+      const li = document.createElement('li');
+      const times = line.rooms > 1 ? ` × ${line.rooms}` : '';
+      li.textContent = `${formatShortDate(n.date)} — ${formatCurrency(n.rate)}${times}${n.label ? ` (${translateNightLabel(n.label)})` : ''}`;
+      listEl.appendChild(li);
+    });
+  });
+}
+
+// ==============================
+// Rooms, guests and occupancy (occupancy rules and extra charges are checked and priced in booking-quote.js)
+// - A reservation is a list of room lines: { roomType, rooms, adults, children, extraBeds }
+// - In the forms each line is a .room-line whose inputs carry data-field="room|rooms|adults|children|extraBeds"
+// ==============================
+function readRoomLines(container) {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('.room-line')).map(lineEl => {
+    const field = name => lineEl.querySelector(`[data-field="${name}"]`);
+    const count = (name, fallback) => {
+      const n = parseInt(field(name) ? field(name).value : '', 10);
+      return Number.isNaN(n) ? fallback : Math.max(0, n);
+    };
+    return {
+      roomType: field('room') ? field('room').value : '',
+      rooms: Math.max(1, count('rooms', 1)),
+      adults: count('adults', 1),
+      children: count('children', 0),
+      extraBeds: count('extraBeds', 0)
+    };
+  });
+}
+
+// e.g. "2 × Deluxe Room (3 adults, 1 child, 1 extra bed)"
+function describeRoomLine(line) {
+  const who = [t('count.adult', { n: line.adults })];
+  if (line.children) who.push(t('count.child', { n: line.children }));
+  if (line.extraBeds) who.push(t('count.extraBed', { n: line.extraBeds }));
+  return `${line.rooms} × ${roomName(line.roomType)} (${who.join(', ')})`;
+}
+
+function describeRoomLines(lines) {
+  return lines.map(describeRoomLine).join('; ');
+}
+
+// ==============================
+// Add-ons (see `addOns` in booking-quote.js, which prices them)
+// - In the forms each add-on is a checkbox with data-addon="<id>", built by renderAddOnOptions()
+// - A priced add-on is { id, name, per, price, guests, nights, quantity, total }
+// ==============================
+function addOnName(id) {
+  if (lookupString(`addOn.${id}`)) return t(`addOn.${id}`);
+  const addOn = getAddOn(id);
+  return addOn ? addOn.name : id;
+}
+
+function readAddOns(container) {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('input[data-addon]:checked'), input => input.dataset.addon);
+}
+
+// e.g. "Breakfast buffet (2 guests × 3 nights)"
+function describeAddOn(item) {
+  const guests = t('count.guest', { n: item.guests });
+  const nights = t('count.night', { n: item.nights });
+  const detail = { night: nights, guest: guests, guestNight: `${guests} × ${nights}` }[item.per];
+  return detail ? `${addOnName(item.id)} (${detail})` : addOnName(item.id);
+}
+
+function describeAddOns(items) {
+  return items.map(describeAddOn).join('; ');
+}
+
+// One checkbox per add-on with its price in the display currency; ticked boxes stay ticked on a re-render
+function renderAddOnOptions(container) {
+  if (!container) return;
+  const ticked = readAddOns(container);
+  const prefix = container.id;
+  container.querySelectorAll('.addon-option').forEach(el => el.remove());
+  addOns.forEach(addOn => {
+    const label = document.createElement('label');
+    label.className = 'addon-option';
+    label.innerHTML = `
+      <input type="checkbox" id="${prefix}-${addOn.id}" data-addon="${escapeHtml(addOn.id)}">
+      <span class="addon-name">${escapeHtml(addOnName(addOn.id))}</span>
+      <span class="addon-price">${escapeHtml(t(`addOn.per.${addOn.per}`, { price: formatCurrency(addOn.price) }))}</span>`;
+    // the property, not the attribute, so resetting the form still clears it
+    label.querySelector('input').checked = ticked.includes(addOn.id);
+    container.appendChild(label);
+  });
+}
+
+// <li>s for a summary list: "Breakfast buffet (2 guests × 3 nights) — ₦45,000"
+function addOnListItems(items, format = formatCurrency) {
+  return items.map(item => `<li>${escapeHtml(describeAddOn(item))} — ${escapeHtml(format(item.total))}</li>`).join('');
+}
+
+// ==============================
+// Quote messages — booking-quote.js reports problems and promo reasons as data ({ type, … }); these word them
+// in the current language for the summaries, the notices and the submit check
+// ==============================
+const quoteProblemText = {
+  minNights: p => t('stay.minNights', { label: p.label ? translateLabel(p.label) : t('stay.anyBooking'), n: p.nights }),
+  needsAdult: p => t('occupancy.needsAdult', { room: roomName(p.roomType) }),
+  tooManyBeds: p => t('occupancy.tooManyBeds', {
+    room: roomName(p.roomType),
+    beds: t('count.extraBed', { n: p.beds }),
+    rooms: t('count.room', { n: p.rooms })
+  }),
+  tooManyGuests: p => t('occupancy.tooManyGuests', {
+    room: roomName(p.roomType),
+    rooms: p.rooms,
+    capacity: p.capacity,
+    hint: t(p.canAddBed ? 'occupancy.addBedOrRoom' : 'occupancy.addRoom')
+  }),
+  soldOut: p => {
+    const dates = p.dates.map(iso => formatShortDate(parseISO(iso))).join(', ');
+    return p.units > 1
+      ? t('stay.notEnoughRooms', { room: roomName(p.roomType), units: p.units, dates })
+      : t('stay.soldOut', { room: roomName(p.roomType), dates });
+  }
+};
+
+function describeQuoteProblem(problem) {
+  return quoteProblemText[problem.type] ? quoteProblemText[problem.type](problem) : problem.type;
+}
+
+// Why a code did not apply; `entered` is what the guest typed (an unknown code has no promotion to name)
+function describePromoReason(result, entered) {
+  const reason = result.reason;
+  const code = result.promo ? result.promo.code : entered.trim();
+  if (reason.type === 'dates') {
+    const from = reason.from ? formatShortDate(parseISO(reason.from)) : '';
+    const to = reason.to ? formatShortDate(parseISO(reason.to)) : '';
+    const key = from && to ? 'promo.validBetween' : (from ? 'promo.validFrom' : 'promo.validUntil');
+    return t(key, { code, from, to });
+  }
+  if (reason.type === 'wrongRoom') return t('promo.wrongRoom', { code });
+  if (reason.type === 'minNights') return t('promo.minNights', { code, n: reason.nights });
+  return t('promo.invalid', { code });
+}
+
+// ==============================
+// Room availability (inventory)
+// - data/inventory.json holds `units` (rooms per type), `booked` stays and `blocked` ranges
+// - Ranges work like a stay: `checkin`/`from` night is taken, `checkout`/`to` morning is free again
+// - Until the file loads (or if it cannot be fetched) every night counts as available,
+//   so the forms keep working and the front desk remains the final check
+// - Every quote is checked against it: pass `inventory` to quoteStay() (booking-quote.js)
+// ==============================
+let inventory = null;
+
+function loadInventory() {
+  return fetch(INVENTORY_URL)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(data => {
+      inventory = data;
+      return inventory;
+    })
+    .catch(err => {
+      console.warn('Room inventory could not be loaded; availability is not checked.', err);
+      inventory = null;
+      return null;
+    });
+}
+
+// ==============================
+// Booking quote engine missing (see Configuration)
+// - Without booking-quote.js nothing can be priced, so each form that books or changes a booking is emptied and
+//   tells the guest to call or message the hotel instead; the setup code below then finds none of its fields and
+//   leaves it alone
+// ==============================
+function showBookingUnavailable(formEl) {
+  const tel = hotelInfo.phone.replace(/[^\d+]/g, '');
+  formEl.innerHTML = `
+    <div class="booking-unavailable" role="status">
+      <p data-i18n="booking.unavailable">${escapeHtml(t('booking.unavailable'))}</p>
+      <p><a class="btn" href="tel:${tel}">${escapeHtml(hotelInfo.phone)}</a>
+        <a class="btn btn-outline" href="https://wa.me/${hotelInfo.whatsapp}" target="_blank" rel="noopener">WhatsApp</a></p>
+    </div>`;
+}
+
+if (!bookingQuoteLoaded) {
+  document.querySelectorAll('#bookingForm, #modalForm, #manageLookupForm, #manageChangeForm').forEach(showBookingUnavailable);
+}
+
 // ==============================
 // Booking calculator / validations (reusable)
+// - A view over quoteStay() (booking-quote.js): it reads the form, asks for the quote and writes the summary;
+//   no prices are worked out here
 // - Each form has its own IDs and elements and works independently.
-// - Main form IDs (from your HTML): checkin, checkout, room, nightsCount, ratePerNight, totalPrice, bookingNotice
-// - Modal form IDs: modalCheckin, modalCheckout, modalRoom, modalNightsCount, modalRatePerNight, modalTotalPrice, modalBookingNotice
+// - Main form IDs (from your HTML): checkin, checkout, roomLines (first line: room, roomCount, adults, children,
+//   extraBeds), addRoomLine, promoCode, promoStatus, addOns (the add-on checkboxes), nightsCount, ratePerNight,
+//   extrasAmount, addOnsBreakdown, discountAmount, totalPrice, depositDue, balanceDue, bookingNotice
+// - Modal form IDs: the same with a "modal" prefix (modalCheckin, modalRoomLines, modalRoom, modalAdults, …)
 // ==============================
-function setupBookingCalculator({ checkinId, checkoutId, roomId, nightsId, rateId, totalId, noticeId }) {
+function setupBookingCalculator({ checkinId, checkoutId, roomId, linesId, addLineId, promoId, promoStatusId, addOnsId, nightsId, rateId, extrasId, addOnsListId, discountId, totalId, depositId, balanceId, nairaNoteId, noticeId }) {
   const checkin = document.getElementById(checkinId);
   const checkout = document.getElementById(checkoutId);
   const room = document.getElementById(roomId);
+  const linesEl = document.getElementById(linesId);
+  const addLineBtn = document.getElementById(addLineId);
   const nightsEl = document.getElementById(nightsId);
   const rateEl = document.getElementById(rateId);
   const totalEl = document.getElementById(totalId);
+  const depositEl = document.getElementById(depositId);
+  const balanceEl = document.getElementById(balanceId);
+  const nairaNoteEl = document.getElementById(nairaNoteId);
   const noticeEl = document.getElementById(noticeId);
+  const promo = document.getElementById(promoId);
+  const promoStatusEl = document.getElementById(promoStatusId);
+  const extrasEl = document.getElementById(extrasId);
+  const extrasRow = extrasEl ? extrasEl.parentElement : null;
+  const addOnsEl = document.getElementById(addOnsId);
+  const addOnsListEl = document.getElementById(addOnsListId);
+  const discountEl = document.getElementById(discountId);
+  const discountRow = discountEl ? discountEl.parentElement : null;
 
   // If critical elements are missing, safely return (don't break)
-  if (!checkin || !checkout || !room) return;
+  if (!checkin || !checkout || !room || !linesEl) return;
 
-  // Enforce checkin >= today
-  const todayIso = isoDate(new Date());
+  // Enforce checkin >= today (the hotel's today)
+  const todayIso = hotelNow().date;
   checkin.setAttribute('min', todayIso);
 
   function setCheckoutMinFromCheckin() {
     const checkVal = checkin.value;
     if (!checkVal) {
       // checkout must be at least tomorrow
-      const tomorrow = new Date();
+      const tomorrow = parseISO(todayIso);
       tomorrow.setDate(tomorrow.getDate() + 1);
       checkout.setAttribute('min', isoDate(tomorrow));
       return;
@@ -267,32 +931,147 @@ function setupBookingCalculator({ checkinId, checkoutId, roomId, nightsId, rateI
     checkout.setAttribute('min', isoDate(next));
   }
 
+  // Extra room lines are clones of the first one, with suffixed IDs so labels keep working
+  let lineCounter = 0;
+  const maxLines = roomCatalog.length;
+
+  function updateAddLineButton() {
+    if (addLineBtn) addLineBtn.hidden = linesEl.querySelectorAll('.room-line').length >= maxLines;
+  }
+
+  // `focus: false` when restoring a draft, so the page does not jump to the form
+  function addRoomLine({ focus = true } = {}) {
+    const first = linesEl.querySelector('.room-line');
+    const line = first.cloneNode(true);
+    clearFieldErrors(line);
+    lineCounter += 1;
+    line.querySelectorAll('[id]').forEach(el => { el.id = `${el.id}-${lineCounter}`; });
+    line.querySelectorAll('label[for]').forEach(label => { label.htmlFor = `${label.htmlFor}-${lineCounter}`; });
+    line.querySelectorAll('[data-field]').forEach(el => { el.value = el.tagName === 'SELECT' ? '' : el.defaultValue; });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'remove-room-line';
+    removeBtn.setAttribute('data-i18n-aria-label', 'form.removeRoom');
+    removeBtn.setAttribute('aria-label', t('form.removeRoom'));
+    removeBtn.innerHTML = '&times;';
+    removeBtn.addEventListener('click', () => {
+      line.remove();
+      updateAddLineButton();
+      calculate();
+    });
+    line.appendChild(removeBtn);
+
+    linesEl.insertBefore(line, addLineBtn && addLineBtn.parentNode === linesEl ? addLineBtn : null);
+    updateAddLineButton();
+    const select = line.querySelector('[data-field="room"]');
+    if (select && focus) select.focus();
+    return line;
+  }
+
+  // Discount row + promo status line under the code field
+  function showDiscount(result) {
+    const applied = result && typeof result.discount === 'number';
+    if (discountRow) discountRow.style.display = applied ? '' : 'none';
+    if (discountEl) discountEl.textContent = applied ? `−${formatCurrency(result.discount)} (${translateLabel(result.promo.label)})` : '';
+    if (promoStatusEl) {
+      promoStatusEl.textContent = result ? (applied ? t('promo.applied', { code: result.promo.code }) : describePromoReason(result, promo ? promo.value : '')) : '';
+      promoStatusEl.classList.toggle('is-error', !!result && !applied);
+    }
+  }
+
+  function showTotals(total, deposit, balance) {
+    if (totalEl) totalEl.textContent = formatCurrency(total);
+    if (depositEl) depositEl.textContent = formatCurrency(deposit);
+    if (balanceEl) balanceEl.textContent = formatCurrency(balance);
+    // in another currency, say what will actually be charged
+    if (nairaNoteEl) {
+      nairaNoteEl.hidden = displayCurrency === 'NGN' || !total;
+      nairaNoteEl.textContent = t('summary.nairaNote', { total: formatNaira(total), deposit: formatNaira(deposit) });
+    }
+  }
+
+  function showExtras(amount) {
+    if (extrasRow) extrasRow.style.display = amount ? '' : 'none';
+    if (extrasEl) extrasEl.textContent = formatCurrency(amount);
+  }
+
+  // the list sits right after its heading row; both hide when nothing is ticked
+  function showAddOns(items) {
+    if (!addOnsListEl) return;
+    addOnsListEl.innerHTML = addOnListItems(items);
+    addOnsListEl.hidden = !items.length;
+    if (addOnsListEl.previousElementSibling) addOnsListEl.previousElementSibling.hidden = !items.length;
+  }
+
   function calculate() {
     const checkinDate = parseISO(checkin.value);
     const checkoutDate = parseISO(checkout.value);
-    const roomType = room.value;
+    const lines = readRoomLines(linesEl);
 
-    if (!checkinDate || !checkoutDate || checkoutDate <= checkinDate || !roomType) {
+    if (!checkinDate || !checkoutDate || checkoutDate <= checkinDate || lines.some(line => !line.roomType)) {
+      checkout.setCustomValidity('');
       if (nightsEl) nightsEl.textContent = '0';
-      if (rateEl) rateEl.textContent = '₦0';
-      if (totalEl) totalEl.textContent = '₦0';
+      if (rateEl) rateEl.innerHTML = '';
+      showTotals(0, 0, 0);
+      showExtras(0);
+      showAddOns([]);
+      showDiscount(null);
       if (noticeEl) {
         noticeEl.style.display = 'block';
-        noticeEl.textContent = 'Please choose valid dates and a room type.';
+        noticeEl.textContent = t('summary.chooseDates');
         clearTimeout(noticeEl._hideTimer);
         noticeEl._hideTimer = setTimeout(() => { noticeEl.style.display = 'none'; }, 2200);
       }
       return;
     }
 
-    const nights = Math.ceil((checkoutDate - checkinDate) / (1000 * 60 * 60 * 24));
-    const rate = roomRates[roomType] || 0;
-    const total = nights * rate;
+    const quote = quoteStay({ checkinDate, checkoutDate, lines, promoCode: promo ? promo.value : '', addOnIds: readAddOns(addOnsEl), inventory });
 
-    if (nightsEl) nightsEl.textContent = nights;
-    if (rateEl) rateEl.textContent = formatCurrency(rate);
-    if (totalEl) totalEl.textContent = formatCurrency(total);
+    if (nightsEl) nightsEl.textContent = quote.nightCount;
+    renderRateBreakdown(rateEl, quote.lines);
+    showExtras(quote.extrasTotal);
+    showAddOns(quote.addOns);
+    showDiscount(quote.promoResult);
+    showTotals(quote.total, quote.deposit, quote.balance);
+
+    // Minimum-stay, occupancy and sold-out problems: keep them in the notice and block the form's submit
+    if (quote.problems.length) {
+      const message = quote.problems.map(describeQuoteProblem).join(' ');
+      checkout.setCustomValidity(message);
+      if (noticeEl) {
+        clearTimeout(noticeEl._hideTimer);
+        noticeEl.textContent = message;
+        noticeEl.style.display = 'block';
+      }
+      return;
+    }
+
+    checkout.setCustomValidity('');
+    if (noticeEl) noticeEl.style.display = 'none';
+  }
+
+  // Re-run only when the form is filled in (used once inventory arrives, avoids flashing the notice);
+  // add-on prices are re-rendered too, as refresh() follows every currency and language change
+  function refresh() {
+    renderAddOnOptions(addOnsEl);
+    if (checkin.value && checkout.value && room.value) calculate();
+    else showTotals(0, 0, 0);
+  }
+
+  // Back to the empty summary after the form itself has been reset
+  function reset() {
+    linesEl.querySelectorAll('.room-line').forEach((line, i) => { if (i > 0) line.remove(); });
+    updateAddLineButton();
+    checkout.setCustomValidity('');
+    if (nightsEl) nightsEl.textContent = '0';
+    if (rateEl) rateEl.innerHTML = '';
+    showTotals(0, 0, 0);
     if (noticeEl) noticeEl.style.display = 'none';
+    showExtras(0);
+    showAddOns([]);
+    showDiscount(null);
+    setCheckoutMinFromCheckin();
   }
 
   // Listeners
@@ -301,205 +1080,2356 @@ function setupBookingCalculator({ checkinId, checkoutId, roomId, nightsId, rateI
     calculate();
   });
   checkout.addEventListener('change', calculate);
-  room.addEventListener('change', calculate);
+  // room lines (including ones added later): selects fire change, number inputs fire input while typing
+  linesEl.addEventListener('change', calculate);
+  linesEl.addEventListener('input', (e) => {
+    if (e.target.type === 'number') refresh();
+  });
+  if (addLineBtn) addLineBtn.addEventListener('click', () => addRoomLine());
+  if (addOnsEl) addOnsEl.addEventListener('change', calculate);
+  if (promo) {
+    promo.addEventListener('change', calculate);
+    promo.addEventListener('input', () => {
+      clearTimeout(promo._typingTimer);
+      promo._typingTimer = setTimeout(refresh, 400);
+    });
+  }
 
   // initialize
+  renderAddOnOptions(addOnsEl);
   setTimeout(() => {
     setCheckoutMinFromCheckin();
     calculate();
   }, 40);
+
+  return { calculate, refresh, reset, addRoomLine };
 }
 
 // Setup main booking calculator (main form)
-setupBookingCalculator({
+const mainCalculator = setupBookingCalculator({
   checkinId: 'checkin',
   checkoutId: 'checkout',
   roomId: 'room',
+  linesId: 'roomLines',
+  addLineId: 'addRoomLine',
+  promoId: 'promoCode',
+  promoStatusId: 'promoStatus',
+  addOnsId: 'addOns',
   nightsId: 'nightsCount',
   rateId: 'ratePerNight',
+  extrasId: 'extrasAmount',
+  addOnsListId: 'addOnsBreakdown',
+  discountId: 'discountAmount',
   totalId: 'totalPrice',
+  depositId: 'depositDue',
+  balanceId: 'balanceDue',
+  nairaNoteId: 'nairaNote',
   noticeId: 'bookingNotice'
 });
 
 // Setup modal booking calculator (modal form)
-setupBookingCalculator({
+const modalCalculator = setupBookingCalculator({
   checkinId: 'modalCheckin',
   checkoutId: 'modalCheckout',
   roomId: 'modalRoom',
+  linesId: 'modalRoomLines',
+  addLineId: 'modalAddRoomLine',
+  promoId: 'modalPromoCode',
+  promoStatusId: 'modalPromoStatus',
+  addOnsId: 'modalAddOns',
   nightsId: 'modalNightsCount',
   rateId: 'modalRatePerNight',
+  extrasId: 'modalExtrasAmount',
+  addOnsListId: 'modalAddOnsBreakdown',
+  discountId: 'modalDiscountAmount',
   totalId: 'modalTotalPrice',
+  depositId: 'modalDepositDue',
+  balanceId: 'modalBalanceDue',
+  nairaNoteId: 'modalNairaNote',
   noticeId: 'modalBookingNotice' // ensure this ID matches your HTML
 });
 
+const bookingCalculators = [mainCalculator, modalCalculator];
+
 // ==============================
-// Form submission handling (alerts) — keep forms independent
-// - On success, show alert message as requested and reset only that form
-// - Does NOT change the other form or other UI elements
+// Currency selector (header)
+// - Re-renders room card prices (catalog `rate`, per card's data-room) and both booking summaries
+// - The choice is remembered in localStorage; bookings themselves always stay in naira
 // ==============================
-const bookingForm = document.getElementById('bookingForm');
-const modalForm = document.getElementById('modalForm');
+const currencySelect = document.getElementById('currencySelect');
 
-function simpleAlertBooking(formEl, checkinId, checkoutId, roomId) {
-  const checkin = document.getElementById(checkinId);
-  const checkout = document.getElementById(checkoutId);
-  const room = document.getElementById(roomId);
+function renderRoomCardPrices() {
+  document.querySelectorAll('.room-card[data-room]').forEach(card => {
+    const priceEl = card.querySelector('.price');
+    const room = getRoom(card.dataset.room);
+    const rate = room && room.rate;
+    if (priceEl && rate) priceEl.textContent = t('rooms.perNight', { price: formatCurrency(rate) });
+  });
+}
 
-  if (!checkin || !checkout || !room) {
-    alert('Booking fields are missing. Please refresh the page.');
-    return false;
-  }
+function setDisplayCurrency(code) {
+  if (!currencies[code]) return;
+  displayCurrency = code;
+  saveSetting(CURRENCY_STORAGE_KEY, code);
+  if (currencySelect) currencySelect.value = code;
+  renderRoomCardPrices();
+  bookingCalculators.forEach(calc => calc && calc.refresh());
+  refreshDiningMenu();
+  refreshAmenityDetail();
+  refreshDatePickers();
+}
 
-  // Basic validation
-  if (!checkin.value || !checkout.value || !room.value) {
-    alert('Please complete check-in, check-out and room type before booking.');
-    return false;
-  }
-  const ci = parseISO(checkin.value);
-  const co = parseISO(checkout.value);
-  if (!ci || !co || co <= ci) {
-    alert('Please choose valid check-in and check-out dates.');
-    return false;
-  }
+if (currencySelect) {
+  currencySelect.innerHTML = Object.keys(currencies)
+    .map(code => `<option value="${code}">${currencies[code].label}</option>`)
+    .join('');
+  currencySelect.value = displayCurrency;
+  currencySelect.addEventListener('change', () => setDisplayCurrency(currencySelect.value));
+}
+renderRoomCardPrices();
+
+// ==============================
+// Language switcher (header)
+// - Re-translates the static page (data-i18n attributes), card prices, both summaries and an open confirmation
+// - The choice is remembered in localStorage and recorded on each booking (`language`)
+// ==============================
+const languageSelect = document.getElementById('languageSelect');
 
-  // Successful booking (client-side simulation)
-  alert(`✅ Booking confirmed!\nRoom: ${room.value.charAt(0).toUpperCase() + room.value.slice(1)}\nCheck-in: ${checkin.value}\nCheck-out: ${checkout.value}\nThank you — we will email you confirmation shortly.`);
-  return true;
+function setLanguage(code) {
+  if (!languages[code]) return;
+  currentLanguage = code;
+  saveSetting(LANGUAGE_STORAGE_KEY, code);
+  document.documentElement.lang = code;
+  if (languageSelect) languageSelect.value = code;
+  applyTranslations();
+  formValidators.forEach(validator => validator.refresh());
+  renderRoomBookLabels();
+  renderRoomCardPrices();
+  bookingCalculators.forEach(calc => calc && calc.refresh());
+  renderDealsBadge();
+  refreshDiningMenu();
+  refreshAmenityDetail();
+  refreshDatePickers();
+  const openReference = new URLSearchParams(window.location.search).get('booking');
+  if (bookingConfirmation && isDialogOpen(bookingConfirmation) && openReference) openConfirmation(openReference, { pushUrl: false });
 }
 
-if (bookingForm) {
-  bookingForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const ok = simpleAlertBooking(bookingForm, 'checkin', 'checkout', 'room');
-    if (ok) {
-      bookingForm.reset();
-      // reset the booking summary UI
-      const nightsEl = document.getElementById('nightsCount');
-      const rateEl = document.getElementById('ratePerNight');
-      const totalEl = document.getElementById('totalPrice');
-      if (nightsEl) nightsEl.textContent = '0';
-      if (rateEl) rateEl.textContent = '₦0';
-      if (totalEl) totalEl.textContent = '₦0';
-    }
-  });
+if (languageSelect) {
+  languageSelect.innerHTML = Object.keys(languages)
+    .map(code => `<option value="${code}" lang="${code}">${languages[code].name}</option>`)
+    .join('');
+  languageSelect.value = currentLanguage;
+  languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
 }
+document.documentElement.lang = currentLanguage;
+if (currentLanguage !== 'en') applyTranslations();
 
-if (modalForm) {
-  modalForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const ok = simpleAlertBooking(modalForm, 'modalCheckin', 'modalCheckout', 'modalRoom');
-    if (ok) {
-      modalForm.reset();
-      closeBookingModal();
-      // reset modal summary UI
-      const nightsEl = document.getElementById('modalNightsCount');
-      const rateEl = document.getElementById('modalRatePerNight');
-      const totalEl = document.getElementById('modalTotalPrice');
-      if (nightsEl) nightsEl.textContent = '0';
-      if (rateEl) rateEl.textContent = '₦0';
-      if (totalEl) totalEl.textContent = '₦0';
-    }
-  });
+// Once inventory is known, re-check whatever the guest has already entered
+loadInventory().then(() => {
+  bookingCalculators.forEach(calc => calc && calc.refresh());
+  refreshDatePickers();
+});
+
+// ==============================
+// Booking submission transports
+// - Every transport has the same shape: { send(booking) } returning a Promise
+// - Transports that can find a booking again also have lookup(reference, email), resolving with the booking
+//   (its amendments applied) or null; "Manage my booking" uses it for bookings not made in this browser
+// - booking.idempotencyKey is the same for every retry of one submission; transports use it to
+//   make sure a retried booking is only recorded (and emailed) once
+// - Reject with err.retryable = false for errors a retry cannot fix (e.g. a 4xx from the REST API or EmailJS,
+//   other than 408/429)
+// ==============================
+function nonRetryable(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
 }
 
-/* =========================
-   Room image slider modal
-   - Uses existing .room-card .room-img img elements as the source
-   - Builds one modal dynamically and shows 4 duplicated images for each room
-   - Close by X, click outside, or Esc. Keyboard left/right navigation.
-   ========================= */
+// 4xx means the request itself is wrong, except a timeout (408) or rate limit (429), which a retry can get past
+function isPermanentHttpError(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
 
-   (function () {
-    // Find all room images (existing structure)
-    const roomCards = document.querySelectorAll('.room-card');
-  
-    if (!roomCards || roomCards.length === 0) return;
-  
+// EmailJS: one email to the guest, one to the hotel (the two steps are remembered per key in
+// localStorage, so a retry — even from the offline queue on a later visit — only re-sends what failed;
+// a key is forgotten once both emails are out)
+const EMAILJS_SENT_KEY = 'wizmore.emailjsSent';
+let emailjsReady = false;
+
+function readEmailjsSent() {
+  try {
+    return JSON.parse(localStorage.getItem(EMAILJS_SENT_KEY) || '{}');
+  } catch (err) {
+    return {};
+  }
+}
+
+function markEmailjsSent(idempotencyKey, step) {
+  const sent = readEmailjsSent();
+  const steps = Object.assign({}, sent[idempotencyKey], { [step]: true });
+  if (steps.customer && steps.hotel) delete sent[idempotencyKey];
+  else sent[idempotencyKey] = steps;
+  try {
+    localStorage.setItem(EMAILJS_SENT_KEY, JSON.stringify(sent));
+  } catch (err) {
+    // storage full or disabled: the email is out either way; only a later retry could repeat it
+  }
+}
+
+function bookingToEmailParams(booking) {
+  if (booking.kind === 'amendment') {
+    // changes and cancellations (manage.html) use the same templates: the booking as it will be, and what changed
+    const stay = Object.assign({}, booking.previous, booking.changes);
+    return {
+      customer_name: booking.guest.name,
+      email: booking.guest.email,
+      phone: booking.guest.phone,
+      checkin_date: stay.checkin,
+      checkout_date: stay.checkout,
+      room_type: stay.rooms.map(line => line.roomType).join(', '),
+      rooms: describeRoomLines(stay.rooms),
+      nights: stay.nights,
+      total: formatNaira(stay.total),
+      deposit: formatNaira(stay.deposit),
+      balance: formatNaira(stay.total - stay.deposit),
+      promo_code: '',
+      add_ons: '',
+      message: describeAmendment(booking),
+      terms_version: '',
+      language: booking.language,
+      booking_ref: booking.reference,
+      booking_key: booking.idempotencyKey
+    };
+  }
+  if (booking.kind === 'slot') {
+    // spa/fitness reservations use the same templates: the "room" is the treatment, both dates the slot's day
+    return {
+      customer_name: booking.guest.name,
+      email: booking.guest.email,
+      phone: booking.guest.phone,
+      checkin_date: booking.date,
+      checkout_date: booking.date,
+      room_type: booking.amenity,
+      rooms: describeSlotReservation(booking),
+      nights: '',
+      total: formatNaira(booking.total),
+      deposit: formatNaira(0),
+      balance: formatNaira(booking.total),
+      promo_code: '',
+      add_ons: '',
+      message: t('slot.payAtDesk'),
+      terms_version: '',
+      language: booking.language,
+      booking_ref: booking.reference,
+      booking_key: booking.idempotencyKey
+    };
+  }
+  return {
+    customer_name: booking.guest.name,
+    email: booking.guest.email,
+    phone: booking.guest.phone,
+    checkin_date: booking.checkin,
+    checkout_date: booking.checkout,
+    room_type: booking.rooms.map(line => line.roomType).join(', '),
+    rooms: describeRoomLines(booking.rooms),
+    nights: booking.nights,
+    total: formatNaira(booking.total),
+    deposit: formatNaira(booking.deposit),
+    balance: formatNaira(booking.balance),
+    promo_code: booking.promoCode,
+    add_ons: booking.addOns && booking.addOns.length
+      ? booking.addOns.map(item => `${describeAddOn(item)} — ${formatNaira(item.total)}`).join('\n')
+      : t('confirm.noAddOns'),
+    message: booking.message || t('confirm.noRequests'),
+    terms_version: booking.termsVersion || '',
+    language: booking.language,
+    booking_ref: booking.reference,
+    booking_key: booking.idempotencyKey
+  };
+}
+
+const bookingTransports = {
+  emailjs: {
+    send(booking) {
+      const cfg = bookingBackend.emailjs;
+      if (!window.emailjs) return Promise.reject(new Error('EmailJS SDK is not loaded.'));
+      if (!emailjsReady) {
+        emailjs.init(cfg.publicKey);
+        emailjsReady = true;
+      }
+      const params = bookingToEmailParams(booking);
+      const step = (name, templateId) => ((readEmailjsSent()[booking.idempotencyKey] || {})[name]
+        ? Promise.resolve()
+        : emailjs.send(cfg.serviceId, templateId, params).then(
+          () => markEmailjsSent(booking.idempotencyKey, name),
+          // the SDK rejects with { status, text }: a 4xx is a wrong service/template id or key, not a network blip
+          (res) => {
+            const status = res && res.status;
+            if (isPermanentHttpError(status)) throw nonRetryable(`EmailJS rejected the booking (HTTP ${status}): ${res.text || ''}`.trim());
+            throw res instanceof Error ? res : new Error(`EmailJS send failed (HTTP ${status || 'n/a'}).`);
+          }));
+
+      return step('customer', cfg.customerTemplateId)
+        .then(() => step('hotel', cfg.hotelTemplateId))
+        .then(() => ({ id: booking.idempotencyKey }));
+    }
+  },
+
+  rest: {
+    send(booking) {
+      return fetch(bookingBackend.rest.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': booking.idempotencyKey
+        },
+        body: JSON.stringify(booking)
+      }).then(res => {
+        if (isPermanentHttpError(res.status)) throw nonRetryable(`Booking rejected (HTTP ${res.status}).`);
+        if (!res.ok) throw new Error(`Booking server error (HTTP ${res.status}).`);
+        return res.json().catch(() => ({}));
+      });
+    },
+    // GET <endpoint>/<reference>?email=… — the server answers 404 unless both match
+    lookup(reference, email) {
+      const url = `${bookingBackend.rest.endpoint}/${encodeURIComponent(reference)}?email=${encodeURIComponent(email)}`;
+      return fetch(url, { headers: { Accept: 'application/json' } }).then(res => {
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error(`Booking server error (HTTP ${res.status}).`);
+        return res.json();
+      });
+    }
+  },
+
+  // Stand-in for a backend during development: same latency/failure behaviour, stores in localStorage
+  mock: {
+    send(booking) {
+      const cfg = bookingBackend.mock;
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          if (Math.random() < cfg.failRate) {
+            reject(new Error('Mock backend: simulated failure.'));
+            return;
+          }
+          const stored = JSON.parse(localStorage.getItem(cfg.storageKey) || '[]');
+          const existing = stored.find(b => b.idempotencyKey === booking.idempotencyKey);
+          if (!existing) {
+            stored.push(Object.assign({ receivedAt: new Date().toISOString() }, booking));
+            localStorage.setItem(cfg.storageKey, JSON.stringify(stored));
+          }
+          resolve({ id: booking.idempotencyKey, duplicate: !!existing });
+        }, cfg.delayMs);
+      });
+    },
+    lookup(reference, email) {
+      const stored = JSON.parse(localStorage.getItem(bookingBackend.mock.storageKey) || '[]');
+      const booking = stored.find(b => !b.kind && b.reference === reference && sameEmail(b.guest.email, email));
+      return Promise.resolve(booking ? applyAmendments(booking, stored) : null);
+    }
+  }
+};
+
+function getBookingTransportName() {
+  const override = new URLSearchParams(window.location.search).get('backend');
+  return override && bookingTransports[override] ? override : bookingBackend.transport;
+}
+
+// Sends a booking through the configured transport, retrying with backoff on retryable errors
+function submitBooking(booking) {
+  const transport = bookingTransports[getBookingTransportName()];
+  let attempt = 0;
+
+  function tryOnce() {
+    attempt += 1;
+    return transport.send(booking).catch(err => {
+      if (err.retryable === false || attempt > bookingBackend.retries) throw err;
+      console.warn(`Booking attempt ${attempt} failed, retrying…`, err);
+      const wait = bookingBackend.retryDelayMs * Math.pow(2, attempt - 1);
+      return new Promise(resolve => setTimeout(resolve, wait)).then(tryOnce);
+    });
+  }
+
+  return tryOnce();
+}
+
+function newIdempotencyKey() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `bk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Short, readable booking reference, e.g. "WZM-7KQ4XN" (no 0/O/1/I to avoid mix-ups on the phone)
+function newBookingReference() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) code += alphabet[Math.floor(Math.random() * alphabet.length)];
+  return `WZM-${code}`;
+}
+
+// ==============================
+// Booking status toast — the one success/failure message for both forms
+// ==============================
+const bookingToast = document.getElementById('bookingToast');
+
+function showBookingToast(kind, message) {
+  if (!bookingToast) return;
+  bookingToast.className = `booking-toast is-${kind}`;
+  bookingToast.querySelector('.booking-toast-text').textContent = message;
+  bookingToast.hidden = false;
+  clearTimeout(bookingToast._hideTimer);
+  // errors and pending notices stay until dismissed; success and progress messages fade on their own
+  if (kind !== 'error' && kind !== 'pending') bookingToast._hideTimer = setTimeout(() => { bookingToast.hidden = true; }, 8000);
+}
+
+function hideBookingToast() {
+  if (bookingToast) bookingToast.hidden = true;
+}
+
+if (bookingToast) {
+  bookingToast.querySelector('.booking-toast-close').addEventListener('click', () => {
+    bookingToast.hidden = true;
+  });
+}
+
+// ==============================
+// Offline booking queue
+// - A booking that cannot be sent (offline, or every retry failed on a retryable error) is saved in
+//   localStorage and the guest sees a "pending" notice instead of losing it
+// - The queue is flushed on the `online` event and on every page load
+// - Duplicate protection: entries are keyed by idempotencyKey (queued once), and an entry being sent
+//   is claimed for a while (`claimedUntil`) so a second tab flushing at the same time skips it
+// ==============================
+const BOOKING_QUEUE_KEY = 'wizmore.bookingQueue';
+const QUEUE_CLAIM_MS = 60000;
+let flushingQueue = false;
+
+function readBookingQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(BOOKING_QUEUE_KEY) || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeBookingQueue(queue) {
+  localStorage.setItem(BOOKING_QUEUE_KEY, JSON.stringify(queue));
+}
+
+function updateQueuedBooking(idempotencyKey, changes) {
+  const queue = readBookingQueue();
+  const entry = queue.find(item => item.booking.idempotencyKey === idempotencyKey);
+  if (entry) Object.assign(entry, changes);
+  writeBookingQueue(queue);
+}
+
+function removeQueuedBooking(idempotencyKey) {
+  writeBookingQueue(readBookingQueue().filter(item => item.booking.idempotencyKey !== idempotencyKey));
+}
+
+function queueBooking(booking) {
+  const queue = readBookingQueue();
+  if (queue.some(item => item.booking.idempotencyKey === booking.idempotencyKey)) return;
+  queue.push({ booking, queuedAt: new Date().toISOString(), claimedUntil: 0 });
+  writeBookingQueue(queue);
+}
+
+// Sends a booking (or slot reservation) now, or queues it when offline / still failing after the retries.
+// Resolves with its delivery, 'sent' or 'pending'; rejects only when the backend refused it.
+function sendOrQueueBooking(booking) {
+  const attempt = navigator.onLine
+    ? submitBooking(booking)
+    : Promise.reject(new Error('Browser is offline.'));
+  return attempt
+    .then(() => 'sent')
+    .catch(err => {
+      if (err.retryable === false) throw err;
+      console.warn('Booking could not be sent; queued for later.', err);
+      queueBooking(booking);
+      return 'pending';
+    });
+}
+
+// Sends queued bookings one at a time; anything that still fails (retryably) stays for next time
+function flushBookingQueue() {
+  if (flushingQueue || !navigator.onLine) return Promise.resolve();
+  flushingQueue = true;
+  let sent = 0;
+
+  function next() {
+    const now = Date.now();
+    const entry = readBookingQueue().find(item => !item.claimedUntil || item.claimedUntil < now);
+    if (!entry) return Promise.resolve();
+    const key = entry.booking.idempotencyKey;
+    updateQueuedBooking(key, { claimedUntil: now + QUEUE_CLAIM_MS });
+
+    return submitBooking(entry.booking)
+      .then(() => {
+        removeQueuedBooking(key);
+        if (entry.booking.kind === 'amendment') updateStoredAmendment(entry.booking, { delivery: 'sent' });
+        else if (entry.booking.kind === 'slot') updateSlotReservation(entry.booking.reference, { delivery: 'sent' });
+        else updateStoredBooking(entry.booking.reference, { delivery: 'sent' });
+        sent += 1;
+        return next();
+      })
+      .catch(err => {
+        if (err.retryable === false) {
+          removeQueuedBooking(key);
+          console.error('Queued booking was rejected:', err);
+          showBookingToast('error', t('toast.queuedRejected'));
+          return next();
+        }
+        // still failing: release the claim and stop until the next `online` / visit
+        updateQueuedBooking(key, { claimedUntil: 0 });
+      });
+  }
+
+  return next().then(() => {
+    flushingQueue = false;
+    if (sent) {
+      showBookingToast('success', t('toast.queuedSent', { n: sent }));
+    }
+  });
+}
+
+window.addEventListener('online', flushBookingQueue);
+window.addEventListener('load', () => setTimeout(flushBookingQueue, 1000));
+
+// ==============================
+// Bookings kept on this device + confirmation view
+// - Every submitted booking (sent or queued) is stored under its reference in localStorage, so the
+//   confirmation can be reopened from a URL like index.html?booking=WZM-7KQ4XN on this device
+// - `delivery` is 'sent' or 'pending' (waiting in the offline queue)
+// - The view is printable (print styles hide the rest of the page) and offers a .ics calendar file
+// - `status` follows bookingStatuses; front-desk staff open index.html?booking=REF&frontdesk=1 on the
+//   desk machine to move a booking along (each change is kept in statusHistory). The status controls only
+//   appear, and only save, once frontdesk.html's passcode gate has been unlocked in this browser session
+// ==============================
+const BOOKINGS_STORE_KEY = 'wizmore.bookings';
+const FRONTDESK_SESSION_KEY = 'wizmore.frontdeskUnlocked'; // set by frontdesk.js when the passcode is accepted
+const bookingConfirmation = document.getElementById('bookingConfirmation');
+
+function readStoredBookings() {
+  try {
+    return JSON.parse(localStorage.getItem(BOOKINGS_STORE_KEY) || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+function storeBooking(booking) {
+  const bookings = readStoredBookings().filter(b => b.reference !== booking.reference);
+  bookings.push(booking);
+  localStorage.setItem(BOOKINGS_STORE_KEY, JSON.stringify(bookings));
+}
+
+function findStoredBooking(reference) {
+  const wanted = (reference || '').trim().toUpperCase();
+  return readStoredBookings().find(b => b.reference === wanted) || null;
+}
+
+function updateStoredBooking(reference, changes) {
+  const bookings = readStoredBookings();
+  const booking = bookings.find(b => b.reference === reference);
+  if (!booking) return null;
+  Object.assign(booking, changes);
+  localStorage.setItem(BOOKINGS_STORE_KEY, JSON.stringify(bookings));
+  return booking;
+}
+
+function statusLabel(status) {
+  return lookupString(`status.${status.id}`) ? t(`status.${status.id}`) : status.label;
+}
+
+function getBookingStatus(statusId) {
+  return bookingStatuses.find(st => st.id === statusId) || bookingStatuses[0];
+}
+
+function setBookingStatus(reference, statusId, note = '') {
+  if (!bookingStatuses.some(st => st.id === statusId)) throw new Error(`Unknown booking status: ${statusId}`);
+  const booking = findStoredBooking(reference);
+  if (!booking) return null;
+  const history = (booking.statusHistory || []).concat({ status: statusId, at: new Date().toISOString(), note });
+  return updateStoredBooking(booking.reference, { status: statusId, statusHistory: history });
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatLongDate(iso) {
+  const date = parseISO(iso);
+  return date ? date.toLocaleDateString(currentLocale(), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) : '';
+}
+
+function renderConfirmation(booking) {
+  const rateRows = booking.breakdown.map(line => `
+      <li class="rate-breakdown-room">${escapeHtml(describeRoomLine(line))}</li>
+      ${line.nights.map(n => `<li>${escapeHtml(formatShortDate(parseISO(n.date)))} — ${formatNaira(n.rate)}${line.rooms > 1 ? ` × ${line.rooms}` : ''}${n.label ? ` (${escapeHtml(translateNightLabel(n.label))})` : ''}</li>`).join('')}`).join('');
+
+  const pending = booking.delivery === 'pending'
+    ? `<p class="confirmation-pending">${escapeHtml(t('confirm.pending'))}</p>`
+    : '';
+  const cancelled = booking.cancelled
+    ? `<p class="confirmation-cancelled">${escapeHtml(t('manage.cancelledOn', { date: formatLongDate(booking.cancelled.at.slice(0, 10)), refund: describeRefund(booking.cancelled.refund) }))}</p>`
+    : '';
+
+  return `
+    ${cancelled}
+    ${pending}
+    <p class="confirmation-reference">${escapeHtml(t('confirm.reference'))} <strong>${escapeHtml(booking.reference)}</strong></p>
+    <dl class="confirmation-details">
+      <dt>${escapeHtml(t('confirm.guest'))}</dt><dd>${escapeHtml(booking.guest.name)}</dd>
+      <dt>${escapeHtml(t('confirm.email'))}</dt><dd>${escapeHtml(booking.guest.email)}</dd>
+      <dt>${escapeHtml(t('confirm.phone'))}</dt><dd>${escapeHtml(booking.guest.phone)}</dd>
+      <dt>${escapeHtml(t('confirm.rooms'))}</dt><dd>${escapeHtml(describeRoomLines(booking.rooms))}</dd>
+      <dt>${escapeHtml(t('confirm.checkin'))}</dt><dd>${escapeHtml(t('confirm.checkinFrom', { date: formatLongDate(booking.checkin), time: hotelInfo.checkinTime }))}</dd>
+      <dt>${escapeHtml(t('confirm.checkout'))}</dt><dd>${escapeHtml(t('confirm.checkoutBy', { date: formatLongDate(booking.checkout), time: hotelInfo.checkoutTime }))}</dd>
+      <dt>${escapeHtml(t('confirm.nights'))}</dt><dd>${booking.nights}</dd>
+      ${booking.message ? `<dt>${escapeHtml(t('confirm.requests'))}</dt><dd>${escapeHtml(booking.message)}</dd>` : ''}
+    </dl>
+    <div class="booking-summary">
+      <p><strong>${escapeHtml(t('summary.rates'))}</strong></p>
+      <ul class="rate-breakdown">${rateRows}</ul>
+      ${booking.extrasTotal ? `<p><strong>${escapeHtml(t('summary.extras'))}</strong> ${formatNaira(booking.extrasTotal)}</p>` : ''}
+      ${booking.addOns && booking.addOns.length ? `<p><strong>${escapeHtml(t('summary.addOns'))}</strong></p>
+      <ul class="rate-breakdown addon-breakdown">${addOnListItems(booking.addOns, formatNaira)}</ul>` : ''}
+      ${booking.discount ? `<p><strong>${escapeHtml(t('confirm.discountCode', { code: booking.promoCode }))}</strong> −${formatNaira(booking.discount)}</p>` : ''}
+      <p><strong>${escapeHtml(t('summary.total'))}</strong> ${formatNaira(booking.total)}</p>
+      <p><strong>${escapeHtml(t('summary.deposit'))}</strong> ${formatNaira(booking.deposit)}</p>
+      <p><strong>${escapeHtml(t('summary.balance'))}</strong> ${formatNaira(booking.balance)}</p>
+    </div>
+    ${renderStatusSteps(booking)}
+    ${booking.status === bookingStatuses[0].id && !booking.cancelled ? renderPaymentInstructions(booking) : ''}
+    <p class="confirmation-contact">${escapeHtml(hotelInfo.name)} · ${escapeHtml(hotelInfo.address)} · ${escapeHtml(hotelInfo.phone)} · ${escapeHtml(hotelInfo.email)}</p>
+  `;
+}
+
+function renderStatusSteps(booking) {
+  const current = bookingStatuses.indexOf(getBookingStatus(booking.status));
+  return `
+    <ol class="booking-status-steps" aria-label="${escapeHtml(t('status.label'))}">
+      ${bookingStatuses.map((st, i) => `<li class="${i < current ? 'is-done' : ''}${i === current ? 'is-current' : ''}"${i === current ? ' aria-current="step"' : ''}>${escapeHtml(statusLabel(st))}</li>`).join('')}
+    </ol>`;
+}
+
+// Transfer instructions only once paymentTerms.bank holds a real account (see booking-quote.js)
+function hasBankDetails() {
+  const bank = paymentTerms.bank;
+  return !!(bank && bank.bankName && bank.accountName && /^\d{10}$/.test(bank.accountNumber) && !/^0+$/.test(bank.accountNumber));
+}
+
+function renderPaymentInstructions(booking) {
+  if (!hasBankDetails()) return '';
+  const bank = paymentTerms.bank;
+  return `
+    <div class="confirmation-payment">
+      <h3>${escapeHtml(t('payment.title'))}</h3>
+      <p>${escapeHtml(t('payment.intro', { amount: '{amount}' })).replace('{amount}', `<strong>${formatNaira(booking.deposit)}</strong>`)}</p>
+      <dl class="confirmation-details">
+        <dt>${escapeHtml(t('payment.bank'))}</dt><dd>${escapeHtml(bank.bankName)}</dd>
+        <dt>${escapeHtml(t('payment.accountName'))}</dt><dd>${escapeHtml(bank.accountName)}</dd>
+        <dt>${escapeHtml(t('payment.accountNumber'))}</dt><dd>${escapeHtml(bank.accountNumber)}</dd>
+        <dt>${escapeHtml(t('payment.narration'))}</dt><dd><strong>${escapeHtml(booking.reference)}</strong></dd>
+      </dl>
+      <p>${escapeHtml(t('payment.proof'))}</p>
+    </div>`;
+}
+
+function isFrontdeskUnlocked() {
+  return sessionStorage.getItem(FRONTDESK_SESSION_KEY) === '1';
+}
+
+// Front desk only (…&frontdesk=1, after unlocking frontdesk.html): pick the booking's next status
+function renderFrontdeskPanel(booking) {
+  const panel = document.getElementById('frontdeskPanel');
+  if (!panel) return;
+  const enabled = !!booking && new URLSearchParams(window.location.search).has('frontdesk') && isFrontdeskUnlocked();
+  panel.hidden = !enabled;
+  if (!enabled) return;
+  const select = document.getElementById('frontdeskStatus');
+  select.innerHTML = bookingStatuses.map(st => `<option value="${st.id}">${escapeHtml(statusLabel(st))}</option>`).join('');
+  select.value = getBookingStatus(booking.status).id;
+}
+
+function openConfirmation(reference, { pushUrl = true } = {}) {
+  const booking = findStoredBooking(reference);
+  // its dates and amounts need booking-quote.js (see Configuration); the page itself stays usable
+  if (!bookingConfirmation || !bookingQuoteLoaded) return;
+  const body = bookingConfirmation.querySelector('.confirmation-body');
+
+  if (booking) {
+    body.innerHTML = renderConfirmation(booking);
+  } else {
+    const message = escapeHtml(t('confirm.notFound', { reference: '{reference}', phone: hotelInfo.phone }));
+    body.innerHTML = `<p>${message.replace('{reference}', `<strong>${escapeHtml(reference)}</strong>`)}</p>`;
+  }
+  bookingConfirmation.querySelectorAll('[data-needs-booking]').forEach(el => { el.hidden = !booking; });
+  if (booking) {
+    document.getElementById('confirmationWhatsApp').href = whatsAppUrl(buildWhatsAppMessage(booking));
+    document.getElementById('confirmationManage').href = `manage.html?reference=${encodeURIComponent(booking.reference)}`;
+  }
+  bookingConfirmation.dataset.reference = booking ? booking.reference : '';
+  renderFrontdeskPanel(booking);
+
+  if (pushUrl) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('booking', booking ? booking.reference : reference);
+    history.pushState({ booking: reference }, '', url);
+  }
+  openDialog(bookingConfirmation);
+}
+
+function closeConfirmation({ pushUrl = true } = {}) {
+  if (!bookingConfirmation || !isDialogOpen(bookingConfirmation)) return;
+  closeDialog(bookingConfirmation);
+  if (pushUrl) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('booking');
+    history.pushState({}, '', url);
+  }
+}
+
+// iCalendar text helpers (RFC 5545): escape special characters, fold long lines
+function icsEscape(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+function icsFold(line) {
+  // 75 octets, not characters: ₦ and other non-ASCII characters take several bytes in UTF-8
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+// One all-day event spanning the stay (DTEND is the checkout day, exclusive — as calendars expect)
+function buildBookingIcs(booking) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const description = [
+    t('ics.reference', { reference: booking.reference }),
+    t('ics.rooms', { rooms: describeRoomLines(booking.rooms) }),
+    t('ics.nights', { n: booking.nights }),
+    t('ics.total', { total: formatNaira(booking.total) }),
+    t('ics.times', { checkin: hotelInfo.checkinTime, checkout: hotelInfo.checkoutTime }),
+    `${hotelInfo.phone} · ${hotelInfo.email}`
+  ].join('\n');
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Wizmore Hotel Owerri//Booking//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${booking.reference}@wizmorehotel.com`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${booking.checkin.replace(/-/g, '')}`,
+    `DTEND;VALUE=DATE:${booking.checkout.replace(/-/g, '')}`,
+    `SUMMARY:${icsEscape(t('ics.summary', { hotel: hotelInfo.name, reference: booking.reference }))}`,
+    `LOCATION:${icsEscape(hotelInfo.address)}`,
+    `DESCRIPTION:${icsEscape(description)}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].map(icsFold).join('\r\n') + '\r\n';
+}
+
+function downloadBookingIcs(booking) {
+  const blob = new Blob([buildBookingIcs(booking)], { type: 'text/calendar;charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `wizmore-${booking.reference}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+if (bookingConfirmation) {
+  // Full-page view: only its own buttons, Escape and Back close it (the URL has to follow)
+  registerDialog(bookingConfirmation, {
+    labelledBy: 'confirmationTitle',
+    initialFocus: '#confirmationTitle',
+    closeOnBackdrop: false,
+    onDismiss: () => closeConfirmation()
+  });
+  document.getElementById('printConfirmation').addEventListener('click', () => window.print());
+  document.getElementById('downloadIcs').addEventListener('click', () => {
+    const booking = findStoredBooking(bookingConfirmation.dataset.reference);
+    if (booking) downloadBookingIcs(booking);
+  });
+  document.getElementById('closeConfirmation').addEventListener('click', () => closeConfirmation());
+  document.getElementById('frontdeskUpdate').addEventListener('click', () => {
+    const reference = bookingConfirmation.dataset.reference;
+    if (!isFrontdeskUnlocked()) {
+      renderFrontdeskPanel(null);
+      return;
+    }
+    setBookingStatus(reference, document.getElementById('frontdeskStatus').value, 'Updated at front desk');
+    openConfirmation(reference, { pushUrl: false });
+  });
+  // Back/forward between the site and a confirmation
+  window.addEventListener('popstate', () => {
+    const reference = new URLSearchParams(window.location.search).get('booking');
+    if (reference) openConfirmation(reference, { pushUrl: false });
+    else closeConfirmation({ pushUrl: false });
+  });
+
+  // Reload / shared link: ?booking=REF reopens the confirmation
+  const initialReference = new URLSearchParams(window.location.search).get('booking');
+  if (initialReference) openConfirmation(initialReference, { pushUrl: false });
+}
+
+// ==============================
+// Booking changes and cancellations ("Manage my booking", manage.html + manage.js)
+// - A guest finds a booking by reference + the email it was made with, through the transport's lookup() when it
+//   has one (the REST API, the mock store): the backend's record is the one whose status says what has been paid.
+//   Without one (EmailJS) only the copy kept in this browser can be found; its status is not confirmed by anyone,
+//   so the page states no refund or deposit amounts for it and leaves them to the front desk (paymentsKnown: false)
+// - The refund cutoff is kept on the booking (refundCutoff) and only ever moves earlier: moving a stay later
+//   does not reopen a refund that had already lapsed
+// - Each change or cancellation is an amendment record sent like a booking (sendOrQueueBooking: same transport,
+//   retries, idempotency key, offline queue) with kind: 'amendment' and the booking's reference:
+//   { kind, action: 'change' | 'cancel', reference, idempotencyKey, source, createdAt, guest, language,
+//     previous: { checkin, checkout, nights, rooms, total, deposit }, changes (action 'change': the new dates,
+//     rooms and their quote), difference (new total − old), cancellation (action 'cancel': cancellationTerms()) }
+// - The booking kept in this browser is updated at once (applyAmendment) and lists its amendments; the front
+//   desk confirms any payment difference or refund
+// ==============================
+const AMENDABLE_FIELDS = ['checkin', 'checkout', 'nights', 'rooms', 'breakdown', 'subtotal', 'extrasTotal', 'addOns',
+  'addOnsTotal', 'promoCode', 'discount', 'total', 'deposit', 'balance', 'depositPaid', 'refundCutoff'];
+
+function sameEmail(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// What the hotel has received towards the booking: nothing while the deposit is pending, otherwise the
+// deposit at the time it was paid (kept as depositPaid once a change moves the deposit)
+function depositPaid(booking) {
+  if (getBookingStatus(booking.status).id === bookingStatuses[0].id) return 0;
+  return typeof booking.depositPaid === 'number' ? booking.depositPaid : booking.deposit;
+}
+
+// The booking's refund cutoff with the stay moved to `checkin`: whichever is earlier, the cutoff it already had
+// (bookings made before refundCutoff was kept: the one from its check-in) or the new check-in's
+function earliestRefundCutoff(booking, checkin) {
+  const current = cancellationTerms({ checkin: booking.checkin, refundCutoff: booking.refundCutoff }).cutoff;
+  return cancellationTerms({ checkin, refundCutoff: current }).cutoff;
+}
+
+// A refund in naira, or the front desk's to confirm when it is not known here (null)
+function describeRefund(refund) {
+  return typeof refund === 'number' ? formatNaira(refund) : t('manage.refundToConfirm');
+}
+
+function isBookingCancelled(booking) {
+  return !!booking.cancelled;
+}
+
+// Changes are for stays that have not started and were not cancelled
+function canAmendBooking(booking) {
+  return !isBookingCancelled(booking) && booking.checkin > hotelNow().date &&
+    getBookingStatus(booking.status).id !== 'checked-in';
+}
+
+// The booking with one amendment applied (a new object; the amendment's own summary goes into `amendments`)
+function applyAmendment(booking, amendment) {
+  const next = Object.assign({}, booking);
+  if (amendment.action === 'change') {
+    AMENDABLE_FIELDS.forEach(field => {
+      if (field in amendment.changes) next[field] = amendment.changes[field];
+    });
+  } else if (amendment.action === 'cancel') {
+    next.cancelled = { at: amendment.createdAt, refund: amendment.cancellation.refund };
+  }
+  next.amendments = (booking.amendments || []).concat({
+    key: amendment.idempotencyKey,
+    action: amendment.action,
+    at: amendment.createdAt,
+    difference: amendment.difference || 0,
+    delivery: amendment.delivery || ''
+  });
+  return next;
+}
+
+// Applies the booking's amendments found in `records` (a backend's store), oldest first
+function applyAmendments(booking, records) {
+  return records
+    .filter(r => r.kind === 'amendment' && r.reference === booking.reference)
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0))
+    .reduce(applyAmendment, booking);
+}
+
+function updateStoredAmendment(amendment, changes) {
+  const booking = findStoredBooking(amendment.reference);
+  if (!booking) return;
+  updateStoredBooking(booking.reference, {
+    amendments: (booking.amendments || []).map(a => (a.key === amendment.idempotencyKey ? Object.assign({}, a, changes) : a))
+  });
+}
+
+// Resolves with { booking, paymentsKnown } (amendments applied) or null when it cannot be found.
+// paymentsKnown: the booking came from the backend, so its status (and the deposit paid) can be relied on.
+function findBookingForGuest(reference, email) {
+  const wanted = (reference || '').trim().toUpperCase();
+  const transport = bookingTransports[getBookingTransportName()];
+  if (transport.lookup) {
+    return transport.lookup(wanted, email).then(booking => (booking ? { booking, paymentsKnown: true } : null));
+  }
+  const stored = findStoredBooking(wanted);
+  return Promise.resolve(stored && sameEmail(stored.guest.email, email) ? { booking: stored, paymentsKnown: false } : null);
+}
+
+// The one-line summary for emails and the front desk
+function describeAmendment(amendment) {
+  if (amendment.action === 'cancel') {
+    return t('manage.emailCancel', { reference: amendment.reference, refund: describeRefund(amendment.cancellation.refund) });
+  }
+  const sign = amendment.difference > 0 ? '+' : amendment.difference < 0 ? '−' : '';
+  return t('manage.emailChange', { reference: amendment.reference, difference: `${sign}${formatNaira(Math.abs(amendment.difference))}` });
+}
+
+function buildAmendment(booking, action, details) {
+  return Object.assign({
+    kind: 'amendment',
+    action,
+    reference: booking.reference,
+    idempotencyKey: newIdempotencyKey(),
+    source: 'manage',
+    createdAt: new Date().toISOString(),
+    guest: booking.guest,
+    language: currentLanguage,
+    previous: {
+      checkin: booking.checkin,
+      checkout: booking.checkout,
+      nights: booking.nights,
+      rooms: booking.rooms,
+      total: booking.total,
+      deposit: booking.deposit
+    }
+  }, details);
+}
+
+// Sends an amendment and updates the booking kept in this browser (added there if it came from the backend).
+// Resolves with { delivery, booking }; rejects only when the backend refused it.
+function sendAmendment(booking, amendment) {
+  recordSubmission(amendment.idempotencyKey);
+  return sendOrQueueBooking(amendment).then(delivery => {
+    amendment.delivery = delivery;
+    const updated = applyAmendment(booking, amendment);
+    storeBooking(updated);
+    return { delivery, booking: updated };
+  });
+}
+
+// ==============================
+// WhatsApp handoff — "Send via WhatsApp" on both booking forms and on the confirmation
+// - wa.me links open the WhatsApp app on phones and WhatsApp Web / Desktop on computers, message typed in
+// - The message is in the current language; amounts in naira, as booked
+// ==============================
+function buildWhatsAppMessage(booking) {
+  return [
+    t('whatsapp.greeting', { hotel: hotelInfo.name }),
+    '',
+    `*${t('whatsapp.reference', { reference: booking.reference })}*`,
+    t('whatsapp.name', { name: booking.guest.name }),
+    t('whatsapp.rooms', { rooms: describeRoomLines(booking.rooms) }),
+    t('whatsapp.dates', { checkin: formatLongDate(booking.checkin), checkout: formatLongDate(booking.checkout) }),
+    t('whatsapp.nights', { n: booking.nights }),
+    ...(booking.addOns && booking.addOns.length ? [t('whatsapp.addOns', { addOns: describeAddOns(booking.addOns) })] : []),
+    t('whatsapp.total', { total: formatNaira(booking.total) }),
+    t('whatsapp.deposit', { deposit: formatNaira(booking.deposit) })
+  ].join('\n');
+}
+
+function whatsAppUrl(text) {
+  return `https://wa.me/${hotelInfo.whatsapp}?text=${encodeURIComponent(text)}`;
+}
+
+// Call from the click itself (not after a Promise), or popup blockers stop the new tab.
+// If it is blocked anyway, the confirmation that follows has the same link.
+function openWhatsApp(booking) {
+  const win = window.open(whatsAppUrl(buildWhatsAppMessage(booking)), '_blank');
+  if (win) win.opener = null;
+}
+
+// ==============================
+// Form validation — per-field rules with inline errors
+// - Each rule returns an error message, or '' when the value passes
+// - Errors show in a <small class="field-error"> inside the field's .form-group (aria-live, linked with
+//   aria-describedby, the field gets aria-invalid) instead of alert()s or the browser's own bubbles
+// - A field is checked when the guest leaves it, re-checked as they fix it, and every field is checked on submit;
+//   the submit is blocked (focus goes to the first invalid field) until all rules pass
+// - Phone numbers are normalised: Nigerian numbers in any common form become +234…, others stay +<country>…
+// ==============================
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+const formValidators = [];
+
+// Nigerian numbers (0803…, 803…, 234803…, +234 803…, 00234…) → '+234' + national number;
+// other countries written with + or 00 → '+<digits>'. '' when it is not a usable phone number.
+function normalizePhone(raw) {
+  let value = String(raw || '').trim().replace(/[\s\-().]/g, '');
+  let international = value.startsWith('+');
+  if (international) value = value.slice(1);
+  if (!/^\d+$/.test(value)) return '';
+  if (!international && value.startsWith('00')) {
+    value = value.slice(2);
+    international = true;
+  }
+
+  let national;
+  if (value.startsWith('234') && (international || value.length >= 11)) {
+    national = value.slice(3).replace(/^0/, ''); // "+234 (0) 803…" is a common way to write it
+  } else if (international) {
+    return value.length >= 8 && value.length <= 15 ? `+${value}` : '';
+  } else {
+    national = value.replace(/^0/, '');
+  }
+  // mobile: 10 digits (70…, 80…, 81…, 90…, 91…); landline: 8 digits, area code + number (83… for Owerri)
+  return /^[789][01]\d{8}$/.test(national) || /^[1-9]\d{7}$/.test(national) ? `+234${national}` : '';
+}
+
+const bookingFieldRules = {
+  name: value => (value.length >= 2 && /\p{L}/u.test(value) ? '' : t('validation.name')),
+  email: value => {
+    if (!value) return t('validation.emailRequired');
+    return EMAIL_PATTERN.test(value) && !value.includes('..') ? '' : t('validation.email');
+  },
+  phone: value => {
+    if (!value) return t('validation.phoneRequired');
+    return normalizePhone(value) ? '' : t('validation.phone');
+  },
+  checkin: value => {
+    if (!value || !parseISO(value)) return t('validation.checkinRequired');
+    const now = hotelNow();
+    if (value < now.date) return t('validation.checkinPast');
+    if (value === now.date && now.time >= bookingLimits.sameDayCutoff) {
+      return t('validation.sameDayCutoff', { time: bookingLimits.sameDayCutoff, phone: hotelInfo.phone });
+    }
+    return '';
+  },
+  checkout: (value, checkinValue) => {
+    if (!value || !parseISO(value)) return t('validation.checkoutRequired');
+    if (!checkinValue) return '';
+    const nights = eachNight(parseISO(checkinValue), parseISO(value)).length;
+    if (nights < 1) return t('validation.checkoutOrder');
+    if (nights > bookingLimits.maxNights) return t('validation.maxStay', { n: bookingLimits.maxNights });
+    return '';
+  },
+  room: value => (value ? '' : t('validation.room')),
+  count: (value, input) => {
+    const min = Number(input.min || 0);
+    const max = Number(input.max || Infinity);
+    const n = Number(value);
+    return value !== '' && Number.isInteger(n) && n >= min && n <= max ? '' : t('validation.count', { min, max });
+  },
+  terms: (value, input) => (input.checked ? '' : t('validation.terms')),
+  challenge: (value, input) => {
+    if (!value) return t('validation.challengeRequired');
+    return Number(value) === challengeAnswers.get(input) ? '' : t('validation.challenge');
+  }
+};
+
+function setDescribedBy(input, id, linked) {
+  const ids = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+  if (linked) ids.push(id);
+  if (ids.length) input.setAttribute('aria-describedby', ids.join(' '));
+  else input.removeAttribute('aria-describedby');
+}
+
+function showFieldError(input, message) {
+  const errorId = `${input.id}-error`;
+  const group = input.closest('.form-group') || input.parentNode;
+  let errorEl = group.querySelector('.field-error');
+  if (!errorEl && message) {
+    errorEl = document.createElement('small');
+    errorEl.className = 'field-error';
+    errorEl.id = errorId;
+    errorEl.setAttribute('aria-live', 'polite');
+    group.appendChild(errorEl);
+  }
+  if (errorEl) {
+    errorEl.textContent = message;
+    errorEl.hidden = !message;
+  }
+  input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  setDescribedBy(input, errorId, !!message);
+}
+
+// Removes errors inside `root` (a form on reset, a freshly cloned room line)
+function clearFieldErrors(root) {
+  root.querySelectorAll('.field-error').forEach(el => el.remove());
+  root.querySelectorAll('[aria-invalid]').forEach(input => {
+    setDescribedBy(input, `${input.id}-error`, false);
+    input.removeAttribute('aria-invalid');
+  });
+}
+
+function setupFieldValidation(formEl, ids) {
+  formEl.noValidate = true; // the rules below replace the browser's required/type checks
+
+  // [input, rule] for every field of the form right now (room lines come and go)
+  function fields() {
+    const list = [
+      [document.getElementById(ids.name), bookingFieldRules.name],
+      [document.getElementById(ids.email), bookingFieldRules.email],
+      [document.getElementById(ids.phone), bookingFieldRules.phone],
+      [document.getElementById(ids.checkin), bookingFieldRules.checkin],
+      [document.getElementById(ids.checkout), value => bookingFieldRules.checkout(value, fieldValue(ids.checkin))]
+    ];
+    const linesEl = document.getElementById(ids.lines);
+    if (linesEl) {
+      linesEl.querySelectorAll('[data-field="room"]').forEach(select => list.push([select, bookingFieldRules.room]));
+      linesEl.querySelectorAll('input[type="number"][data-field]').forEach(input => {
+        list.push([input, value => bookingFieldRules.count(value, input)]);
+      });
+    }
+    const challenge = formEl.querySelector('.spam-challenge input');
+    if (challenge) list.push([challenge, value => bookingFieldRules.challenge(value, challenge)]);
+    const terms = formEl.querySelector('.terms-consent input[type="checkbox"]');
+    if (terms) list.push([terms, value => bookingFieldRules.terms(value, terms)]);
+    return list.filter(([input]) => input);
+  }
+
+  function validate(input, rule) {
+    const message = rule(input.value.trim(), input);
+    showFieldError(input, message);
+    if (!message && input.id === ids.phone) input.value = normalizePhone(input.value);
+    return !message;
+  }
+
+  function validateMatching(target, onlyIfInvalid) {
+    fields().forEach(([input, rule]) => {
+      if (input !== target) return;
+      if (onlyIfInvalid && input.getAttribute('aria-invalid') !== 'true') return;
+      validate(input, rule);
+    });
+  }
+
+  // leaving a field checks it (unless it was left empty and never flagged: no errors for just tabbing through)
+  formEl.addEventListener('focusout', (e) => {
+    const target = e.target;
+    if (!target.value && target.type !== 'checkbox' && target.getAttribute('aria-invalid') !== 'true') return;
+    validateMatching(target, false);
+  });
+  // fixing a flagged field clears its error as soon as it passes
+  ['input', 'change'].forEach(type => formEl.addEventListener(type, (e) => {
+    if (e.target.id === ids.phone) {
+      if (e.target.getAttribute('aria-invalid') === 'true' && bookingFieldRules.phone(e.target.value.trim()) === '') showFieldError(e.target, '');
+      return; // normalised on blur, not while typing
+    }
+    validateMatching(e.target, true);
+    // a new check-in date can fix (or break) the check-out date
+    if (e.target.id === ids.checkin) validateMatching(document.getElementById(ids.checkout), true);
+  }));
+  formEl.addEventListener('reset', () => clearFieldErrors(formEl));
+
+  const validator = {
+    // checks every field; returns the first invalid one (null when the form passes)
+    validateAll() {
+      let firstInvalid = null;
+      fields().forEach(([input, rule]) => {
+        if (!validate(input, rule) && !firstInvalid) firstInvalid = input;
+      });
+      return firstInvalid;
+    },
+    // re-words visible errors after a language change
+    refresh() {
+      fields().forEach(([input, rule]) => {
+        if (input.getAttribute('aria-invalid') === 'true') validate(input, rule);
+      });
+    }
+  };
+  formValidators.push(validator);
+  return validator;
+}
+
+// ==============================
+// Bot and spam protection, and the booking terms
+// - Every form that sends through the booking pipeline (both booking forms, the spa/fitness slot form) gets:
+//   a honeypot — a text field people never see (off-screen, aria-hidden, out of the tab order) but form-filling
+//   bots do fill in; a minimum time between starting on the form and sending it (spamProtection.minFillSeconds);
+//   and a small sum to solve, checked with the other fields (a new one after each send or reset)
+// - Per-browser rate limit: what this browser has sent is logged in localStorage (one entry per idempotency key,
+//   so retrying the same booking does not count twice); more than spamProtection.maxSubmissions in the window
+//   is refused with the hotel's phone number
+// - All of this runs in the guest's browser: it keeps out drive-by bots and accidental floods, not a determined
+//   attacker, so the inbox filters and the front desk stay the last line
+// - Terms acceptance is its own consent checkbox on each booking form (id "<form id>-terms"), separate from the
+//   checks above; the booking records bookingTerms.version and when it was accepted
+// ==============================
+const challengeAnswers = new WeakMap(); // challenge <input> → the expected answer (kept out of the page's markup)
+
+// The consent checkbox, inserted before the form's first button
+function addTermsConsent(formEl) {
+  const firstButton = formEl.querySelector('button[type="submit"], .btn');
+  if (!firstButton || formEl.querySelector('.terms-consent')) return;
+  const id = `${formEl.id}-terms`;
+  const group = document.createElement('div');
+  group.className = 'form-group terms-consent';
+  group.innerHTML = `
+    <input type="checkbox" id="${id}" name="termsAccepted">
+    <label for="${id}" data-i18n="form.terms">${escapeHtml(t('form.terms'))}</label>`;
+  firstButton.parentNode.insertBefore(group, firstButton);
+}
+
+function readSubmissionLog() {
+  try {
+    return JSON.parse(localStorage.getItem(spamProtection.storageKey) || '[]');
+  } catch (err) {
+    return [];
+  }
+}
+
+// The entries still inside the rate-limit window
+function recentSubmissions() {
+  const since = Date.now() - spamProtection.windowMinutes * 60000;
+  return readSubmissionLog().filter(entry => entry.at > since);
+}
+
+function recordSubmission(idempotencyKey) {
+  const log = recentSubmissions();
+  if (log.some(entry => entry.key === idempotencyKey)) return;
+  log.push({ key: idempotencyKey, at: Date.now() });
+  try {
+    localStorage.setItem(spamProtection.storageKey, JSON.stringify(log));
+  } catch (err) {
+    // storage full or disabled: nothing to count against
+  }
+}
+
+// '' when this browser may send `idempotencyKey`, otherwise the message to show
+function checkSubmissionRate(idempotencyKey) {
+  const log = recentSubmissions();
+  if (log.some(entry => entry.key === idempotencyKey) || log.length < spamProtection.maxSubmissions) return '';
+  // the wait ends when the oldest entry leaves the window
+  const oldest = Math.min(...log.map(entry => entry.at));
+  const wait = Math.ceil((oldest + spamProtection.windowMinutes * 60000 - Date.now()) / 60000);
+  return t('spam.rateLimited', { minutes: Math.max(wait, 1), phone: hotelInfo.phone });
+}
+
+// Adds the honeypot and the sum to a form. check(idempotencyKey) is '' when the send may go ahead, otherwise
+// the message to show (the sum itself is checked by the form's validator: bookingFieldRules.challenge).
+function setupSpamGuard(formEl) {
+  const firstButton = formEl.querySelector('button[type="submit"], .btn');
+  const trap = document.createElement('div');
+  trap.className = 'spam-trap';
+  trap.setAttribute('aria-hidden', 'true');
+  trap.innerHTML = `<label><span data-i18n="spam.trap">${escapeHtml(t('spam.trap'))}</span>
+    <input type="text" name="website" tabindex="-1" autocomplete="off"></label>`;
+  formEl.appendChild(trap);
+
+  const challengeId = `${formEl.id}-challenge`;
+  const challenge = document.createElement('div');
+  challenge.className = 'form-group spam-challenge';
+  challenge.innerHTML = `
+    <label for="${challengeId}"><span data-i18n="spam.challenge">${escapeHtml(t('spam.challenge'))}</span>
+      <span class="spam-challenge-sum"></span></label>
+    <input type="text" id="${challengeId}" inputmode="numeric" autocomplete="off" maxlength="3">`;
+  firstButton.parentNode.insertBefore(challenge, firstButton);
+  const honeypot = trap.querySelector('input');
+  const answerInput = challenge.querySelector('input');
+  let startedAt = 0;
+
+  function newChallenge() {
+    const a = 2 + Math.floor(Math.random() * 8);
+    const b = 1 + Math.floor(Math.random() * 9);
+    challenge.querySelector('.spam-challenge-sum').textContent = `${a} + ${b} =`;
+    challengeAnswers.set(answerInput, a + b);
+  }
+
+  // the clock starts when the guest first does something in the form, not when the page loaded
+  const start = () => { if (!startedAt) startedAt = Date.now(); };
+  formEl.addEventListener('focusin', start);
+  formEl.addEventListener('input', start);
+  formEl.addEventListener('reset', () => {
+    startedAt = 0;
+    // the reset clears the answer; the new sum goes in after it
+    setTimeout(newChallenge, 0);
+  });
+  newChallenge();
+
+  return {
+    check(idempotencyKey) {
+      if (honeypot.value) return t('spam.rejected', { phone: hotelInfo.phone });
+      if (!startedAt || Date.now() - startedAt < spamProtection.minFillSeconds * 1000) {
+        return t('spam.tooFast', { n: spamProtection.minFillSeconds });
+      }
+      return checkSubmissionRate(idempotencyKey);
+    }
+  };
+}
+
+// ==============================
+// Form submission handling — keep forms independent
+// - Both forms build the same booking object and go through submitBooking()
+// - On success only that form is reset (the modal also closes); the other form is never touched
+// - The idempotency key lives on the form until the booking succeeds or the guest edits the form,
+//   so a double click or a retry after a failure can never create a second booking
+// - Offline, or after retryable failures, the booking goes to the offline queue and the form is cleared
+//   as if it had been sent (the guest sees the pending notice)
+// - Either way the guest ends on the confirmation view for the booking's reference
+// ==============================
+const bookingForm = document.getElementById('bookingForm');
+const modalForm = document.getElementById('modalForm');
+
+function fieldValue(id) {
+  const el = document.getElementById(id);
+  return el ? el.value.trim() : '';
+}
+
+// A quote's room lines night by night, as bookings (and amendments) keep them
+function quoteBreakdown(quote) {
+  return quote.lines.map(line => ({
+    roomType: line.roomType,
+    rooms: line.rooms,
+    adults: line.adults,
+    children: line.children,
+    extraBeds: line.extraBeds,
+    nights: line.nights.map(n => ({ date: isoDate(n.date), rate: n.rate, label: n.label }))
+  }));
+}
+
+// Reads a form (by its field IDs) into the booking object every transport receives
+function buildBooking(formEl, ids, source) {
+  const checkinDate = parseISO(fieldValue(ids.checkin));
+  const checkoutDate = parseISO(fieldValue(ids.checkout));
+  const rooms = readRoomLines(document.getElementById(ids.lines));
+  const promoCode = fieldValue(ids.promo).toUpperCase();
+  const addOnIds = readAddOns(document.getElementById(ids.addOns));
+  const quote = quoteStay({ checkinDate, checkoutDate, lines: rooms, promoCode, addOnIds, inventory });
+
+  return {
+    reference: formEl.dataset.bookingRef,
+    idempotencyKey: formEl.dataset.idempotencyKey,
+    source,
+    createdAt: new Date().toISOString(),
+    guest: {
+      name: fieldValue(ids.name),
+      email: fieldValue(ids.email),
+      phone: normalizePhone(fieldValue(ids.phone))
+    },
+    checkin: fieldValue(ids.checkin),
+    checkout: fieldValue(ids.checkout),
+    nights: quote.nightCount,
+    rooms,
+    promoCode: quote.discount ? promoCode : '',
+    message: ids.message ? fieldValue(ids.message) : '',
+    language: currentLanguage,
+    // what was quoted, night by night (kept so the confirmation never changes if rates do)
+    breakdown: quoteBreakdown(quote),
+    subtotal: quote.subtotal,
+    extrasTotal: quote.extrasTotal,
+    addOns: quote.addOns,
+    addOnsTotal: quote.addOnsTotal,
+    discount: quote.discount,
+    total: quote.total,
+    deposit: quote.deposit,
+    balance: quote.balance,
+    status: bookingStatuses[0].id,
+    statusHistory: [{ status: bookingStatuses[0].id, at: new Date().toISOString() }],
+    // the booking form cannot be sent without ticking the terms, so building one means they were accepted now
+    termsVersion: bookingTerms.version,
+    termsAcceptedAt: new Date().toISOString(),
+    // last day a cancellation refunds the deposit; changes may bring it forward but never push it back
+    refundCutoff: cancellationTerms({ checkin: isoDate(checkinDate) }).cutoff
+  };
+}
+
+// Returns a message when the form cannot be booked yet, '' when it is ready
+function checkBookingForm(ids) {
+  const checkinDate = parseISO(fieldValue(ids.checkin));
+  const checkoutDate = parseISO(fieldValue(ids.checkout));
+  const rooms = readRoomLines(document.getElementById(ids.lines));
+
+  if (!checkinDate || !checkoutDate || !rooms.length || rooms.some(line => !line.roomType)) {
+    return t('form.incomplete');
+  }
+  if (checkoutDate <= checkinDate) {
+    return t('form.invalidDates');
+  }
+  const quote = quoteStay({ checkinDate, checkoutDate, lines: rooms, inventory });
+  return quote.problems.map(describeQuoteProblem).join(' ');
+}
+
+function setupBookingSubmission(formEl, ids, { source, calculator, onSuccess }) {
+  // no form, or one emptied because booking-quote.js is missing (see "Booking quote engine missing")
+  if (!formEl || !document.getElementById(ids.checkin)) return;
+  const submitBtn = formEl.querySelector('button[type="submit"]');
+  const spamGuard = setupSpamGuard(formEl);
+  addTermsConsent(formEl);
+  const validator = setupFieldValidation(formEl, ids);
+  let sending = false;
+
+  // any edit makes it a different booking: the next submit gets a fresh key and reference
+  const forgetKey = () => {
+    if (sending) return;
+    delete formEl.dataset.idempotencyKey;
+    delete formEl.dataset.bookingRef;
+  };
+  formEl.addEventListener('input', forgetKey);
+  formEl.addEventListener('change', forgetKey);
+
+  // Validates the form and builds its booking; null (with the problem shown) when it cannot be sent yet
+  function prepareBooking() {
+    if (sending) return null;
+
+    const firstInvalid = validator.validateAll();
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return null;
+    }
+    const problem = checkBookingForm(ids);
+    if (problem) {
+      showBookingToast('error', problem);
+      return null;
+    }
+
+    if (!formEl.dataset.idempotencyKey) {
+      formEl.dataset.idempotencyKey = newIdempotencyKey();
+      formEl.dataset.bookingRef = newBookingReference();
+    }
+    const blocked = spamGuard.check(formEl.dataset.idempotencyKey);
+    if (blocked) {
+      showBookingToast('error', blocked);
+      return null;
+    }
+    return buildBooking(formEl, ids, source);
+  }
+
+  function sendBooking(booking) {
+    sending = true;
+    recordSubmission(booking.idempotencyKey);
+    const label = submitBtn ? submitBtn.textContent : '';
+    if (submitBtn) {
+      submitBtn.disabled = true;
+      submitBtn.textContent = t('form.sending');
+    }
+    showBookingToast('progress', t('toast.sending'));
+
+    function finish(delivery) {
+      booking.delivery = delivery;
+      storeBooking(booking);
+      delete formEl.dataset.idempotencyKey;
+      delete formEl.dataset.bookingRef;
+      formEl.reset();
+      if (calculator) calculator.reset();
+      if (onSuccess) onSuccess(booking);
+      openConfirmation(booking.reference);
+    }
+
+    sendOrQueueBooking(booking)
+      .then(delivery => {
+        if (delivery === 'sent') hideBookingToast();
+        else showBookingToast('pending', t('toast.pending'));
+        finish(delivery);
+      })
+      .catch(err => {
+        console.error('Booking submission failed:', err);
+        showBookingToast('error', t('toast.failed'));
+      })
+      .then(() => {
+        sending = false;
+        if (submitBtn) {
+          submitBtn.disabled = false;
+          submitBtn.textContent = label;
+        }
+      });
+  }
+
+  formEl.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const booking = prepareBooking();
+    if (booking) sendBooking(booking);
+  });
+
+  // "Send via WhatsApp" books exactly like the submit button, and opens the chat with the booking's details
+  const whatsAppBtn = formEl.querySelector('[data-whatsapp-handoff]');
+  if (whatsAppBtn) {
+    whatsAppBtn.addEventListener('click', () => {
+      const booking = prepareBooking();
+      if (!booking) return;
+      openWhatsApp(booking);
+      sendBooking(booking);
+    });
+  }
+}
+
+setupBookingSubmission(bookingForm, {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  checkin: 'checkin',
+  checkout: 'checkout',
+  lines: 'roomLines',
+  promo: 'promoCode',
+  addOns: 'addOns',
+  message: 'message'
+}, { source: 'main', calculator: mainCalculator });
+
+setupBookingSubmission(modalForm, {
+  name: 'modalName',
+  email: 'modalEmail',
+  phone: 'modalPhone',
+  checkin: 'modalCheckin',
+  checkout: 'modalCheckout',
+  lines: 'modalRoomLines',
+  promo: 'modalPromoCode',
+  addOns: 'modalAddOns'
+}, { source: 'modal', calculator: modalCalculator, onSuccess: closeBookingModal });
+
+// ==============================
+// Deep links and drafts
+// - ?book=<room id>&checkin=YYYY-MM-DD&checkout=YYYY-MM-DD&promo=CODE opens the booking modal filled in
+//   (e.g. links posted on Instagram). Only `book` is required; `book=1` or an unknown room just opens the modal.
+//   Past or reversed dates are left out. Once applied the parameters leave the address bar, so a reload brings
+//   back the guest's draft instead of the link's values.
+// - Drafts: each form's fields, room lines and add-ons are kept in sessionStorage (one entry per form id, this
+//   tab only) as the guest types, and put back on reload. Sending the booking (which resets the form) clears it.
+//   The terms checkbox and the anti-spam sum are never restored: both are answered again for each booking.
+// - The forms stay independent: separate drafts, and a link only ever fills the modal.
+// ==============================
+const DRAFT_STORAGE_PREFIX = 'wizmore.draft.';
+const BOOKING_LINK_PARAMS = ['book', 'checkin', 'checkout', 'promo'];
+
+function setupFormDraft(formEl, { linesId, addOnsId, calculator }) {
+  if (!formEl) return;
+  const key = DRAFT_STORAGE_PREFIX + formEl.id;
+  const linesEl = document.getElementById(linesId);
+  const addOnsEl = document.getElementById(addOnsId);
+
+  // plain fields by id; room lines and add-ons as lists, since their elements come and go
+  function saveDraft() {
+    const fields = {};
+    formEl.querySelectorAll('input[id], select[id], textarea[id]').forEach(el => {
+      if (el.type === 'checkbox' || el.type === 'radio' || el.closest('.room-line, .spam-challenge')) return;
+      fields[el.id] = el.value;
+    });
+    const lines = linesEl
+      ? Array.from(linesEl.querySelectorAll('.room-line'), lineEl => {
+        const values = {};
+        lineEl.querySelectorAll('[data-field]').forEach(el => { values[el.dataset.field] = el.value; });
+        return values;
+      })
+      : [];
+    try {
+      sessionStorage.setItem(key, JSON.stringify({ fields, lines, addOns: readAddOns(addOnsEl) }));
+    } catch (err) {
+      // storage full or disabled: the form keeps working, the draft just is not kept
+    }
+  }
+
+  function restoreDraft() {
+    let draft = null;
+    try {
+      draft = JSON.parse(sessionStorage.getItem(key) || 'null');
+    } catch (err) {
+      draft = null;
+    }
+    if (!draft) return;
+    Object.keys(draft.fields || {}).forEach(id => {
+      const el = document.getElementById(id);
+      if (el && formEl.contains(el)) el.value = draft.fields[id];
+    });
+    if (linesEl) {
+      (draft.lines || []).slice(0, roomCatalog.length).forEach((values, i) => {
+        const lineEl = i === 0 ? linesEl.querySelector('.room-line') : (calculator && calculator.addRoomLine({ focus: false }));
+        if (!lineEl) return;
+        Object.keys(values).forEach(field => {
+          const el = lineEl.querySelector(`[data-field="${field}"]`);
+          if (el) el.value = values[field];
+        });
+      });
+    }
+    if (addOnsEl) {
+      addOnsEl.querySelectorAll('input[data-addon]').forEach(input => {
+        input.checked = (draft.addOns || []).includes(input.dataset.addon);
+      });
+    }
+  }
+
+  // runs before the calculator's first pass, which then prices whatever was restored
+  restoreDraft();
+  formEl.addEventListener('input', saveDraft);
+  formEl.addEventListener('change', saveDraft);
+  // adding or removing a room line changes the draft without an input event
+  formEl.addEventListener('click', (e) => {
+    if (e.target.closest('.add-room-line, .remove-room-line')) saveDraft();
+  });
+  formEl.addEventListener('reset', () => sessionStorage.removeItem(key));
+}
+
+// The link's values that can be booked: { roomType, checkin, checkout, promo } ('' for any left out), or null
+function readBookingLink(params) {
+  if (!params.has('book')) return null;
+  // without booking-quote.js the modal only holds the "call us" notice
+  if (!bookingQuoteLoaded) return { roomType: '', checkin: '', checkout: '', promo: '' };
+  const isValidDate = value => !!parseISO(value) && isoDate(parseISO(value)) === value;
+  const roomType = getRoom(params.get('book')) ? params.get('book') : '';
+  let checkin = params.get('checkin') || '';
+  let checkout = params.get('checkout') || '';
+  if (!isValidDate(checkin) || checkin < hotelNow().date) checkin = '';
+  if (!checkin || !isValidDate(checkout) || checkout <= checkin) checkout = '';
+  return { roomType, checkin, checkout, promo: (params.get('promo') || '').trim().toUpperCase() };
+}
+
+function openBookingLink() {
+  const url = new URL(window.location.href);
+  const link = readBookingLink(url.searchParams);
+  // a confirmation link (?booking=REF) wins over a booking link
+  if (!link || url.searchParams.has('booking')) return;
+  openBookingModal(link.roomType, link.promo, { checkin: link.checkin, checkout: link.checkout });
+  BOOKING_LINK_PARAMS.forEach(name => url.searchParams.delete(name));
+  history.replaceState(history.state, '', url);
+}
+
+setupFormDraft(bookingForm, { linesId: 'roomLines', addOnsId: 'addOns', calculator: mainCalculator });
+setupFormDraft(modalForm, { linesId: 'modalRoomLines', addOnsId: 'modalAddOns', calculator: modalCalculator });
+openBookingLink();
+
+// ==============================
+// Date-range picker — a two-month calendar under each form's check-in/check-out fields
+// - The date inputs stay the source of truth (validation, the calculator and drafts read them); the picker
+//   writes to them and fires the same bubbling change events as typing a date does
+// - One gesture: the first date picked is the check-in, the next one later than it is the check-out
+//   (picking an earlier date starts over); the panel closes once the stay is complete
+// - Each date shows the nightly rate of the form's first room type (or the lowest rate of any room while none
+//   is chosen) in the display currency. Dates that cannot be booked are greyed out: before today or after the
+//   same-day cutoff (hotel time, hotelNow()), sold out in the inventory for the rooms on the form, and, for the
+//   check-out, anything past the first sold-out night or longer than bookingLimits.maxNights
+// - Keyboard: the calendar is a grid with one tab stop; arrows move by day/week, Home/End to the week's ends,
+//   PageUp/PageDown by month, Enter/Space picks, Escape closes. Unavailable dates stay focusable (aria-disabled)
+//   so screen-reader users hear why they are skipped
+// ==============================
+const datePickers = [];
+
+// e.g. "₦120K" — short enough to fit under a date
+function formatCurrencyShort(n) {
+  const code = currencies[displayCurrency] ? displayCurrency : 'NGN';
+  return new Intl.NumberFormat(currentLocale(), {
+    style: 'currency',
+    currency: code,
+    currencyDisplay: 'narrowSymbol',
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 1
+  }).format(convertFromNaira(n, code));
+}
+
+function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function addMonths(date, months) {
+  return new Date(date.getFullYear(), date.getMonth() + months, 1);
+}
+
+function setupDateRangePicker({ pickerId, checkinId, checkoutId, linesId }) {
+  const picker = document.getElementById(pickerId);
+  const checkin = document.getElementById(checkinId);
+  const checkout = document.getElementById(checkoutId);
+  const linesEl = document.getElementById(linesId);
+  if (!picker || !checkin || !checkout) return null;
+
+  picker.innerHTML = `
+    <button type="button" class="range-picker-toggle" aria-expanded="false" aria-controls="${pickerId}-panel">
+      <i class="far fa-calendar-alt" aria-hidden="true"></i> <span data-i18n="picker.open">${escapeHtml(t('picker.open'))}</span>
+    </button>
+    <p class="range-picker-status" aria-live="polite"></p>
+    <div class="range-picker-panel" id="${pickerId}-panel" hidden>
+      <div class="range-picker-head">
+        <button type="button" class="range-picker-nav" data-step="-1" data-i18n-aria-label="picker.prev" aria-label="${escapeHtml(t('picker.prev'))}">&lsaquo;</button>
+        <p class="range-picker-hint"></p>
+        <button type="button" class="range-picker-nav" data-step="1" data-i18n-aria-label="picker.next" aria-label="${escapeHtml(t('picker.next'))}">&rsaquo;</button>
+      </div>
+      <div class="range-picker-months"></div>
+      <div class="range-picker-foot">
+        <p class="range-picker-legend"></p>
+        <button type="button" class="range-picker-clear" data-i18n="picker.clear">${escapeHtml(t('picker.clear'))}</button>
+        <button type="button" class="range-picker-close" data-i18n="dialog.close">${escapeHtml(t('dialog.close'))}</button>
+      </div>
+    </div>`;
+  const toggle = picker.querySelector('.range-picker-toggle');
+  const statusEl = picker.querySelector('.range-picker-status');
+  const panel = picker.querySelector('.range-picker-panel');
+  const hintEl = picker.querySelector('.range-picker-hint');
+  const monthsEl = picker.querySelector('.range-picker-months');
+  const legendEl = picker.querySelector('.range-picker-legend');
+  const prevBtn = picker.querySelector('.range-picker-nav[data-step="-1"]');
+
+  let viewMonth = null;   // first of the left-hand month
+  let focusIso = '';      // the date holding the grid's tab stop
+  let previewIso = '';    // the date under the pointer while a check-out is being picked
+
+  // the chosen dates; a check-out that is not after the check-in counts as not chosen yet
+  function chosenStay() {
+    const start = parseISO(checkin.value);
+    const end = parseISO(checkout.value);
+    return { start, end: start && end && end > start ? end : null };
+  }
+
+  // the stay being picked: check-in set and check-out still to come
+  const pickingCheckout = () => !!chosenStay().start && !chosenStay().end;
+
+  // room types on the form and how many rooms of each (sold-out checks need enough rooms for all of them)
+  function roomsWanted() {
+    const units = {};
+    readRoomLines(linesEl).filter(line => line.roomType).forEach(line => {
+      units[line.roomType] = (units[line.roomType] || 0) + line.rooms;
+    });
+    return units;
+  }
+
+  function nightSoldOut(iso, wanted) {
+    const night = parseISO(iso);
+    const next = addDays(night, 1);
+    const roomTypes = Object.keys(wanted);
+    if (roomTypes.length) return roomTypes.some(roomType => getUnavailableNights(inventory, roomType, night, next, wanted[roomType]).length > 0);
+    return roomCatalog.every(room => getUnavailableNights(inventory, room.id, night, next, 1).length > 0);
+  }
+
+  function nightPrice(iso, wanted) {
+    const night = parseISO(iso);
+    const first = readRoomLines(linesEl).find(line => line.roomType);
+    if (first) return priceNight(first.roomType, night).rate;
+    return Math.min(...roomCatalog.map(room => priceNight(room.id, night).rate));
+  }
+
+  // The last date a check-out can fall on for the chosen check-in ('' when no check-in is chosen)
+  function lastCheckout(wanted) {
+    const start = parseISO(checkin.value);
+    if (!start) return '';
+    for (let n = 1; n <= bookingLimits.maxNights; n++) {
+      const night = addDays(start, n - 1);
+      if (nightSoldOut(isoDate(night), wanted)) return isoDate(night);
+    }
+    return isoDate(addDays(start, bookingLimits.maxNights));
+  }
+
+  function dayInfo(iso, context) {
+    const canCheckin = bookingFieldRules.checkin(iso) === '' && !nightSoldOut(iso, context.wanted);
+    const start = checkin.value;
+    const canCheckout = context.picking && iso > start && iso <= context.limit;
+    return { available: context.picking ? canCheckout || (iso < start && canCheckin) : canCheckin, canCheckin };
+  }
+
+  function describeStay() {
+    const { start, end } = chosenStay();
+    if (!start) return '';
+    if (!end) return t('picker.checkinOnly', { checkin: formatShortDate(start) });
+    return t('picker.selected', {
+      checkin: formatShortDate(start),
+      checkout: formatShortDate(end),
+      nights: t('count.night', { n: eachNight(start, end).length })
+    });
+  }
+
+  function renderMonth(month, context, index) {
+    const captionId = `${pickerId}-month-${index}`;
+    // weeks start on Monday; getDay() is 0 for Sunday
+    const lead = (month.getDay() + 6) % 7;
+    const days = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    const weekdayNames = Array.from({ length: 7 }, (_, i) => addDays(new Date(2024, 0, 1), i)); // 1 Jan 2024 was a Monday
+    const cells = [];
+    for (let i = 0; i < lead; i++) cells.push('<td></td>');
+    for (let day = 1; day <= days; day++) {
+      const iso = isoDate(new Date(month.getFullYear(), month.getMonth(), day));
+      const info = dayInfo(iso, context);
+      const isStart = iso === checkin.value;
+      const isEnd = !context.picking && iso === checkout.value;
+      const rangeEnd = context.picking ? previewIso : checkout.value;
+      const inRange = !!checkin.value && iso > checkin.value && iso < rangeEnd;
+      const price = info.canCheckin ? formatCurrencyShort(nightPrice(iso, context.wanted)) : '';
+      const classes = ['range-day'];
+      if (!info.available) classes.push('is-unavailable');
+      if (isStart) classes.push('is-start');
+      if (isEnd) classes.push('is-end');
+      if (inRange) classes.push(context.picking ? 'is-preview' : 'in-range');
+      if (iso === context.today) classes.push('is-today');
+      const label = [formatLongDate(iso)];
+      if (price) label.push(t('picker.perNight', { price: formatCurrency(nightPrice(iso, context.wanted)) }));
+      if (isStart) label.push(t('picker.checkinDay'));
+      if (isEnd) label.push(t('picker.checkoutDay'));
+      if (!info.available) label.push(t('picker.unavailable'));
+      cells.push(`<td${isStart || isEnd || inRange ? ' aria-selected="true"' : ''}>
+        <button type="button" class="${classes.join(' ')}" data-date="${iso}" tabindex="${iso === focusIso ? 0 : -1}"${info.available ? '' : ' aria-disabled="true"'} aria-label="${escapeHtml(label.join(', '))}">
+          <span class="range-day-number" aria-hidden="true">${day}</span>
+          <span class="range-day-price" aria-hidden="true">${escapeHtml(price)}</span>
+        </button></td>`);
+    }
+    while (cells.length % 7) cells.push('<td></td>');
+    const rows = [];
+    for (let i = 0; i < cells.length; i += 7) rows.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+
+    return `
+      <table class="range-picker-month" role="grid" aria-labelledby="${captionId}">
+        <caption id="${captionId}">${escapeHtml(month.toLocaleDateString(currentLocale(), { month: 'long', year: 'numeric' }))}</caption>
+        <thead><tr>${weekdayNames.map(d => `<th scope="col" abbr="${escapeHtml(d.toLocaleDateString(currentLocale(), { weekday: 'long' }))}">${escapeHtml(d.toLocaleDateString(currentLocale(), { weekday: 'narrow' }))}</th>`).join('')}</tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>`;
+  }
+
+  function render() {
+    statusEl.textContent = describeStay();
+    if (panel.hidden) return;
+    const wanted = roomsWanted();
+    const picking = pickingCheckout();
+    const context = { wanted, picking, limit: picking ? lastCheckout(wanted) : '', today: hotelNow().date };
+    const firstRoom = readRoomLines(linesEl).find(line => line.roomType);
+
+    hintEl.textContent = picking
+      ? t('picker.chooseCheckout', { checkin: formatShortDate(parseISO(checkin.value)) })
+      : t('picker.chooseCheckin');
+    legendEl.textContent = firstRoom ? t('picker.pricesFor', { room: roomName(firstRoom.roomType) }) : t('picker.pricesFrom');
+    prevBtn.disabled = viewMonth <= startOfMonth(parseISO(context.today));
+    // re-rendering replaces the day buttons: keep keyboard focus on the same date
+    const hadFocus = monthsEl.contains(document.activeElement);
+    monthsEl.innerHTML = [0, 1].map(i => renderMonth(addMonths(viewMonth, i), context, i)).join('');
+    let focusBtn = monthsEl.querySelector(`[data-date="${focusIso}"]`);
+    if (!focusBtn) {
+      // the months were paged away from the focused date: the grid's tab stop moves to the first one shown
+      focusBtn = monthsEl.querySelector('[data-date]');
+      focusBtn.tabIndex = 0;
+      focusIso = focusBtn.dataset.date;
+    }
+    if (hadFocus) focusBtn.focus();
+  }
+
+  function focusDay(iso) {
+    const date = parseISO(iso);
+    // keep the focused date on screen: step the view when it moves past either month
+    if (date < viewMonth) viewMonth = startOfMonth(date);
+    else if (date >= addMonths(viewMonth, 2)) viewMonth = addMonths(startOfMonth(date), -1);
+    focusIso = iso;
+    render();
+    const btn = monthsEl.querySelector(`[data-date="${iso}"]`);
+    if (btn) btn.focus();
+  }
+
+  function setDate(input, iso) {
+    input.value = iso;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function open() {
+    const start = parseISO(checkin.value);
+    const today = parseISO(hotelNow().date);
+    const first = start && start >= today ? start : today;
+    viewMonth = startOfMonth(first);
+    focusIso = isoDate(first);
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+    focusDay(focusIso);
+  }
+
+  function close({ returnFocus = true } = {}) {
+    if (panel.hidden) return;
+    panel.hidden = true;
+    previewIso = '';
+    toggle.setAttribute('aria-expanded', 'false');
+    if (returnFocus) toggle.focus();
+  }
+
+  function pick(iso) {
+    const btn = monthsEl.querySelector(`[data-date="${iso}"]`);
+    if (!btn || btn.getAttribute('aria-disabled') === 'true') return;
+    if (pickingCheckout() && iso > checkin.value) {
+      setDate(checkout, iso);
+      close();
+      render();
+      return;
+    }
+    // a new check-in: the old check-out no longer belongs to it
+    if (checkout.value) setDate(checkout, '');
+    setDate(checkin, iso);
+    previewIso = '';
+    focusDay(iso);
+  }
+
+  toggle.addEventListener('click', () => (panel.hidden ? open() : close()));
+  picker.querySelectorAll('.range-picker-nav').forEach(btn => {
+    btn.addEventListener('click', () => {
+      viewMonth = addMonths(viewMonth, Number(btn.dataset.step));
+      render();
+    });
+  });
+  picker.querySelector('.range-picker-close').addEventListener('click', () => close());
+  picker.querySelector('.range-picker-clear').addEventListener('click', () => {
+    setDate(checkout, '');
+    setDate(checkin, '');
+    focusDay(focusIso);
+  });
+  monthsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-date]');
+    if (btn) pick(btn.dataset.date);
+  });
+  monthsEl.addEventListener('pointerover', (e) => {
+    const btn = e.target.closest('[data-date]');
+    if (!btn || !pickingCheckout() || btn.dataset.date === previewIso) return;
+    previewIso = btn.dataset.date;
+    monthsEl.querySelectorAll('[data-date]').forEach(day => {
+      const iso = day.dataset.date;
+      day.classList.toggle('is-preview', iso > checkin.value && iso < previewIso);
+    });
+  });
+  monthsEl.addEventListener('keydown', (e) => {
+    const btn = e.target.closest('[data-date]');
+    if (!btn) return;
+    const date = parseISO(btn.dataset.date);
+    const weekday = (date.getDay() + 6) % 7;
+    const moves = {
+      ArrowLeft: () => addDays(date, -1),
+      ArrowRight: () => addDays(date, 1),
+      ArrowUp: () => addDays(date, -7),
+      ArrowDown: () => addDays(date, 7),
+      Home: () => addDays(date, -weekday),
+      End: () => addDays(date, 6 - weekday),
+      PageUp: () => new Date(date.getFullYear(), date.getMonth() - 1, Math.min(date.getDate(), 28)),
+      PageDown: () => new Date(date.getFullYear(), date.getMonth() + 1, Math.min(date.getDate(), 28))
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    const next = moves[e.key]();
+    // no browsing into months before this one
+    if (next < startOfMonth(parseISO(hotelNow().date))) return;
+    focusDay(isoDate(next));
+  });
+  panel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    // the picker, not the booking modal around it, takes this Escape
+    e.stopPropagation();
+    close();
+  });
+  // typed dates, room changes and a reset all show up in the calendar and the status line
+  const form = picker.closest('form');
+  if (form) {
+    form.addEventListener('change', (e) => {
+      if (!picker.contains(e.target)) render();
+    });
+    form.addEventListener('reset', () => {
+      close({ returnFocus: false });
+      setTimeout(render, 0);
+    });
+  }
+
+  render();
+  const api = { refresh: render, close };
+  datePickers.push(api);
+  return api;
+}
+
+function refreshDatePickers() {
+  datePickers.forEach(datePicker => datePicker.refresh());
+}
+
+setupDateRangePicker({ pickerId: 'datePicker', checkinId: 'checkin', checkoutId: 'checkout', linesId: 'roomLines' });
+setupDateRangePicker({ pickerId: 'modalDatePicker', checkinId: 'modalCheckin', checkoutId: 'modalCheckout', linesId: 'modalRoomLines' });
+
+// ==============================
+// Gesture controller — shared by the room slider and the hotel gallery popup
+// - createGestureController(surface, image, options): pointer events on `surface` move `image`
+// - Swipe left/right (at normal size) calls options.onSwipe('next' | 'prev')
+// - Pinch or double-tap/double-click zooms (1×–4×); once zoomed, dragging pans within the image's edges
+// - options.fullscreenButton toggles the Fullscreen API on options.fullscreenTarget (hidden where unsupported)
+// - The returned controller has reset() (back to 1×, call when the image changes) and exitFullscreen()
+// ==============================
+const GESTURE_SWIPE_MIN_PX = 50;
+const GESTURE_DOUBLE_TAP_MS = 300;
+const GESTURE_MAX_SCALE = 4;
+const GESTURE_DOUBLE_TAP_SCALE = 2.5;
+
+function fullscreenElement() {
+  return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+function createGestureController(surface, image, options = {}) {
+  const pointers = new Map(); // pointerId -> { x, y }
+  let scale = 1;
+  let offsetX = 0;
+  let offsetY = 0;
+  let gesture = null; // what the current touch started as: { startX, startY, startScale, startDist, startOffsetX, startOffsetY, moved }
+  let lastTap = null; // { time, x, y }
+  let suppressClick = false;
+
+  surface.style.touchAction = 'none'; // the page must not scroll or zoom while we handle the gesture
+
+  function apply() {
+    image.style.transform = scale === 1 ? '' : `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+    surface.classList.toggle('is-zoomed', scale > 1);
+  }
+
+  // Keep the zoomed image covering the surface: it can move at most half of its extra width/height
+  function clampOffsets() {
+    const maxX = (image.offsetWidth * (scale - 1)) / 2;
+    const maxY = (image.offsetHeight * (scale - 1)) / 2;
+    offsetX = Math.min(maxX, Math.max(-maxX, offsetX));
+    offsetY = Math.min(maxY, Math.max(-maxY, offsetY));
+  }
+
+  // Zoom around a point on screen (clientX/Y), so what is under the finger stays under it
+  function zoomTo(newScale, clientX, clientY) {
+    newScale = Math.min(GESTURE_MAX_SCALE, Math.max(1, newScale));
+    const rect = surface.getBoundingClientRect();
+    const px = clientX - (rect.left + rect.width / 2);
+    const py = clientY - (rect.top + rect.height / 2);
+    offsetX = px - ((px - offsetX) * newScale) / scale;
+    offsetY = py - ((py - offsetY) * newScale) / scale;
+    scale = newScale;
+    if (scale === 1) offsetX = offsetY = 0;
+    clampOffsets();
+    apply();
+  }
+
+  function reset() {
+    scale = 1;
+    offsetX = offsetY = 0;
+    pointers.clear();
+    gesture = null;
+    apply();
+  }
+
+  function distance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+  }
+
+  function midpoint() {
+    const [a, b] = Array.from(pointers.values());
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  surface.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest('button')) return; // arrows, close and fullscreen keep their own clicks
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (surface.setPointerCapture) surface.setPointerCapture(e.pointerId);
+    gesture = {
+      startX: e.clientX,
+      startY: e.clientY,
+      startScale: scale,
+      startDist: pointers.size === 2 ? distance() : 0,
+      startOffsetX: offsetX,
+      startOffsetY: offsetY,
+      moved: gesture ? gesture.moved : false
+    };
+  });
+
+  surface.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId) || !gesture) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      const mid = midpoint();
+      gesture.moved = true;
+      zoomTo(gesture.startScale * (distance() / gesture.startDist), mid.x, mid.y);
+      return;
+    }
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    if (Math.abs(dx) > 8 || Math.abs(dy) > 8) gesture.moved = true;
+    if (scale > 1) {
+      offsetX = gesture.startOffsetX + dx;
+      offsetY = gesture.startOffsetY + dy;
+      clampOffsets();
+      apply();
+    }
+  });
+
+  function endPointer(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+    if (!gesture) return;
+
+    if (pointers.size === 1) {
+      // one finger lifted from a pinch: carry on panning from where the other one is
+      const [rest] = Array.from(pointers.values());
+      gesture = { startX: rest.x, startY: rest.y, startScale: scale, startDist: 0, startOffsetX: offsetX, startOffsetY: offsetY, moved: true };
+      return;
+    }
+    if (pointers.size > 0) return;
+
+    const finished = gesture;
+    gesture = null;
+    if (e.type === 'pointercancel') return;
+    const dx = e.clientX - finished.startX;
+    const dy = e.clientY - finished.startY;
+
+    if (finished.moved) {
+      suppressClick = true; // a swipe or pan over the backdrop must not count as "click outside"
+      if (finished.startScale === 1 && scale === 1 && Math.abs(dx) >= GESTURE_SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy)) {
+        if (options.onSwipe) options.onSwipe(dx < 0 ? 'next' : 'prev');
+      }
+      lastTap = null;
+      return;
+    }
+
+    // a tap: the second one in quick succession toggles zoom at that spot
+    const now = Date.now();
+    if (lastTap && now - lastTap.time < GESTURE_DOUBLE_TAP_MS && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30) {
+      zoomTo(scale > 1 ? 1 : GESTURE_DOUBLE_TAP_SCALE, e.clientX, e.clientY);
+      lastTap = null;
+    } else {
+      lastTap = { time: now, x: e.clientX, y: e.clientY };
+    }
+  }
+
+  surface.addEventListener('pointerup', endPointer);
+  surface.addEventListener('pointercancel', endPointer);
+  surface.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }, true);
+
+  // Fullscreen toggle (the button is hidden where the browser has no Fullscreen API, e.g. iPhone Safari)
+  const { fullscreenButton, fullscreenTarget } = options;
+
+  function updateFullscreenButton() {
+    const active = !!fullscreenElement() && fullscreenElement() === fullscreenTarget;
+    const key = active ? 'gallery.exitFullscreen' : 'gallery.fullscreen';
+    fullscreenButton.setAttribute('aria-pressed', String(active));
+    fullscreenButton.setAttribute('data-i18n-aria-label', key);
+    fullscreenButton.setAttribute('aria-label', t(key));
+    const icon = fullscreenButton.querySelector('i');
+    if (icon) icon.className = active ? 'fas fa-compress' : 'fas fa-expand';
+  }
+
+  function exitFullscreen() {
+    if (!fullscreenTarget || fullscreenElement() !== fullscreenTarget) return;
+    const exit = document.exitFullscreen || document.webkitExitFullscreen;
+    const result = exit.call(document);
+    if (result && result.catch) result.catch(() => {});
+  }
+
+  if (fullscreenButton && fullscreenTarget) {
+    const request = fullscreenTarget.requestFullscreen || fullscreenTarget.webkitRequestFullscreen;
+    fullscreenButton.hidden = !request || !(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+    updateFullscreenButton();
+    fullscreenButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (fullscreenElement() === fullscreenTarget) {
+        exitFullscreen();
+        return;
+      }
+      const result = request.call(fullscreenTarget);
+      if (result && result.catch) result.catch(err => console.warn('Fullscreen was refused.', err));
+    });
+    document.addEventListener('fullscreenchange', updateFullscreenButton);
+    document.addEventListener('webkitfullscreenchange', updateFullscreenButton);
+  }
+
+  return { reset, exitFullscreen };
+}
+
+// ==============================
+// Media manifest (data/media.json)
+// - rooms.<room type>, amenities.<data-amenity> and gallery each list photos as { src, thumb, caption, alt }
+// - caption and alt are plain strings, or one string per language ({ "en": "…", "fr": "…" }; English is the fallback)
+// - Until the file loads (or if it cannot be fetched) each popup falls back to the image already on the page
+// ==============================
+let mediaManifest = null;
+
+function loadMediaManifest() {
+  return fetch(MEDIA_URL)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(data => {
+      mediaManifest = data;
+      return mediaManifest;
+    })
+    .catch(err => {
+      console.warn('Media manifest could not be loaded; popups show the page images only.', err);
+      mediaManifest = null;
+      return null;
+    });
+}
+
+// Photos for one room type / amenity, or the main gallery when no key is given ([] if none)
+function getMediaList(group, key) {
+  if (!mediaManifest || !mediaManifest[group]) return [];
+  const list = key === undefined ? mediaManifest[group] : mediaManifest[group][key];
+  return Array.isArray(list) ? list : [];
+}
+
+function mediaText(value) {
+  if (!value || typeof value === 'string') return value || '';
+  return value[currentLanguage] || value.en || '';
+}
+
+// Warm the browser cache for the photos either side of the one on screen, so next/previous shows instantly
+const preloadedImages = new Set();
+
+function preloadNeighbours(items, index) {
+  if (items.length < 2) return;
+  [index + 1, index - 1].forEach(i => {
+    const src = items[(i + items.length) % items.length].src;
+    if (!src || preloadedImages.has(src)) return;
+    preloadedImages.add(src);
+    const img = new Image();
+    img.decoding = 'async';
+    img.src = src;
+  });
+}
+
+loadMediaManifest();
+
+/* =========================
+   Room image slider modal
+   - Uses each room's photos from the media manifest (rooms.<data-room>); the catalog `images` if it has none
+   - Builds one modal dynamically: main image with crossfade, caption, counter and a thumbnail strip
+   - Close by X, click outside, or Esc. Keyboard left/right navigation.
+   ========================= */
+
+   (function () {
+    // Find all room images (existing structure)
+    const roomCards = document.querySelectorAll('.room-card');
+  
+    if (!roomCards || roomCards.length === 0) return;
+  
     // Create modal DOM once
     const modal = document.createElement('div');
     modal.className = 'room-slider-modal';
-    modal.setAttribute('role', 'dialog');
-    modal.setAttribute('aria-hidden', 'true');
     modal.innerHTML = `
       <div class="room-slider-container" role="document">
+        <h2 class="visually-hidden" id="roomSliderTitle"></h2>
         <div class="room-slider-imagewrap">
-          <img class="room-slider-main" src="" alt="Room image 1">
-          <img class="room-slider-main room-slider-ghost hide" src="" alt="Room image 2">
+          <img class="room-slider-main" src="" alt="" decoding="async">
+          <img class="room-slider-main room-slider-ghost hide" src="" alt="" aria-hidden="true">
         </div>
-        <button class="room-slider-prev" aria-label="Previous image">&#10094;</button>
-        <button class="room-slider-next" aria-label="Next image">&#10095;</button>
-        <div class="room-slider-close" aria-label="Close gallery">&times;</div>
+        <button type="button" class="room-slider-prev" data-i18n-aria-label="gallery.prev" aria-label="${t('gallery.prev')}">&#10094;</button>
+        <button type="button" class="room-slider-next" data-i18n-aria-label="gallery.next" aria-label="${t('gallery.next')}">&#10095;</button>
+        <button type="button" class="room-slider-close" data-i18n-aria-label="gallery.close" aria-label="${t('gallery.close')}">&times;</button>
+        <button type="button" class="room-slider-fullscreen fullscreen-toggle"><i class="fas fa-expand" aria-hidden="true"></i></button>
       </div>
+      <p class="room-slider-caption" aria-live="polite"></p>
       <div class="room-slider-counter" aria-hidden="true"></div>
+      <div class="room-slider-thumbs"></div>
     `;
     // Append to body
     document.body.appendChild(modal);
   
     // Element refs
-    const modalContainer = modal.querySelector('.room-slider-container');
     const mainImg = modal.querySelector('.room-slider-main');
     const ghostImg = modal.querySelector('.room-slider-ghost'); // used for crossfade
     const prevBtn = modal.querySelector('.room-slider-prev');
     const nextBtn = modal.querySelector('.room-slider-next');
     const closeBtn = modal.querySelector('.room-slider-close');
+    const captionEl = modal.querySelector('.room-slider-caption');
     const counterEl = modal.querySelector('.room-slider-counter');
+    const thumbsEl = modal.querySelector('.room-slider-thumbs');
+    const titleEl = modal.querySelector('#roomSliderTitle');
+
+    // swipe / pinch / double-tap on the photo, fullscreen for the whole slider
+    const gestures = createGestureController(modal.querySelector('.room-slider-imagewrap'), mainImg, {
+      onSwipe: (direction) => showIndex(direction === 'next' ? idx + 1 : idx - 1),
+      fullscreenButton: modal.querySelector('.room-slider-fullscreen'),
+      fullscreenTarget: modal
+    });
+
+    registerDialog(modal, {
+      labelledBy: 'roomSliderTitle',
+      initialFocus: '.room-slider-next', // focus for keyboard nav
+      closeButtons: [closeBtn],
+      onClose: () => {
+        modal.classList.remove('open');
+        gestures.exitFullscreen();
+        gestures.reset();
+      }
+    });
   
     // State
-    let gallery = []; // array of URLs for current room
+    let gallery = []; // manifest entries ({ src, thumb, caption, alt }) for the current room
     let idx = 0;
+
+    function altFor(item, index) {
+      return mediaText(item.alt) || mediaText(item.caption) || t('gallery.roomImage', { n: index + 1 });
+    }
   
-    // Helper: open modal for a given gallery (array of src), start index 0
-    function openGallery(srcArray, startIndex = 0, altText = '') {
-      if (!Array.isArray(srcArray) || srcArray.length === 0) return;
-      gallery = srcArray.slice(); // clone
+    // Helper: open modal for a room's photos, starting at startIndex
+    function openGallery(items, startIndex = 0, title = '') {
+      if (!Array.isArray(items) || items.length === 0) return;
+      gallery = items.slice(); // clone
       idx = Math.min(Math.max(0, startIndex), gallery.length - 1);
       // initial set
-      mainImg.src = gallery[idx];
-      mainImg.alt = altText || `Room image ${idx + 1}`;
+      mainImg.src = gallery[idx].src;
+      mainImg.alt = altFor(gallery[idx], idx);
+      titleEl.textContent = title || mainImg.alt;
       ghostImg.classList.add('hide');
-      updateCounter();
-      // show modal
+      gestures.reset();
+      prevBtn.hidden = nextBtn.hidden = gallery.length < 2;
+      renderThumbs();
+      updateDetails();
+      // show modal (the dialog manager handles focus and the scroll lock)
       modal.classList.add('open');
-      modal.setAttribute('aria-hidden', 'false');
-      // focus for keyboard nav
-      nextBtn.focus();
-      // trap scroll
-      document.documentElement.style.overflow = 'hidden';
-      document.body.style.overflow = 'hidden';
+      openDialog(modal);
     }
-  
-    // Helper: close modal
-    function closeGallery() {
-      modal.classList.remove('open');
-      modal.setAttribute('aria-hidden', 'true');
-      document.documentElement.style.overflow = '';
-      document.body.style.overflow = '';
+
+    // Thumbnail strip: small images load lazily, only once the strip scrolls them into view
+    function renderThumbs() {
+      thumbsEl.hidden = gallery.length < 2;
+      thumbsEl.innerHTML = gallery.map((item, i) => `
+        <button type="button" class="room-slider-thumb" data-index="${i}" aria-label="${escapeHtml(altFor(item, i))}">
+          <img src="${escapeHtml(item.thumb || item.src)}" alt="" loading="lazy" decoding="async">
+        </button>`).join('');
     }
   
-    // Update counter text
-    function updateCounter() {
+    // Caption, counter, active thumbnail and preloading follow the current index
+    function updateDetails() {
+      const caption = mediaText(gallery[idx].caption);
+      captionEl.textContent = caption;
+      captionEl.hidden = !caption;
       counterEl.textContent = `${idx + 1} / ${gallery.length}`;
+      thumbsEl.querySelectorAll('.room-slider-thumb').forEach((thumb, i) => {
+        thumb.classList.toggle('active', i === idx);
+        if (i === idx) {
+          thumb.setAttribute('aria-current', 'true');
+          if (thumb.scrollIntoView) thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        } else {
+          thumb.removeAttribute('aria-current');
+        }
+      });
+      preloadNeighbours(gallery, idx);
     }
   
     // Crossfade to new index
     function showIndex(newIndex) {
-      if (newIndex === idx) return;
       newIndex = (newIndex + gallery.length) % gallery.length;
+      if (newIndex === idx) return;
+      gestures.reset();
       // set ghost to current visible, set main to new one, then crossfade
       ghostImg.src = mainImg.src;
-      ghostImg.alt = mainImg.alt;
       ghostImg.classList.remove('hide'); // visible (opacity 1)
       // a tiny delay to ensure browser registers change (helps transitions)
       setTimeout(() => {
-        mainImg.src = gallery[newIndex];
-        mainImg.alt = `Room image ${newIndex + 1}`;
+        mainImg.src = gallery[newIndex].src;
+        mainImg.alt = altFor(gallery[newIndex], newIndex);
         // hide ghost (fade out) after small delay
         setTimeout(() => {
           ghostImg.classList.add('hide');
         }, 40);
       }, 8);
       idx = newIndex;
-      updateCounter();
+      updateDetails();
     }
   
     // Prev/Next handlers
@@ -511,197 +3441,742 @@ if (modalForm) {
       e.stopPropagation();
       showIndex(idx + 1);
     });
-  
-    // Close handlers
-    closeBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      closeGallery();
-    });
-  
-    // click outside to close (on overlay)
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) closeGallery();
+    thumbsEl.addEventListener('click', (e) => {
+      const thumb = e.target.closest('.room-slider-thumb');
+      if (thumb) showIndex(Number(thumb.dataset.index));
     });
   
-    // keyboard nav
+    // keyboard nav (Escape is handled by the dialog manager)
     document.addEventListener('keydown', (e) => {
-      if (!modal.classList.contains('open')) return;
-      if (e.key === 'Escape') closeGallery();
+      if (!isTopDialog(modal)) return;
       if (e.key === 'ArrowLeft') showIndex(idx - 1);
       if (e.key === 'ArrowRight') showIndex(idx + 1);
     });
   
-    // For each room card, attach click to open gallery.
-    // Use the room's existing image src as the base: duplicate it 4x for the gallery.
+    // For each room card, attach click to open that room's photos from the manifest
     roomCards.forEach(card => {
       const imgEl = card.querySelector('.room-img img');
       if (!imgEl) return;
-      const src = imgEl.src;
-      const alt = imgEl.alt || card.querySelector('h3')?.textContent || 'Room image';
+      // read at click time: the manifest may have loaded since, and titles/alt text follow the language switcher
+      const titleFor = () => card.querySelector('h3')?.textContent || imgEl.alt;
+      const photosFor = () => {
+        const photos = getMediaList('rooms', card.dataset.room);
+        if (photos.length) return photos;
+        const room = getRoom(card.dataset.room);
+        const images = room && room.images.length ? room.images : [imgEl.src];
+        return images.map(src => ({ src, alt: imgEl.alt }));
+      };
       card.addEventListener('click', (e) => {
         // prevent clicks on booking button inside card from opening the gallery
         const insideBookingBtn = e.target.closest('.room-open');
         if (insideBookingBtn) return; // let the booking button behave separately
-  
-        // build gallery of 4 duplicates for now
-        const galleryArray = [src, src, src, src];
-        openGallery(galleryArray, 0, alt);
+        openGallery(photosFor(), 0, titleFor());
       });
   
-      // Also make the image specifically clickable (more precise)
+      // Also make the image specifically clickable (more precise) — and reachable from the keyboard
       imgEl.style.cursor = 'pointer';
-      imgEl.addEventListener('click', (ev) => {
+      makeActivatable(imgEl, (ev) => {
         ev.stopPropagation();
-        const galleryArray = [src, src, src, src];
-        openGallery(galleryArray, 0, alt);
+        openGallery(photosFor(), 0, titleFor());
       });
     });
   
   })();
   
 
-// ==========================
-// DINING MENU IMAGE POPUP
-// ==========================
-
+// ==============================
+// Dining menu (data/menu.json): a searchable, filterable list in #menuModal
+// - mealTimes: { id: { from, to } } in hotel time; `to` may be past midnight (the bar closes at 01:00)
+// - sections[]: { id, title, items[] }; each item: { name, description, price (naira), spice (0–3),
+//   dietary[] (tags such as 'vegan'), served[] (mealTimes ids) }
+// - title/name/description are plain strings or one string per language, like the media manifest
+// - Prices follow the display currency; if the file cannot be loaded the menu photos are shown instead
+// ==============================
 const viewMenuBtn = document.getElementById('viewMenuBtn');
 const menuModal = document.getElementById('menuModal');
 const closeMenu = document.querySelector('.close-menu');
+let diningMenu = null;
+let diningMenuRequest = null;
+
+// Loaded on first open; a failed load is tried again the next time the menu is opened
+function loadDiningMenu() {
+  if (!diningMenuRequest) {
+    diningMenuRequest = fetch(MENU_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(data => {
+        diningMenu = data;
+        return diningMenu;
+      })
+      .catch(err => {
+        console.warn('Dining menu could not be loaded; showing the menu photos instead.', err);
+        diningMenuRequest = null;
+        return null;
+      });
+  }
+  return diningMenuRequest;
+}
+
+function isServedAt(mealTimeId, time) {
+  const hours = diningMenu.mealTimes[mealTimeId];
+  if (!hours) return false;
+  return hours.from <= hours.to ? (time >= hours.from && time < hours.to) : (time >= hours.from || time < hours.to);
+}
+
+function menuSectionTitle(section) {
+  return lookupString(`menu.section.${section.id}`) ? t(`menu.section.${section.id}`) : mediaText(section.title);
+}
+
+function menuTagLabel(tag) {
+  return lookupString(`menu.tag.${tag}`) ? t(`menu.tag.${tag}`) : tag;
+}
+
+// Lower case without accents, so "ofe" finds "Ọfe" and "cafe" finds "Café"
+function foldSearchText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function menuItemSearchText(item, section) {
+  // every language the data has, so a guest can search in English while the site is in French
+  const texts = [item.name, item.description, section.title].map(value =>
+    (value && typeof value === 'object' ? Object.values(value).join(' ') : value || ''));
+  texts.push(menuSectionTitle(section), ...(item.dietary || []).map(menuTagLabel));
+  return foldSearchText(texts.join(' '));
+}
+
+function readMenuFilters() {
+  return {
+    words: foldSearchText(document.getElementById('menuSearch').value).split(/\s+/).filter(Boolean),
+    section: document.getElementById('menuSection').value,
+    mealTime: document.getElementById('menuMealTime').value, // '', 'now' or a mealTimes id
+    maxSpice: document.getElementById('menuSpice').value,
+    dietary: Array.from(document.querySelectorAll('#menuDietary input:checked'), input => input.value)
+  };
+}
+
+function menuItemMatches(item, section, filters, time) {
+  const served = item.served || [];
+  if (filters.section && section.id !== filters.section) return false;
+  if (filters.mealTime === 'now' && !served.some(id => isServedAt(id, time))) return false;
+  if (filters.mealTime && filters.mealTime !== 'now' && !served.includes(filters.mealTime)) return false;
+  if (filters.maxSpice !== '' && (item.spice || 0) > Number(filters.maxSpice)) return false;
+  if (!filters.dietary.every(tag => (item.dietary || []).includes(tag))) return false;
+  const text = menuItemSearchText(item, section);
+  return filters.words.every(word => text.includes(word));
+}
+
+// Filter controls come from the data (sections, meal times, the dietary tags in use); current choices are kept
+function renderMenuFilters() {
+  const setOptions = (select, options) => {
+    const previous = select.value;
+    select.innerHTML = options.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+    if (options.some(([value]) => value === previous)) select.value = previous;
+  };
+
+  setOptions(document.getElementById('menuSection'), [['', t('menu.allSections')]]
+    .concat(diningMenu.sections.map(section => [section.id, menuSectionTitle(section)])));
+  setOptions(document.getElementById('menuMealTime'), [['', t('menu.anyTime')], ['now', t('menu.now')]]
+    .concat(Object.keys(diningMenu.mealTimes).map(id => [id, t('menu.mealHours', {
+      meal: t(`menu.meal.${id}`), from: diningMenu.mealTimes[id].from, to: diningMenu.mealTimes[id].to
+    })])));
+  setOptions(document.getElementById('menuSpice'), [['', t('menu.anySpice')], ['0', t('menu.spiceMax.0')],
+    ['1', t('menu.spiceMax.1')], ['2', t('menu.spiceMax.2')]]);
+
+  const dietaryEl = document.getElementById('menuDietary');
+  const checked = Array.from(dietaryEl.querySelectorAll('input:checked'), input => input.value);
+  const tags = [];
+  diningMenu.sections.forEach(section => section.items.forEach(item => (item.dietary || []).forEach(tag => {
+    if (!tags.includes(tag)) tags.push(tag);
+  })));
+  dietaryEl.querySelectorAll('label').forEach(label => label.remove());
+  tags.forEach(tag => {
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" value="${escapeHtml(tag)}"${checked.includes(tag) ? ' checked' : ''}> ${escapeHtml(menuTagLabel(tag))}`;
+    dietaryEl.appendChild(label);
+  });
+}
+
+function renderMenuItem(item) {
+  const tags = (item.dietary || []).map(tag => `<li class="menu-tag">${escapeHtml(menuTagLabel(tag))}</li>`);
+  if (item.spice) {
+    const peppers = '<i class="fas fa-pepper-hot" aria-hidden="true"></i>'.repeat(item.spice);
+    tags.push(`<li class="menu-tag menu-spice">${peppers} ${escapeHtml(t(`menu.spice.${item.spice}`))}</li>`);
+  }
+  const served = (item.served || []).map(id => t(`menu.meal.${id}`)).join(' · ');
+  return `
+    <li class="menu-item">
+      <div class="menu-item-head">
+        <h4>${escapeHtml(mediaText(item.name))}</h4>
+        <span class="menu-price">${formatCurrency(item.price)}</span>
+      </div>
+      ${item.description ? `<p>${escapeHtml(mediaText(item.description))}</p>` : ''}
+      ${tags.length ? `<ul class="menu-tags">${tags.join('')}</ul>` : ''}
+      ${served ? `<p class="menu-served">${escapeHtml(t('menu.served', { times: served }))}</p>` : ''}
+    </li>`;
+}
+
+function renderDiningMenu() {
+  const filters = readMenuFilters();
+  const time = hotelNow().time;
+  let count = 0;
+  document.getElementById('menuList').innerHTML = diningMenu.sections.map(section => {
+    const items = section.items.filter(item => menuItemMatches(item, section, filters, time));
+    count += items.length;
+    if (!items.length) return '';
+    return `
+      <section class="menu-section" aria-labelledby="menuSection-${escapeHtml(section.id)}">
+        <h3 id="menuSection-${escapeHtml(section.id)}">${escapeHtml(menuSectionTitle(section))}</h3>
+        <ul class="menu-items">${items.map(renderMenuItem).join('')}</ul>
+      </section>`;
+  }).join('');
+  document.getElementById('menuStatus').textContent = count ? t('menu.count', { n: count }) : t('menu.empty');
+}
+
+// Language and currency changes re-render an already loaded menu
+function refreshDiningMenu() {
+  if (!diningMenu || !menuModal) return;
+  renderMenuFilters();
+  renderDiningMenu();
+}
+
+function openDiningMenu() {
+  const statusEl = document.getElementById('menuStatus');
+  const filtersEl = document.getElementById('menuFilters');
+  if (!diningMenu) statusEl.textContent = t('menu.loading');
+  openDialog(menuModal);
+  loadDiningMenu().then(menu => {
+    filtersEl.hidden = !menu;
+    // the printed-menu photos stay available below the list, and open by themselves when there is no list
+    document.getElementById('menuPhotos').open = !menu;
+    if (!menu) {
+      document.getElementById('menuList').innerHTML = '';
+      statusEl.textContent = t('menu.unavailable');
+      return;
+    }
+    refreshDiningMenu();
+  });
+}
+
+if (menuModal) {
+  // Close button, clicking outside the panel and Escape all go through the dialog manager
+  registerDialog(menuModal, { labelledBy: 'menuModalTitle', closeButtons: [closeMenu] });
+  const filtersEl = document.getElementById('menuFilters');
+  filtersEl.addEventListener('input', () => diningMenu && renderDiningMenu());
+  filtersEl.addEventListener('change', () => diningMenu && renderDiningMenu());
+  filtersEl.addEventListener('submit', (e) => e.preventDefault());
+}
 
-// Open the menu modal
 if (viewMenuBtn) {
   viewMenuBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    menuModal.style.display = 'flex';
-    document.body.style.overflow = 'hidden';
+    openDiningMenu();
+  });
+}
+
+// ==============================
+// Amenity details: each amenity tile opens #amenityModal with its content from data/amenities.json
+// - Keyed by the tile's data-amenity: { summary, hours[] { days, from, to }, prices[] { label, price, note? },
+//   rules[], slots? } — text is a plain string or one string per language, like the media manifest
+// - Prices are in naira and shown in the display currency; 0 shows as free unless the entry has a `note`
+// - Photos are amenities.<data-amenity> in the media manifest; the thumbnails switch the large photo
+// - Until the file loads (or if it cannot be fetched) the popup shows the tile's title and a photo only
+// ==============================
+const amenityModal = document.getElementById('amenityModal');
+
+// Shown when the manifest has no photo for an amenity (or has not loaded)
+const AMENITY_PLACEHOLDER_IMAGE = "https://images.unsplash.com/photo-1505691723518-36a5ac3be353?auto=format&fit=crop&w=900&q=80";
+
+let amenityContent = null;
+let amenityContentRequest = null;
+let openAmenity = null; // the .amenity-item tile whose details are on screen
+let amenityPhotoIndex = 0;
+
+// Loaded on first open; a failed load is tried again the next time a tile is opened
+function loadAmenityContent() {
+  if (!amenityContentRequest) {
+    amenityContentRequest = fetch(AMENITIES_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(data => {
+        amenityContent = data;
+        return amenityContent;
+      })
+      .catch(err => {
+        console.warn('Amenity details could not be loaded; showing titles and photos only.', err);
+        amenityContentRequest = null;
+        return null;
+      });
+  }
+  return amenityContentRequest;
+}
+
+function formatOpeningHours(hours) {
+  return hours.from === '00:00' && hours.to === '24:00' ? t('amenity.allDay') : `${hours.from}–${hours.to}`;
+}
+
+function formatAmenityPrice(entry) {
+  if (entry.note) return mediaText(entry.note);
+  return entry.price ? formatCurrency(entry.price) : t('amenity.free');
+}
+
+function renderAmenityInfo(content) {
+  const list = (items, render) => (items && items.length ? items.map(render).join('') : '');
+  const hours = list(content.hours, h => `<dt>${escapeHtml(mediaText(h.days))}</dt><dd>${escapeHtml(formatOpeningHours(h))}</dd>`);
+  const prices = list(content.prices, p => `<dt>${escapeHtml(mediaText(p.label))}</dt><dd>${escapeHtml(formatAmenityPrice(p))}</dd>`);
+  const rules = list(content.rules, rule => `<li>${escapeHtml(mediaText(rule))}</li>`);
+  return `
+    ${content.summary ? `<p class="amenity-summary">${escapeHtml(mediaText(content.summary))}</p>` : ''}
+    ${hours ? `<h4>${escapeHtml(t('amenity.hours'))}</h4><dl class="amenity-facts">${hours}</dl>` : ''}
+    ${prices ? `<h4>${escapeHtml(t('amenity.prices'))}</h4><dl class="amenity-facts">${prices}</dl>` : ''}
+    ${rules ? `<h4>${escapeHtml(t('amenity.rules'))}</h4><ul class="amenity-rules">${rules}</ul>` : ''}`;
+}
+
+function showAmenityPhoto(photos, index, title) {
+  amenityPhotoIndex = index;
+  const image = document.getElementById('amenityImage');
+  const photo = photos[index];
+  image.src = photo ? photo.src : AMENITY_PLACEHOLDER_IMAGE;
+  image.alt = (photo && mediaText(photo.alt)) || title;
+  document.querySelectorAll('#amenityThumbs button').forEach((btn, i) => {
+    btn.setAttribute('aria-pressed', i === index ? 'true' : 'false');
+  });
+}
+
+// Everything in the popup for the amenity on screen (re-run on language and currency changes)
+function renderAmenityDetail() {
+  if (!openAmenity) return;
+  const key = openAmenity.getAttribute('data-amenity');
+  const title = amenityTitleOf(openAmenity);
+  const photos = getMediaList('amenities', key);
+  const content = amenityContent && amenityContent[key];
+
+  document.getElementById('amenityTitle').textContent = title;
+  document.getElementById('amenityThumbs').innerHTML = photos.length > 1
+    ? photos.map((photo, i) => `<button type="button" aria-label="${escapeHtml(t('amenity.showPhoto', { n: i + 1 }))}"><img src="${escapeHtml(photo.thumb || photo.src)}" alt=""></button>`).join('')
+    : '';
+  document.querySelectorAll('#amenityThumbs button').forEach((btn, i) => {
+    btn.addEventListener('click', () => showAmenityPhoto(photos, i, title));
+  });
+  showAmenityPhoto(photos, Math.min(amenityPhotoIndex, Math.max(photos.length - 1, 0)), title);
+  document.getElementById('amenityInfo').innerHTML = content ? renderAmenityInfo(content) : '';
+  renderSlotForm(content && content.slots && bookingQuoteLoaded ? key : null);
+}
+
+function amenityTitleOf(item) {
+  return item.querySelector('h4') ? item.querySelector('h4').textContent : item.getAttribute('data-amenity');
+}
+
+function openAmenityDetail(item) {
+  openAmenity = item;
+  amenityPhotoIndex = 0;
+  document.getElementById('slotResult').hidden = true;
+  renderAmenityDetail();
+  openDialog(amenityModal);
+  loadAmenityContent().then(() => {
+    if (openAmenity === item) renderAmenityDetail();
   });
 }
 
-// Close the modal when clicking close button
-if (closeMenu) {
-  closeMenu.addEventListener('click', () => {
-    menuModal.style.display = 'none';
-    document.body.style.overflow = '';
+// Language and currency changes re-render the amenity on screen
+function refreshAmenityDetail() {
+  if (amenityModal && isDialogOpen(amenityModal)) renderAmenityDetail();
+}
+
+if (amenityModal) {
+  registerDialog(amenityModal, {
+    labelledBy: 'amenityTitle',
+    closeButtons: [amenityModal.querySelector('.close')],
+    onClose: () => { openAmenity = null; }
+  });
+  document.querySelectorAll('.amenity-item').forEach(item => {
+    makeActivatable(item, () => openAmenityDetail(item));
   });
 }
 
-// Close when clicking outside images
-menuModal.addEventListener('click', (e) => {
-  if (e.target === menuModal) {
-    menuModal.style.display = 'none';
-    document.body.style.overflow = '';
+// ==============================
+// Spa and fitness slot reservations (amenities with `slots` in data/amenities.json)
+// - slots: { open, close, minutes, capacity (guests per slot), maxGuests (per reservation), daysAhead,
+//   services[] { id, name, price (naira per guest) }, taken[] { date, time, guests } }
+// - Places left in a slot = capacity − `taken` in the file − reservations made on this device; as with room
+//   inventory, the amenity desk remains the final check
+// - A reservation is sent exactly like a room booking (submitBooking: same transport, retries, idempotency key,
+//   offline queue) with kind: 'slot', and kept on this device under wizmore.slotReservations
+// - Treatments and sessions are paid at the desk on the day, so there is no deposit
+// ==============================
+const SLOT_RESERVATIONS_KEY = 'wizmore.slotReservations';
+const slotForm = document.getElementById('slotForm');
+let slotAmenityKey = null; // the amenity whose slots the form shows
+let sendingSlot = false;
+
+function readSlotReservations() {
+  try {
+    return JSON.parse(localStorage.getItem(SLOT_RESERVATIONS_KEY) || '[]');
+  } catch (err) {
+    return [];
   }
-});
+}
 
-// Close with Escape key
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape' && menuModal.style.display === 'flex') {
-    menuModal.style.display = 'none';
-    document.body.style.overflow = '';
+function storeSlotReservation(reservation) {
+  const reservations = readSlotReservations().filter(r => r.reference !== reservation.reference);
+  reservations.push(reservation);
+  localStorage.setItem(SLOT_RESERVATIONS_KEY, JSON.stringify(reservations));
+}
+
+function updateSlotReservation(reference, changes) {
+  const reservations = readSlotReservations();
+  const reservation = reservations.find(r => r.reference === reference);
+  if (!reservation) return null;
+  Object.assign(reservation, changes);
+  localStorage.setItem(SLOT_RESERVATIONS_KEY, JSON.stringify(reservations));
+  return reservation;
+}
+
+function describeSlotReservation(reservation) {
+  return `${reservation.serviceName} · ${formatLongDate(reservation.date)} ${reservation.time} · ${t('slot.guestCount', { n: reservation.guests })}`;
+}
+
+// Start times from `open`, every `minutes`, for slots that end by `close`
+function slotTimes(slots) {
+  const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+  const times = [];
+  for (let m = toMinutes(slots.open); m + slots.minutes <= toMinutes(slots.close); m += slots.minutes) {
+    times.push(`${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`);
   }
-});
+  return times;
+}
 
-document.addEventListener('DOMContentLoaded', function () {
-  const amenities = document.querySelectorAll('.amenity-item');
-  const modal = document.getElementById('amenityModal');
-  const closeBtn = modal.querySelector('.close');
-  const modalImg = document.getElementById('amenityImage');
-  const modalTitle = document.getElementById('amenityTitle');
-
-  // Temporary placeholder image (use your own later)
-  const placeholderImage = "https://images.unsplash.com/photo-1505691723518-36a5ac3be353?auto=format&fit=crop&w=900&q=80";
-
-  amenities.forEach(item => {
-    item.addEventListener('click', () => {
-      const title = item.getAttribute('data-amenity');
-      modalTitle.textContent = title;
-      modalImg.src = placeholderImage;
-      modal.style.display = 'flex';
-    });
+function slotPlacesLeft(amenityKey, date, time) {
+  const slots = amenityContent[amenityKey].slots;
+  const guestsIn = list => list.reduce((sum, r) => sum + (r.guests || 1), 0);
+  const taken = guestsIn((slots.taken || []).filter(r => r.date === date && r.time === time))
+    + guestsIn(readSlotReservations().filter(r => r.amenity === amenityKey && r.date === date && r.time === time));
+  return Math.max(0, slots.capacity - taken);
+}
+
+// First and last day a slot can be reserved (hotel time)
+function slotDateRange(slots) {
+  const today = hotelNow().date;
+  return { from: today, to: isoDate(addDays(parseISO(today), slots.daysAhead - 1)) };
+}
+
+function selectedSlotService() {
+  const slots = amenityContent[slotAmenityKey].slots;
+  return slots.services.find(service => service.id === document.getElementById('slotService').value) || slots.services[0];
+}
+
+// The times of the chosen day as radio buttons: places left, full ones disabled, past ones left out
+function renderSlotOptions() {
+  const optionsEl = document.getElementById('slotOptions');
+  const date = document.getElementById('slotDate').value;
+  const guests = Number(document.getElementById('slotGuests').value) || 1;
+  const previous = (slotForm.querySelector('input[name="slotTime"]:checked') || {}).value;
+  const now = hotelNow();
+  const times = parseISO(date)
+    ? slotTimes(amenityContent[slotAmenityKey].slots).filter(time => date > now.date || (date === now.date && time > now.time))
+    : [];
+
+  optionsEl.innerHTML = times.map((time, i) => {
+    const left = slotPlacesLeft(slotAmenityKey, date, time);
+    const fits = left >= guests;
+    return `
+      <label class="slot-option${fits ? '' : ' is-full'}">
+        <input type="radio" name="slotTime" id="slotTime-${i}" value="${time}"${fits ? '' : ' disabled'}${fits && time === previous ? ' checked' : ''}>
+        <span>${time}</span>
+        <small>${escapeHtml(left ? t('slot.left', { n: left }) : t('slot.full'))}</small>
+      </label>`;
+  }).join('') || `<p class="slot-none">${escapeHtml(t(parseISO(date) ? 'slot.none' : 'slot.pickDate'))}</p>`;
+}
+
+function renderSlotTotal() {
+  const guests = Number(document.getElementById('slotGuests').value) || 1;
+  const total = selectedSlotService().price * guests;
+  document.getElementById('slotTotal').textContent = total
+    ? `${t('slot.total', { total: formatCurrency(total) })} ${t('slot.payAtDesk')}`
+    : t('slot.noCharge');
+}
+
+// Shows the form for an amenity with slots (keeping what the guest entered), or hides it (null)
+function renderSlotForm(amenityKey) {
+  if (!slotForm) return;
+  slotForm.hidden = !amenityKey;
+  if (!amenityKey) {
+    slotAmenityKey = null;
+    return;
+  }
+  const slots = amenityContent[amenityKey].slots;
+  const serviceSelect = document.getElementById('slotService');
+  const dateInput = document.getElementById('slotDate');
+  const guestsInput = document.getElementById('slotGuests');
+  const range = slotDateRange(slots);
+  if (slotAmenityKey !== amenityKey) {
+    slotForm.reset();
+    delete slotForm.dataset.idempotencyKey;
+    delete slotForm.dataset.bookingRef;
+  }
+  slotAmenityKey = amenityKey;
+
+  const service = serviceSelect.value;
+  serviceSelect.innerHTML = slots.services.map(s => {
+    const price = s.price ? formatCurrency(s.price) : t('amenity.free');
+    return `<option value="${escapeHtml(s.id)}">${escapeHtml(mediaText(s.name))} — ${escapeHtml(price)}</option>`;
+  }).join('');
+  if (slots.services.some(s => s.id === service)) serviceSelect.value = service;
+  dateInput.min = range.from;
+  dateInput.max = range.to;
+  if (!dateInput.value) dateInput.value = range.from;
+  guestsInput.max = slots.maxGuests;
+  renderSlotOptions();
+  renderSlotTotal();
+}
+
+// Date, guests and time (name, email and phone go through the booking field rules)
+function checkSlotFields() {
+  const slots = amenityContent[slotAmenityKey].slots;
+  const dateInput = document.getElementById('slotDate');
+  const guestsInput = document.getElementById('slotGuests');
+  const range = slotDateRange(slots);
+  let firstInvalid = null;
+  const check = (input, message) => {
+    showFieldError(input, message);
+    if (message && !firstInvalid) firstInvalid = input;
+  };
+
+  const date = dateInput.value;
+  check(dateInput, parseISO(date) && date >= range.from && date <= range.to
+    ? '' : t('slot.dateRange', { from: formatLongDate(range.from), to: formatLongDate(range.to) }));
+  check(guestsInput, bookingFieldRules.count(guestsInput.value.trim(), guestsInput));
+  const chosen = slotForm.querySelector('input[name="slotTime"]:checked');
+  const firstTime = slotForm.querySelector('input[name="slotTime"]');
+  if (firstTime) {
+    const fits = chosen && slotPlacesLeft(slotAmenityKey, date, chosen.value) >= Number(guestsInput.value);
+    check(chosen || firstTime, fits ? '' : t(chosen ? 'slot.taken' : 'slot.chooseTime'));
+  } else if (!firstInvalid) {
+    firstInvalid = dateInput;
+  }
+  return firstInvalid;
+}
+
+function buildSlotReservation() {
+  const service = selectedSlotService();
+  const guests = Number(document.getElementById('slotGuests').value);
+  return {
+    kind: 'slot',
+    reference: slotForm.dataset.bookingRef,
+    idempotencyKey: slotForm.dataset.idempotencyKey,
+    source: 'amenity',
+    createdAt: new Date().toISOString(),
+    guest: {
+      name: fieldValue('slotName'),
+      email: fieldValue('slotEmail'),
+      phone: normalizePhone(fieldValue('slotPhone'))
+    },
+    amenity: slotAmenityKey,
+    service: service.id,
+    serviceName: mediaText(service.name),
+    date: document.getElementById('slotDate').value,
+    time: slotForm.querySelector('input[name="slotTime"]:checked').value,
+    minutes: amenityContent[slotAmenityKey].slots.minutes,
+    guests,
+    total: service.price * guests,
+    language: currentLanguage
+  };
+}
+
+if (slotForm) {
+  const spamGuard = setupSpamGuard(slotForm);
+  const validator = setupFieldValidation(slotForm, { name: 'slotName', email: 'slotEmail', phone: 'slotPhone' });
+  const submitBtn = slotForm.querySelector('button[type="submit"]');
+
+  // any edit makes it a different reservation (see setupBookingSubmission)
+  ['input', 'change'].forEach(type => slotForm.addEventListener(type, (e) => {
+    if (!sendingSlot) {
+      delete slotForm.dataset.idempotencyKey;
+      delete slotForm.dataset.bookingRef;
+    }
+    if (!slotAmenityKey) return;
+    if (e.target.id === 'slotDate' || e.target.id === 'slotGuests') renderSlotOptions();
+    if (e.target.id === 'slotService' || e.target.id === 'slotGuests') renderSlotTotal();
+    if (e.target.name === 'slotTime') showFieldError(slotForm.querySelector('input[name="slotTime"]'), '');
+  }));
+
+  slotForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (sendingSlot || !slotAmenityKey) return;
+    const fieldsInvalid = validator.validateAll();
+    const firstInvalid = checkSlotFields() || fieldsInvalid;
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return;
+    }
+
+    if (!slotForm.dataset.idempotencyKey) {
+      slotForm.dataset.idempotencyKey = newIdempotencyKey();
+      slotForm.dataset.bookingRef = newBookingReference();
+    }
+    const blocked = spamGuard.check(slotForm.dataset.idempotencyKey);
+    if (blocked) {
+      showBookingToast('error', blocked);
+      return;
+    }
+    const reservation = buildSlotReservation();
+    recordSubmission(reservation.idempotencyKey);
+    const resultEl = document.getElementById('slotResult');
+    sendingSlot = true;
+    submitBtn.disabled = true;
+    showBookingToast('progress', t('toast.sending'));
+
+    sendOrQueueBooking(reservation)
+      .then(delivery => {
+        reservation.delivery = delivery;
+        storeSlotReservation(reservation);
+        if (delivery === 'sent') hideBookingToast();
+        else showBookingToast('pending', t('toast.pending'));
+        resultEl.textContent = t(delivery === 'sent' ? 'slot.done' : 'slot.donePending', {
+          details: describeSlotReservation(reservation),
+          reference: reservation.reference
+        });
+        resultEl.hidden = false;
+        delete slotForm.dataset.idempotencyKey;
+        delete slotForm.dataset.bookingRef;
+        slotForm.reset();
+        renderSlotForm(slotAmenityKey);
+        resultEl.focus();
+      })
+      .catch(err => {
+        console.error('Slot reservation failed:', err);
+        showBookingToast('error', t('toast.failed'));
+      })
+      .then(() => {
+        sendingSlot = false;
+        submitBtn.disabled = false;
+      });
   });
+}
+
+// ==============================
+// Hotel gallery popup: grid images and "View More" open #galleryModal; arrows (buttons or ←/→) step through
+// - Photos come from the media manifest (`gallery`, the first five in grid order); the grid images alone until it loads
+// - Swipe, pinch/double-tap zoom and fullscreen come from the shared gesture controller
+// ==============================
+const galleryModal = document.getElementById('galleryModal');
+const galleryModalImg = document.getElementById('galleryModalImg');
+const galleryCaption = document.getElementById('galleryCaption');
+let galleryImages = [];
+let galleryIndex = 0;
+let galleryGestures = null;
+
+function showGalleryImage(index) {
+  if (galleryGestures) galleryGestures.reset();
+  galleryIndex = (index + galleryImages.length) % galleryImages.length;
+  const item = galleryImages[galleryIndex];
+  const caption = mediaText(item.caption);
+  galleryModalImg.src = item.src;
+  galleryModalImg.alt = mediaText(item.alt) || caption || t('gallery.roomImage', { n: galleryIndex + 1 });
+  galleryCaption.textContent = caption;
+  galleryCaption.hidden = !caption;
+  preloadNeighbours(galleryImages, galleryIndex);
+}
 
-  closeBtn.addEventListener('click', () => modal.style.display = 'none');
-  window.addEventListener('click', e => {
-    if (e.target == modal) modal.style.display = 'none';
+function openGalleryModal(index) {
+  const photos = getMediaList('gallery');
+  galleryImages = photos.length
+    ? photos
+    : Array.from(document.querySelectorAll('.gallery-item img'), img => ({ src: img.src, alt: img.alt }));
+  if (!galleryImages.length) return;
+  showGalleryImage(index);
+  openDialog(galleryModal);
+}
+
+if (galleryModal) {
+  galleryGestures = createGestureController(document.getElementById('galleryStage'), galleryModalImg, {
+    onSwipe: (direction) => showGalleryImage(direction === 'next' ? galleryIndex + 1 : galleryIndex - 1),
+    fullscreenButton: document.getElementById('galleryFullscreen'),
+    fullscreenTarget: galleryModal
+  });
+  registerDialog(galleryModal, {
+    labelledBy: 'galleryModalTitle',
+    initialFocus: '#galleryNext',
+    closeButtons: [document.getElementById('galleryClose')],
+    onClose: () => {
+      galleryGestures.exitFullscreen();
+      galleryGestures.reset();
+    }
   });
-});
 
-document.addEventListener('DOMContentLoaded', function () {
-  const amenities = document.querySelectorAll('.amenity-item');
-  const modal = document.getElementById('amenityModal');
-  const closeBtn = modal.querySelector('.close');
-  const modalImg = document.getElementById('amenityImage');
-  const modalTitle = document.getElementById('amenityTitle');
-
-  const placeholderImage = "https://images.unsplash.com/photo-1505691723518-36a5ac3be353?auto=format&fit=crop&w=900&q=80";
-
-  amenities.forEach(item => {
-    item.addEventListener('click', () => {
-      const title = item.getAttribute('data-amenity');
-      modalTitle.textContent = title;
-      modalImg.src = placeholderImage;
-      modal.style.display = 'flex';
-    });
+  // When a gallery image is clicked
+  document.querySelectorAll('.gallery-item img').forEach((img, index) => {
+    makeActivatable(img, () => openGalleryModal(index));
   });
+  // When "View More" is clicked
+  const viewMoreBtn = document.getElementById('viewMoreBtn');
+  if (viewMoreBtn) viewMoreBtn.addEventListener('click', () => openGalleryModal(0));
 
-  closeBtn.addEventListener('click', () => modal.style.display = 'none');
-  window.addEventListener('click', e => {
-    if (e.target == modal) modal.style.display = 'none';
+  // Navigation
+  document.getElementById('galleryNext').addEventListener('click', () => showGalleryImage(galleryIndex + 1));
+  document.getElementById('galleryPrev').addEventListener('click', () => showGalleryImage(galleryIndex - 1));
+  document.addEventListener('keydown', (e) => {
+    if (!isTopDialog(galleryModal)) return;
+    if (e.key === 'ArrowLeft') showGalleryImage(galleryIndex - 1);
+    if (e.key === 'ArrowRight') showGalleryImage(galleryIndex + 1);
   });
-});
+}
 
-//deals button
-// const dealsBadge = document.getElementById('dealsBadge');
-// const dealsModal = document.getElementById('dealsModal');
-// const closeDeals = document.getElementById('closeDeals');
+// ==============================
+// Footer services popup: each service in the footer list opens #serviceModal with its photo (data-img)
+// ==============================
+const serviceModal = document.getElementById('serviceModal');
+
+if (serviceModal) {
+  const serviceImage = document.getElementById('serviceImage');
+  const serviceTitle = document.getElementById('serviceModalTitle');
+  registerDialog(serviceModal, {
+    labelledBy: 'serviceModalTitle',
+    closeButtons: [document.getElementById('closeServiceModal')]
+  });
+
+  document.querySelectorAll('.service-list li').forEach(item => {
+    makeActivatable(item, () => {
+      serviceTitle.textContent = item.textContent.trim();
+      serviceImage.src = item.getAttribute('data-img');
+      serviceImage.alt = serviceTitle.textContent;
+      openDialog(serviceModal);
+    });
+  });
+}
 
-// dealsBadge.addEventListener('click', () => {
-//     dealsModal.style.display = 'block';
-// });
+// ==============================
+// Deals badge: opens the normal booking modal with the featured promo code pre-applied
+// ==============================
+const dealsBadge = document.getElementById('dealsBadge');
+const featuredPromotion = getFeaturedPromotion(hotelNow().date);
 
-// closeDeals.addEventListener('click', () => {
-//     dealsModal.style.display = 'none';
-// });
+function renderDealsBadge() {
+  if (!dealsBadge || !featuredPromotion) return;
+  dealsBadge.querySelector('span').textContent = translateLabel(featuredPromotion.badge) || t('deals.badge');
+  dealsBadge.title = t('deals.title', { label: translateLabel(featuredPromotion.label), code: featuredPromotion.code });
+}
 
-// window.addEventListener('click', (e) => {
-//     if (e.target === dealsModal) dealsModal.style.display = 'none';
-// });
+if (dealsBadge && featuredPromotion) {
+  renderDealsBadge();
+  dealsBadge.hidden = false;
+  dealsBadge.addEventListener('click', () => openBookingModal('', featuredPromotion.code));
+}
 
 
 
 // ==============================
 // Final notes for future tweaks (no action required now):
-// - The room rates shown inside the "Exquisite Accommodations" cards (the textual price inside each card) are static HTML.
-//   This script does not and will not change those card prices. Each "Book [Type]" button only pre-fills the modal.
+// - The "Exquisite Accommodations" cards, their prices (in the selected currency) and the room <select>s are
+//   rendered from roomCatalog. Each "Book [Type]" button only pre-fills the modal.
 // - The main booking form is independent; selecting a room there updates the main summary only.
-// - The modal booking form is independent; pre-filling it via a card button only affects the modal.
-// ==============================
-// === Add Terms & Conditions Captcha to all booking forms ===
-document.addEventListener("DOMContentLoaded", () => {
-  const allForms = document.querySelectorAll("form");
-
-  allForms.forEach(form => {
-    // Check if the form has a "Book" or "Confirm Reservation" button
-    const bookButton = form.querySelector("button[type='submit'], .btn");
-    if (bookButton && !form.querySelector(".terms-captcha")) {
-
-      // Create the terms div
-      const termsDiv = document.createElement("div");
-      termsDiv.classList.add("form-group", "terms-captcha");
-      termsDiv.innerHTML = `
-        <label style="display:flex;align-items:center;gap:8px;">
-          <input type="checkbox" id="termsCaptcha" required>
-          <span style="color:yellow; font-style:italic; font-size:14px;">
-            I agree that my booking is not fully secured until a 50% down payment is made.
-            Bookings are first-come, first-serve, and deposits are non-refundable after the stay expires.
-            Please contact Wizmore Hotel via WhatsApp, phone, or email to confirm your down payment.
-          </span>
-        </label>
-      `;
-
-      // Insert the terms div before the submit button
-      bookButton.parentNode.insertBefore(termsDiv, bookButton);
-    }
-  });
-});
+// - The modal booking form is independent; pre-filling it via a card button or a ?book= link only affects the modal.
+// - frontdesk.html/frontdesk.js reuse this script's booking model, catalog and helpers for the staff dashboard;
+//   keep code that touches the page's elements null-safe so it still loads there.
+// - Pricing belongs in booking-quote.js (no DOM there, so partner widgets and Node can import it); this script
+//   words its problems and shows its numbers.
+// ==============================
 